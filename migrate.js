@@ -0,0 +1,198 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+// ==================== MIGRATIONS ====================
+// Cada arquivo em migrations/ se chama NNN_descricao.sql e tem duas seções,
+// marcadas pelas linhas "-- migrate:up" e "-- migrate:down".
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+// Chave do pg_advisory_lock que impede duas execuções simultâneas
+const MIGRATIONS_LOCK_KEY = 20260101;
+
+const parseMigration = (file) => {
+  const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+  const content = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+  const upIndex = content.indexOf('-- migrate:up');
+  const downIndex = content.indexOf('-- migrate:down');
+  if (upIndex === -1 || downIndex === -1 || downIndex < upIndex) {
+    throw new Error(`Migration ${file} precisa das seções "-- migrate:up" e "-- migrate:down"`);
+  }
+
+  return {
+    version,
+    name,
+    file,
+    up: content.slice(upIndex + '-- migrate:up'.length, downIndex).trim(),
+    down: content.slice(downIndex + '-- migrate:down'.length).trim()
+  };
+};
+
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(parseMigration);
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+};
+
+const getAppliedVersions = async (client) => {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+};
+
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_KEY]);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_KEY]);
+    client.release();
+  }
+};
+
+const getMigrationStatus = async (pool) => {
+  const client = await pool.connect();
+  try {
+    const applied = await getAppliedVersions(client);
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.includes(migration.version)
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+const getPendingMigrations = async (pool) => {
+  const status = await getMigrationStatus(pool);
+  return status.filter(migration => !migration.applied);
+};
+
+// Aplica todas as migrations pendentes, cada uma na sua própria transação
+const migrateUp = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(migration => !applied.includes(migration.version));
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+        console.log(`✅ ${migration.file}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Falha ao aplicar ${migration.file}: ${error.message}`);
+      }
+    }
+
+    return pending;
+  });
+};
+
+// Reverte as últimas `steps` migrations aplicadas, da mais recente para a mais antiga
+const migrateDown = async (pool, steps = 1) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const migrations = loadMigrations();
+    const toRevert = applied.slice(-steps).reverse();
+
+    const reverted = [];
+    for (const version of toRevert) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} está aplicada mas o arquivo não existe em migrations/`);
+      }
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        await client.query('COMMIT');
+        console.log(`↩️  ${migration.file}`);
+        reverted.push(migration);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Falha ao reverter ${migration.file}: ${error.message}`);
+      }
+    }
+
+    return reverted;
+  });
+};
+
+module.exports = {
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
+
+// ==================== CLI ====================
+// Uso: node migrate.js up | down [passos] | status
+if (require.main === module) {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  const run = async () => {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(pool);
+        console.log(applied.length > 0 ? `${applied.length} migration(s) aplicada(s)` : 'Nenhuma migration pendente');
+        break;
+      }
+      case 'down': {
+        const steps = arg ? parseInt(arg) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('Número de passos inválido');
+        }
+        const reverted = await migrateDown(pool, steps);
+        console.log(reverted.length > 0 ? `${reverted.length} migration(s) revertida(s)` : 'Nenhuma migration para reverter');
+        break;
+      }
+      case 'status': {
+        const status = await getMigrationStatus(pool);
+        status.forEach(m => {
+          console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`);
+        });
+        const pending = status.filter(m => !m.applied).length;
+        console.log(pending > 0 ? `${pending} pendente(s)` : 'Banco atualizado');
+        break;
+      }
+      default:
+        throw new Error(`Comando desconhecido: ${command}. Use up, down ou status`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error('❌', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
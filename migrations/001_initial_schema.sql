@@ -1,9 +1,9 @@
+-- Schema original do FinanceFlow (antigo schema.sql)
 
--- Script de Criação do Banco de Dados FinanceFlow
--- Execute este script no console SQL do seu Railway Postgres
+-- migrate:up
 
 -- 1. Tabela de Usuários
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     name VARCHAR(255) NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
@@ -12,7 +12,7 @@ CREATE TABLE users (
 );
 
 -- 2. Tabela de Contas
-CREATE TABLE accounts (
+CREATE TABLE IF NOT EXISTS accounts (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(100) NOT NULL,
@@ -23,7 +23,7 @@ CREATE TABLE accounts (
 );
 
 -- 3. Tabela de Categorias
-CREATE TABLE categories (
+CREATE TABLE IF NOT EXISTS categories (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(100) NOT NULL,
@@ -31,14 +31,14 @@ CREATE TABLE categories (
 );
 
 -- 4. Tabela de Fontes de Renda
-CREATE TABLE income_sources (
+CREATE TABLE IF NOT EXISTS income_sources (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(100) NOT NULL
 );
 
 -- 5. Tabela de Transações
-CREATE TABLE transactions (
+CREATE TABLE IF NOT EXISTS transactions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
@@ -53,7 +53,7 @@ CREATE TABLE transactions (
 );
 
 -- 6. Tabela de Operações de Câmbio/Transferência
-CREATE TABLE exchange_operations (
+CREATE TABLE IF NOT EXISTS exchange_operations (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     source_account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
@@ -65,7 +65,7 @@ CREATE TABLE exchange_operations (
 );
 
 -- 7. Tabela de Orçamentos (Budgets)
-CREATE TABLE budgets (
+CREATE TABLE IF NOT EXISTS budgets (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     entity_id UUID NOT NULL, -- Pode ser ID de categoria ou fonte
@@ -75,7 +75,7 @@ CREATE TABLE budgets (
 );
 
 -- 8. Tabela de Metas (Goals)
-CREATE TABLE goals (
+CREATE TABLE IF NOT EXISTS goals (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     account_id UUID REFERENCES accounts(id),
@@ -86,7 +86,7 @@ CREATE TABLE goals (
 );
 
 -- 9. Tabela de Bens e Ativos Físicos (Assets)
-CREATE TABLE assets (
+CREATE TABLE IF NOT EXISTS assets (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(255) NOT NULL,
@@ -96,7 +96,7 @@ CREATE TABLE assets (
 );
 
 -- 10. Tabela de Passivos/Dívidas (Liabilities)
-CREATE TABLE liabilities (
+CREATE TABLE IF NOT EXISTS liabilities (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(255) NOT NULL,
@@ -104,3 +104,16 @@ CREATE TABLE liabilities (
     currency VARCHAR(3) NOT NULL CHECK (currency IN ('BRL', 'EUR')),
     category VARCHAR(50) CHECK (category IN ('loan', 'credit_card', 'mortgage', 'other'))
 );
+
+-- migrate:down
+
+DROP TABLE IF EXISTS liabilities;
+DROP TABLE IF EXISTS assets;
+DROP TABLE IF EXISTS goals;
+DROP TABLE IF EXISTS budgets;
+DROP TABLE IF EXISTS exchange_operations;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS income_sources;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS accounts;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,180 @@
+-- Ajusta o schema original ao que as rotas do server.js realmente leem e escrevem.
+-- Escrita de forma idempotente: bancos criados à mão no Railway, que já têm parte
+-- dessas colunas, passam por ela sem erro.
+
+-- migrate:up
+
+CREATE FUNCTION pg_temp.rename_column_if_exists(tbl TEXT, old_col TEXT, new_col TEXT) RETURNS VOID AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = tbl AND column_name = old_col)
+       AND NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = tbl AND column_name = new_col) THEN
+        EXECUTE format('ALTER TABLE %I RENAME COLUMN %I TO %I', tbl, old_col, new_col);
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 1. Usuários: senha e recuperação de senha
+SELECT pg_temp.rename_column_if_exists('users', 'password_hash', 'password');
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token_expires BIGINT;
+
+-- 2. Contas: tipo e reserva de emergência
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'checking';
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS is_emergency_fund BOOLEAN DEFAULT FALSE;
+
+-- 3. Categorias: cor e tipo aceitando maiúsculas ou minúsculas
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS color VARCHAR(20);
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_type_check;
+ALTER TABLE categories ADD CONSTRAINT categories_type_check CHECK (UPPER(type) IN ('INCOME', 'EXPENSE'));
+
+-- 4. Fontes de renda: descrição
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS description TEXT;
+
+-- 5. Transações: o frontend envia o tipo em minúsculas
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check CHECK (UPPER(type) IN ('INCOME', 'EXPENSE'));
+
+-- 6. Câmbio: nomes from_/to_ usados pelas rotas, moedas e taxa
+SELECT pg_temp.rename_column_if_exists('exchange_operations', 'source_account_id', 'from_account_id');
+SELECT pg_temp.rename_column_if_exists('exchange_operations', 'destination_account_id', 'to_account_id');
+SELECT pg_temp.rename_column_if_exists('exchange_operations', 'source_amount', 'from_amount');
+SELECT pg_temp.rename_column_if_exists('exchange_operations', 'destination_amount', 'to_amount');
+ALTER TABLE exchange_operations ADD COLUMN IF NOT EXISTS from_currency VARCHAR(3);
+ALTER TABLE exchange_operations ADD COLUMN IF NOT EXISTS to_currency VARCHAR(3);
+ALTER TABLE exchange_operations ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(15, 6);
+
+-- 7. Orçamentos: um limite por categoria, mês e ano
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES categories(id) ON DELETE CASCADE;
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS month INTEGER CHECK (month BETWEEN 1 AND 12);
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS year INTEGER;
+SELECT pg_temp.rename_column_if_exists('budgets', 'amount', 'limit_amount');
+
+-- Orçamentos de fonte de renda vão para income_source_id em vez de perderem o alvo
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS income_source_id UUID REFERENCES income_sources(id) ON DELETE CASCADE;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = 'budgets' AND column_name = 'entity_id') THEN
+        EXECUTE 'UPDATE budgets SET category_id = entity_id WHERE entity_type = ''category'' AND category_id IS NULL';
+        EXECUTE 'UPDATE budgets SET income_source_id = entity_id WHERE entity_type = ''source'' AND income_source_id IS NULL';
+        ALTER TABLE budgets DROP COLUMN entity_id;
+        ALTER TABLE budgets DROP COLUMN IF EXISTS entity_type;
+    END IF;
+END;
+$$;
+
+UPDATE budgets SET month = EXTRACT(MONTH FROM CURRENT_DATE) WHERE month IS NULL;
+UPDATE budgets SET year = EXTRACT(YEAR FROM CURRENT_DATE) WHERE year IS NULL;
+ALTER TABLE budgets ALTER COLUMN month SET NOT NULL;
+ALTER TABLE budgets ALTER COLUMN year SET NOT NULL;
+
+-- 8. Metas: a tabela se chama financial_goals nas rotas
+DO $$
+BEGIN
+    IF to_regclass('goals') IS NOT NULL AND to_regclass('financial_goals') IS NULL THEN
+        ALTER TABLE goals RENAME TO financial_goals;
+    END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS financial_goals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    account_id UUID REFERENCES accounts(id),
+    name VARCHAR(255) NOT NULL,
+    target_amount DECIMAL(15, 2) NOT NULL,
+    deadline DATE,
+    category VARCHAR(50) CHECK (category IN ('travel', 'house', 'emergency', 'car', 'education', 'other'))
+);
+
+ALTER TABLE financial_goals ADD COLUMN IF NOT EXISTS current_amount DECIMAL(15, 2) DEFAULT 0.00;
+ALTER TABLE financial_goals ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE financial_goals ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active';
+ALTER TABLE financial_goals ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- 9. Ativos e passivos: a classificação fica na coluna type
+SELECT pg_temp.rename_column_if_exists('assets', 'category', 'type');
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+SELECT pg_temp.rename_column_if_exists('liabilities', 'category', 'type');
+ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- 10. Investimentos
+CREATE TABLE IF NOT EXISTS investments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(50),
+    amount DECIMAL(15, 2) NOT NULL,
+    current_value DECIMAL(15, 2),
+    currency VARCHAR(3) NOT NULL CHECK (currency IN ('BRL', 'EUR')),
+    purchase_date DATE,
+    broker VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 11. Conquistas
+CREATE TABLE IF NOT EXISTS achievements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS achievements;
+DROP TABLE IF EXISTS investments;
+
+ALTER TABLE liabilities DROP COLUMN IF EXISTS created_at;
+ALTER TABLE liabilities RENAME COLUMN type TO category;
+ALTER TABLE assets DROP COLUMN IF EXISTS created_at;
+ALTER TABLE assets RENAME COLUMN type TO category;
+
+ALTER TABLE financial_goals DROP COLUMN IF EXISTS created_at;
+ALTER TABLE financial_goals DROP COLUMN IF EXISTS status;
+ALTER TABLE financial_goals DROP COLUMN IF EXISTS currency;
+ALTER TABLE financial_goals DROP COLUMN IF EXISTS current_amount;
+ALTER TABLE financial_goals RENAME TO goals;
+
+ALTER TABLE budgets ADD COLUMN entity_id UUID;
+ALTER TABLE budgets ADD COLUMN entity_type VARCHAR(10) CHECK (entity_type IN ('category', 'source'));
+UPDATE budgets SET entity_id = category_id, entity_type = 'category' WHERE category_id IS NOT NULL;
+-- Orçamentos de fonte voltam para entity_id (bancos que rodaram a 002 antes dela criar a coluna não a têm)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = 'budgets' AND column_name = 'income_source_id') THEN
+        EXECUTE 'UPDATE budgets SET entity_id = income_source_id, entity_type = ''source'' WHERE income_source_id IS NOT NULL AND category_id IS NULL';
+        ALTER TABLE budgets DROP COLUMN income_source_id;
+    END IF;
+END;
+$$;
+ALTER TABLE budgets RENAME COLUMN limit_amount TO amount;
+ALTER TABLE budgets DROP COLUMN year;
+ALTER TABLE budgets DROP COLUMN month;
+ALTER TABLE budgets DROP COLUMN category_id;
+
+ALTER TABLE exchange_operations DROP COLUMN IF EXISTS exchange_rate;
+ALTER TABLE exchange_operations DROP COLUMN IF EXISTS to_currency;
+ALTER TABLE exchange_operations DROP COLUMN IF EXISTS from_currency;
+ALTER TABLE exchange_operations RENAME COLUMN to_amount TO destination_amount;
+ALTER TABLE exchange_operations RENAME COLUMN from_amount TO source_amount;
+ALTER TABLE exchange_operations RENAME COLUMN to_account_id TO destination_account_id;
+ALTER TABLE exchange_operations RENAME COLUMN from_account_id TO source_account_id;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check CHECK (type IN ('INCOME', 'EXPENSE')) NOT VALID;
+
+ALTER TABLE income_sources DROP COLUMN IF EXISTS description;
+
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_type_check;
+ALTER TABLE categories ADD CONSTRAINT categories_type_check CHECK (type IN ('INCOME', 'EXPENSE')) NOT VALID;
+ALTER TABLE categories DROP COLUMN IF EXISTS color;
+
+ALTER TABLE accounts DROP COLUMN IF EXISTS is_emergency_fund;
+ALTER TABLE accounts DROP COLUMN IF EXISTS type;
+
+ALTER TABLE users DROP COLUMN IF EXISTS reset_token_expires;
+ALTER TABLE users DROP COLUMN IF EXISTS reset_token;
+ALTER TABLE users RENAME COLUMN password TO password_hash;
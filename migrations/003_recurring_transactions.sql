@@ -0,0 +1,52 @@
+-- Modelos de transações recorrentes (aluguel, salário...) e as exceções de cada ocorrência
+
+-- migrate:up
+
+CREATE TABLE recurring_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    income_source_id UUID REFERENCES income_sources(id) ON DELETE SET NULL,
+    type VARCHAR(10) NOT NULL CHECK (UPPER(type) IN ('INCOME', 'EXPENSE')),
+    amount DECIMAL(15, 2) NOT NULL,
+    description TEXT NOT NULL,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'yearly', 'interval')),
+    interval_days INTEGER CHECK (interval_days > 0),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    max_occurrences INTEGER CHECK (max_occurrences > 0),
+    occurrences_generated INTEGER NOT NULL DEFAULT 0,
+    next_date DATE NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'finished')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (frequency <> 'interval' OR interval_days IS NOT NULL)
+);
+
+CREATE INDEX recurring_transactions_due_idx ON recurring_transactions (status, next_date);
+
+-- Uma ocorrência pulada ('skip') ou com valores próprios ('override')
+CREATE TABLE recurring_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    recurring_id UUID REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('skip', 'override')),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    income_source_id UUID REFERENCES income_sources(id) ON DELETE SET NULL,
+    amount DECIMAL(15, 2),
+    description TEXT,
+    UNIQUE (recurring_id, occurrence_date)
+);
+
+ALTER TABLE transactions ADD COLUMN recurring_id UUID REFERENCES recurring_transactions(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN occurrence_date DATE;
+CREATE UNIQUE INDEX transactions_recurring_occurrence_idx ON transactions (recurring_id, occurrence_date);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS transactions_recurring_occurrence_idx;
+ALTER TABLE transactions DROP COLUMN IF EXISTS occurrence_date;
+ALTER TABLE transactions DROP COLUMN IF EXISTS recurring_id;
+DROP TABLE IF EXISTS recurring_exceptions;
+DROP TABLE IF EXISTS recurring_transactions;
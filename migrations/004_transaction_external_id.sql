@@ -0,0 +1,11 @@
+-- Identificador da transação no banco (FITID do OFX ou coluna do CSV), usado na importação de extratos
+
+-- migrate:up
+
+ALTER TABLE transactions ADD COLUMN external_id VARCHAR(255);
+CREATE UNIQUE INDEX transactions_account_external_id_idx ON transactions (account_id, external_id) WHERE external_id IS NOT NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS transactions_account_external_id_idx;
+ALTER TABLE transactions DROP COLUMN IF EXISTS external_id;
@@ -0,0 +1,9 @@
+-- Índice da paginação por cursor em GET /api/transactions (date, created_at, id)
+
+-- migrate:up
+
+CREATE INDEX transactions_user_date_idx ON transactions (user_id, date DESC, created_at DESC, id DESC);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS transactions_user_date_idx;
@@ -0,0 +1,37 @@
+-- Divisão de uma transação entre várias categorias/fontes (ex.: mercado + farmácia no mesmo cupom)
+
+-- migrate:up
+
+CREATE TABLE transaction_splits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    income_source_id UUID REFERENCES income_sources(id) ON DELETE SET NULL,
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    memo TEXT,
+    position INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX transaction_splits_transaction_idx ON transaction_splits (transaction_id);
+
+-- Uma linha por divisão, ou a própria transação quando ela não é dividida.
+-- Relatórios e orçamentos somam por categoria a partir daqui.
+CREATE VIEW transaction_lines AS
+SELECT
+    t.id AS transaction_id,
+    s.id AS split_id,
+    t.user_id,
+    t.account_id,
+    t.type,
+    t.date,
+    t.description,
+    CASE WHEN s.id IS NULL THEN t.category_id ELSE s.category_id END AS category_id,
+    CASE WHEN s.id IS NULL THEN t.income_source_id ELSE s.income_source_id END AS income_source_id,
+    COALESCE(s.amount, t.amount) AS amount
+FROM transactions t
+LEFT JOIN transaction_splits s ON s.transaction_id = t.id;
+
+-- migrate:down
+
+DROP VIEW IF EXISTS transaction_lines;
+DROP TABLE IF EXISTS transaction_splits;
@@ -0,0 +1,17 @@
+-- Transferências entre contas da mesma moeda e tarifas/IOF das operações de câmbio
+
+-- migrate:up
+
+ALTER TABLE exchange_operations ADD COLUMN type VARCHAR(10) NOT NULL DEFAULT 'exchange' CHECK (type IN ('exchange', 'transfer'));
+
+-- Tarifa ('fee') ou imposto/IOF ('tax') lançado como despesa ligada à operação
+ALTER TABLE transactions ADD COLUMN exchange_id UUID REFERENCES exchange_operations(id) ON DELETE CASCADE;
+ALTER TABLE transactions ADD COLUMN exchange_line VARCHAR(5) CHECK (exchange_line IN ('fee', 'tax'));
+CREATE INDEX transactions_exchange_idx ON transactions (exchange_id) WHERE exchange_id IS NOT NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS transactions_exchange_idx;
+ALTER TABLE transactions DROP COLUMN IF EXISTS exchange_line;
+ALTER TABLE transactions DROP COLUMN IF EXISTS exchange_id;
+ALTER TABLE exchange_operations DROP COLUMN IF EXISTS type;
@@ -0,0 +1,49 @@
+-- Qualquer moeda ISO 4217 (não só BRL/EUR), moeda base do usuário e tabela de cotações
+
+-- migrate:up
+
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_currency_check;
+ALTER TABLE accounts ADD CONSTRAINT accounts_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_currency_check;
+ALTER TABLE budgets ADD CONSTRAINT budgets_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+ALTER TABLE assets DROP CONSTRAINT IF EXISTS assets_currency_check;
+ALTER TABLE assets ADD CONSTRAINT assets_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+ALTER TABLE liabilities DROP CONSTRAINT IF EXISTS liabilities_currency_check;
+ALTER TABLE liabilities ADD CONSTRAINT liabilities_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+ALTER TABLE investments DROP CONSTRAINT IF EXISTS investments_currency_check;
+ALTER TABLE investments ADD CONSTRAINT investments_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE users ADD COLUMN base_currency VARCHAR(3) NOT NULL DEFAULT 'BRL' CHECK (base_currency ~ '^[A-Z]{3}$');
+
+-- 1 base = rate quote. Linhas sem user_id vêm do provedor e valem para todos;
+-- as manuais pertencem ao usuário e têm prioridade sobre as do provedor no mesmo dia.
+CREATE TABLE fx_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    base VARCHAR(3) NOT NULL CHECK (base ~ '^[A-Z]{3}$'),
+    quote VARCHAR(3) NOT NULL CHECK (quote ~ '^[A-Z]{3}$'),
+    rate DECIMAL(20, 10) NOT NULL CHECK (rate > 0),
+    source VARCHAR(30) NOT NULL DEFAULT 'manual',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (base <> quote)
+);
+
+CREATE UNIQUE INDEX fx_rates_provider_idx ON fx_rates (date, base, quote) WHERE user_id IS NULL;
+CREATE UNIQUE INDEX fx_rates_user_idx ON fx_rates (user_id, date, base, quote) WHERE user_id IS NOT NULL;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS fx_rates;
+ALTER TABLE users DROP COLUMN IF EXISTS base_currency;
+
+ALTER TABLE investments DROP CONSTRAINT IF EXISTS investments_currency_check;
+ALTER TABLE investments ADD CONSTRAINT investments_currency_check CHECK (currency IN ('BRL', 'EUR')) NOT VALID;
+ALTER TABLE liabilities DROP CONSTRAINT IF EXISTS liabilities_currency_check;
+ALTER TABLE liabilities ADD CONSTRAINT liabilities_currency_check CHECK (currency IN ('BRL', 'EUR')) NOT VALID;
+ALTER TABLE assets DROP CONSTRAINT IF EXISTS assets_currency_check;
+ALTER TABLE assets ADD CONSTRAINT assets_currency_check CHECK (currency IN ('BRL', 'EUR')) NOT VALID;
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_currency_check;
+ALTER TABLE budgets ADD CONSTRAINT budgets_currency_check CHECK (currency IN ('BRL', 'EUR')) NOT VALID;
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_currency_check;
+ALTER TABLE accounts ADD CONSTRAINT accounts_currency_check CHECK (currency IN ('BRL', 'EUR')) NOT VALID;
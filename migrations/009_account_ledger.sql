@@ -0,0 +1,36 @@
+-- Saldos derivados de um livro-razão: saldo inicial da conta + transações + câmbios/transferências
+
+-- migrate:up
+
+ALTER TABLE accounts ADD COLUMN opening_balance DECIMAL(15, 2) NOT NULL DEFAULT 0;
+
+-- Um movimento por linha, já com sinal (entrada positiva, saída negativa)
+CREATE VIEW account_ledger AS
+SELECT t.account_id, t.user_id, t.date,
+       CASE WHEN UPPER(t.type) = 'INCOME' THEN t.amount ELSE -t.amount END AS amount,
+       'transaction'::text AS source, t.id AS source_id
+FROM transactions t
+UNION ALL
+SELECT e.from_account_id, e.user_id, e.date, -e.from_amount, 'exchange'::text, e.id
+FROM exchange_operations e
+UNION ALL
+SELECT e.to_account_id, e.user_id, e.date, e.to_amount, 'exchange'::text, e.id
+FROM exchange_operations e;
+
+-- O saldo inicial das contas existentes é o saldo armazenado menos o histórico. Uma divergência
+-- anterior (ex.: o bug de maiúsculas no PUT/DELETE) fica embutida nele e pode ser corrigida
+-- informando openingBalance em POST /api/accounts/:id/recalculate.
+UPDATE accounts a
+SET opening_balance = a.balance - COALESCE((SELECT SUM(l.amount) FROM account_ledger l WHERE l.account_id = a.id), 0);
+
+CREATE INDEX transactions_account_date_idx ON transactions (account_id, date);
+CREATE INDEX exchange_operations_from_account_idx ON exchange_operations (from_account_id, date);
+CREATE INDEX exchange_operations_to_account_idx ON exchange_operations (to_account_id, date);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS exchange_operations_to_account_idx;
+DROP INDEX IF EXISTS exchange_operations_from_account_idx;
+DROP INDEX IF EXISTS transactions_account_date_idx;
+DROP VIEW IF EXISTS account_ledger;
+ALTER TABLE accounts DROP COLUMN IF EXISTS opening_balance;
@@ -0,0 +1,18 @@
+-- Orçamentos por fonte de renda: cada orçamento aponta para uma categoria OU uma fonte
+
+-- migrate:up
+
+-- IF NOT EXISTS: a 002 já cria a coluna para os orçamentos de fonte do schema original
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS income_source_id UUID REFERENCES income_sources(id) ON DELETE CASCADE;
+
+-- NOT VALID: linhas antigas sem categoria (criadas pelo bug do parseInt) não bloqueiam a migration
+ALTER TABLE budgets ADD CONSTRAINT budgets_entity_check
+    CHECK ((category_id IS NULL) <> (income_source_id IS NULL)) NOT VALID;
+
+CREATE INDEX budgets_user_period_idx ON budgets (user_id, year, month);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS budgets_user_period_idx;
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_entity_check;
+-- income_source_id fica: a 002 é quem a cria e a desfaz, devolvendo os orçamentos de fonte a entity_id
@@ -0,0 +1,32 @@
+-- Rollover entre meses, modo envelope (base zero) e alertas de limite dos orçamentos
+
+-- migrate:up
+
+ALTER TABLE budgets ADD COLUMN rollover BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE budgets ADD COLUMN alert_thresholds INTEGER[] NOT NULL DEFAULT '{80,100}';
+
+-- 'standard': orçamentos independentes; 'envelope': a renda do mês é distribuída entre eles
+ALTER TABLE users ADD COLUMN budget_mode VARCHAR(10) NOT NULL DEFAULT 'standard' CHECK (budget_mode IN ('standard', 'envelope'));
+
+-- Um alerta por limite (em %) cruzado em cada orçamento
+CREATE TABLE budget_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+    threshold INTEGER NOT NULL,
+    percent_used DECIMAL(7, 2) NOT NULL,
+    spent DECIMAL(15, 2) NOT NULL,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (budget_id, threshold)
+);
+
+CREATE INDEX budget_alerts_user_idx ON budget_alerts (user_id, created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS budget_alerts;
+ALTER TABLE users DROP COLUMN IF EXISTS budget_mode;
+ALTER TABLE budgets DROP COLUMN IF EXISTS alert_thresholds;
+ALTER TABLE budgets DROP COLUMN IF EXISTS rollover;
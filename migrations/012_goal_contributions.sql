@@ -0,0 +1,24 @@
+-- Aportes das metas e acompanhamento pelo saldo da conta vinculada
+
+-- migrate:up
+
+-- 'contributions': o valor atual é a soma dos aportes; 'account': é o saldo da conta vinculada
+ALTER TABLE financial_goals ADD COLUMN tracking_mode VARCHAR(15) NOT NULL DEFAULT 'contributions'
+    CHECK (tracking_mode IN ('contributions', 'account'));
+
+-- Aportes (positivos) e retiradas (negativos)
+CREATE TABLE goal_contributions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    goal_id UUID NOT NULL REFERENCES financial_goals(id) ON DELETE CASCADE,
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount <> 0),
+    date DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX goal_contributions_goal_idx ON goal_contributions (goal_id, date);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS goal_contributions;
+ALTER TABLE financial_goals DROP COLUMN IF EXISTS tracking_mode;
@@ -0,0 +1,11 @@
+-- Conquistas identificadas pelo código da regra, desbloqueadas uma única vez por usuário
+
+-- migrate:up
+
+ALTER TABLE achievements ADD COLUMN code VARCHAR(50);
+ALTER TABLE achievements ADD CONSTRAINT achievements_user_code_key UNIQUE (user_id, code);
+
+-- migrate:down
+
+ALTER TABLE achievements DROP CONSTRAINT IF EXISTS achievements_user_code_key;
+ALTER TABLE achievements DROP COLUMN IF EXISTS code;
@@ -0,0 +1,70 @@
+-- Compras, vendas, dividendos e desdobramentos por investimento, com quantidade e preço unitário
+
+-- migrate:up
+
+ALTER TABLE investments ADD COLUMN cost_method VARCHAR(10) NOT NULL DEFAULT 'fifo' CHECK (cost_method IN ('fifo', 'average'));
+
+-- Lançamento que só move dinheiro entre contas e carteira (compra/venda de investimento):
+-- altera o saldo, mas não é receita nem despesa nos relatórios e orçamentos
+ALTER TABLE transactions ADD COLUMN is_transfer BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- buy/sell: quantity e unit_price; dividend: amount; split: ratio (2 = cada cota vira duas)
+CREATE TABLE investment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    investment_id UUID NOT NULL REFERENCES investments(id) ON DELETE CASCADE,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('buy', 'sell', 'dividend', 'split')),
+    date DATE NOT NULL,
+    quantity DECIMAL(20, 8) CHECK (quantity > 0),
+    unit_price DECIMAL(20, 8) CHECK (unit_price >= 0),
+    amount DECIMAL(15, 2) CHECK (amount > 0),
+    ratio DECIMAL(20, 8) CHECK (ratio > 0),
+    fees DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (fees >= 0),
+    cash_account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (type NOT IN ('buy', 'sell') OR (quantity IS NOT NULL AND unit_price IS NOT NULL)),
+    CHECK (type <> 'dividend' OR amount IS NOT NULL),
+    CHECK (type <> 'split' OR ratio IS NOT NULL)
+);
+
+CREATE INDEX investment_events_investment_idx ON investment_events (investment_id, date);
+
+-- A view ganha is_transfer no fim (CREATE OR REPLACE só permite acrescentar colunas)
+CREATE OR REPLACE VIEW transaction_lines AS
+SELECT
+    t.id AS transaction_id,
+    s.id AS split_id,
+    t.user_id,
+    t.account_id,
+    t.type,
+    t.date,
+    t.description,
+    CASE WHEN s.id IS NULL THEN t.category_id ELSE s.category_id END AS category_id,
+    CASE WHEN s.id IS NULL THEN t.income_source_id ELSE s.income_source_id END AS income_source_id,
+    COALESCE(s.amount, t.amount) AS amount,
+    t.is_transfer
+FROM transactions t
+LEFT JOIN transaction_splits s ON s.transaction_id = t.id;
+
+-- migrate:down
+
+DROP VIEW IF EXISTS transaction_lines;
+CREATE VIEW transaction_lines AS
+SELECT
+    t.id AS transaction_id,
+    s.id AS split_id,
+    t.user_id,
+    t.account_id,
+    t.type,
+    t.date,
+    t.description,
+    CASE WHEN s.id IS NULL THEN t.category_id ELSE s.category_id END AS category_id,
+    CASE WHEN s.id IS NULL THEN t.income_source_id ELSE s.income_source_id END AS income_source_id,
+    COALESCE(s.amount, t.amount) AS amount
+FROM transactions t
+LEFT JOIN transaction_splits s ON s.transaction_id = t.id;
+
+DROP TABLE IF EXISTS investment_events;
+ALTER TABLE transactions DROP COLUMN IF EXISTS is_transfer;
+ALTER TABLE investments DROP COLUMN IF EXISTS cost_method;
@@ -0,0 +1,24 @@
+-- Ticker dos investimentos e histórico de preços vindo do provedor de cotações de ativos
+
+-- migrate:up
+
+ALTER TABLE investments ADD COLUMN ticker VARCHAR(30);
+CREATE INDEX investments_ticker_idx ON investments (ticker) WHERE ticker IS NOT NULL;
+
+-- Um preço por ticker e dia, compartilhado entre os usuários (é dado de mercado)
+CREATE TABLE price_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticker VARCHAR(30) NOT NULL,
+    date DATE NOT NULL,
+    price DECIMAL(20, 8) NOT NULL CHECK (price > 0),
+    currency VARCHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    source VARCHAR(30) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (ticker, date)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS price_history;
+DROP INDEX IF EXISTS investments_ticker_idx;
+ALTER TABLE investments DROP COLUMN IF EXISTS ticker;
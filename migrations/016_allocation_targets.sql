@@ -0,0 +1,25 @@
+-- Alocação-alvo da carteira, por tipo de investimento ou por investimento, com banda de tolerância
+
+-- migrate:up
+
+ALTER TABLE users ADD COLUMN allocation_level VARCHAR(10) NOT NULL DEFAULT 'type' CHECK (allocation_level IN ('type', 'holding'));
+
+-- Linhas do nível escolhido em users.allocation_level; os percentuais somam 100
+CREATE TABLE allocation_targets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    investment_type VARCHAR(50),
+    investment_id UUID REFERENCES investments(id) ON DELETE CASCADE,
+    target_percent DECIMAL(5, 2) NOT NULL CHECK (target_percent BETWEEN 0 AND 100),
+    tolerance_percent DECIMAL(5, 2) NOT NULL DEFAULT 5 CHECK (tolerance_percent BETWEEN 0 AND 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((investment_type IS NULL) <> (investment_id IS NULL))
+);
+
+CREATE UNIQUE INDEX allocation_targets_type_idx ON allocation_targets (user_id, investment_type) WHERE investment_type IS NOT NULL;
+CREATE UNIQUE INDEX allocation_targets_investment_idx ON allocation_targets (investment_id) WHERE investment_id IS NOT NULL;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS allocation_targets;
+ALTER TABLE users DROP COLUMN IF EXISTS allocation_level;
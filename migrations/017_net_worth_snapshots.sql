@@ -0,0 +1,21 @@
+-- Fotografias do patrimônio por moeda, tiradas por job diário ou recalculadas do histórico
+
+-- migrate:up
+
+CREATE TABLE net_worth_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    currency VARCHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    accounts DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    investments DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    assets DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    liabilities DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    net_worth DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, date, currency)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS net_worth_snapshots;
@@ -0,0 +1,33 @@
+-- Dados de compra e regra de avaliação dos bens, e o histórico de reavaliações manuais
+
+-- migrate:up
+
+ALTER TABLE assets ADD COLUMN purchase_date DATE;
+ALTER TABLE assets ADD COLUMN purchase_price DECIMAL(15, 2) CHECK (purchase_price >= 0);
+-- manual: vale a última reavaliação; straight_line/declining_balance depreciam; appreciation valoriza
+ALTER TABLE assets ADD COLUMN valuation_method VARCHAR(20) NOT NULL DEFAULT 'manual'
+    CHECK (valuation_method IN ('manual', 'straight_line', 'declining_balance', 'appreciation'));
+ALTER TABLE assets ADD COLUMN useful_life_years DECIMAL(6, 2) CHECK (useful_life_years > 0);
+ALTER TABLE assets ADD COLUMN salvage_value DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (salvage_value >= 0);
+-- Percentual ao ano: taxa de depreciação (declining_balance) ou de valorização (appreciation)
+ALTER TABLE assets ADD COLUMN annual_rate DECIMAL(7, 4);
+
+CREATE TABLE asset_valuations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    asset_id UUID NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    value DECIMAL(15, 2) NOT NULL CHECK (value >= 0),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (asset_id, date)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS asset_valuations;
+ALTER TABLE assets DROP COLUMN IF EXISTS annual_rate;
+ALTER TABLE assets DROP COLUMN IF EXISTS salvage_value;
+ALTER TABLE assets DROP COLUMN IF EXISTS useful_life_years;
+ALTER TABLE assets DROP COLUMN IF EXISTS valuation_method;
+ALTER TABLE assets DROP COLUMN IF EXISTS purchase_price;
+ALTER TABLE assets DROP COLUMN IF EXISTS purchase_date;
@@ -0,0 +1,28 @@
+-- Empréstimos e financiamentos: juros, prazo, sistema de amortização e pagamentos vinculados
+
+-- migrate:up
+
+-- amount continua sendo o saldo devedor atual; principal é o valor contratado
+ALTER TABLE liabilities ADD COLUMN principal DECIMAL(15, 2) CHECK (principal >= 0);
+-- Taxa efetiva anual em %, convertida em mensal composta: (1 + a)^(1/12) - 1
+ALTER TABLE liabilities ADD COLUMN annual_interest_rate DECIMAL(7, 4) NOT NULL DEFAULT 0 CHECK (annual_interest_rate >= 0);
+ALTER TABLE liabilities ADD COLUMN term_months INTEGER CHECK (term_months > 0);
+-- Data da contratação; a primeira parcela vence um mês depois
+ALTER TABLE liabilities ADD COLUMN start_date DATE;
+ALTER TABLE liabilities ADD COLUMN amortization_system VARCHAR(10) CHECK (amortization_system IN ('price', 'sac'));
+
+UPDATE liabilities SET principal = amount;
+
+-- Transação de pagamento: abate o saldo devedor do passivo
+ALTER TABLE transactions ADD COLUMN liability_id UUID REFERENCES liabilities(id) ON DELETE SET NULL;
+CREATE INDEX transactions_liability_idx ON transactions (liability_id, date) WHERE liability_id IS NOT NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS transactions_liability_idx;
+ALTER TABLE transactions DROP COLUMN IF EXISTS liability_id;
+ALTER TABLE liabilities DROP COLUMN IF EXISTS amortization_system;
+ALTER TABLE liabilities DROP COLUMN IF EXISTS start_date;
+ALTER TABLE liabilities DROP COLUMN IF EXISTS term_months;
+ALTER TABLE liabilities DROP COLUMN IF EXISTS annual_interest_rate;
+ALTER TABLE liabilities DROP COLUMN IF EXISTS principal;
@@ -0,0 +1,35 @@
+-- Cartão de crédito: limite, dia de fechamento e de vencimento, compras parceladas e pagamento de fatura
+
+-- migrate:up
+
+-- O saldo da conta de cartão fica negativo com as compras e volta a zero com os pagamentos
+ALTER TABLE accounts ADD COLUMN credit_limit DECIMAL(15, 2) CHECK (credit_limit > 0);
+ALTER TABLE accounts ADD COLUMN statement_closing_day INTEGER CHECK (statement_closing_day BETWEEN 1 AND 31);
+ALTER TABLE accounts ADD COLUMN statement_due_day INTEGER CHECK (statement_due_day BETWEEN 1 AND 31);
+-- NOT VALID: contas antigas já digitadas como 'credit_card' ficam como estão até serem editadas
+ALTER TABLE accounts ADD CONSTRAINT accounts_credit_card_check
+    CHECK (type <> 'credit_card' OR (credit_limit IS NOT NULL AND statement_closing_day IS NOT NULL AND statement_due_day IS NOT NULL)) NOT VALID;
+
+-- Compra parcelada: uma transação por parcela, um mês depois da anterior
+ALTER TABLE transactions ADD COLUMN installment_group_id UUID;
+ALTER TABLE transactions ADD COLUMN installment_number INTEGER;
+ALTER TABLE transactions ADD COLUMN installment_count INTEGER;
+ALTER TABLE transactions ADD CONSTRAINT transactions_installment_check
+    CHECK (installment_group_id IS NULL OR (installment_number BETWEEN 1 AND installment_count));
+CREATE INDEX transactions_installment_group_idx ON transactions (installment_group_id) WHERE installment_group_id IS NOT NULL;
+
+-- Transferência que paga uma fatura: a data de fechamento identifica a fatura
+ALTER TABLE exchange_operations ADD COLUMN statement_date DATE;
+
+-- migrate:down
+
+ALTER TABLE exchange_operations DROP COLUMN IF EXISTS statement_date;
+DROP INDEX IF EXISTS transactions_installment_group_idx;
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_installment_check;
+ALTER TABLE transactions DROP COLUMN IF EXISTS installment_count;
+ALTER TABLE transactions DROP COLUMN IF EXISTS installment_number;
+ALTER TABLE transactions DROP COLUMN IF EXISTS installment_group_id;
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_credit_card_check;
+ALTER TABLE accounts DROP COLUMN IF EXISTS statement_due_day;
+ALTER TABLE accounts DROP COLUMN IF EXISTS statement_closing_day;
+ALTER TABLE accounts DROP COLUMN IF EXISTS credit_limit;
@@ -0,0 +1,15 @@
+-- Token de recuperação de senha guardado só como hash e idioma do usuário para os emails
+
+-- migrate:up
+
+ALTER TABLE users RENAME COLUMN reset_token TO reset_token_hash;
+-- Tokens pendentes estavam em claro: são descartados e o usuário pede um novo
+UPDATE users SET reset_token_hash = NULL, reset_token_expires = NULL;
+
+ALTER TABLE users ADD COLUMN language VARCHAR(5) NOT NULL DEFAULT 'pt-BR' CHECK (language IN ('pt-BR', 'en'));
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN IF EXISTS language;
+UPDATE users SET reset_token_hash = NULL, reset_token_expires = NULL;
+ALTER TABLE users RENAME COLUMN reset_token_hash TO reset_token;
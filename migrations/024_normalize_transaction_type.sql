@@ -0,0 +1,11 @@
+-- Tipo das transações sempre em maiúsculas: relatórios que comparam ou agrupam pelo tipo
+-- não separam mais 'expense' de 'EXPENSE'
+
+-- migrate:up
+
+UPDATE transactions SET type = UPPER(type) WHERE type <> UPPER(type);
+UPDATE recurring_transactions SET type = UPPER(type) WHERE type <> UPPER(type);
+
+-- migrate:down
+
+-- Sem volta: a grafia original não foi guardada e as duas formas são aceitas
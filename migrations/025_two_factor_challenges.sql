@@ -0,0 +1,15 @@
+-- Desafios de login com 2FA já usados: o challengeToken vale para uma única verificação
+
+-- migrate:up
+
+-- Guardado até expirar; depois disso o próprio JWT já não é aceito
+CREATE TABLE two_factor_challenges (
+    jti UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS two_factor_challenges;
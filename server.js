@@ -1,10 +1,17 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const AdmZip = require('adm-zip');
+const nodemailer = require('nodemailer');
+const { getPendingMigrations } = require('./migrate');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -26,8 +33,54 @@ const comparePassword = async (password, hash) => {
   return await bcrypt.compare(password, hash);
 };
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '30d' });
+// Access token curto; a sessão é renovada pelo refresh token em /api/auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Novo refresh token da sessão, que também tem a validade estendida. Só o hash vai para o banco.
+const issueRefreshToken = async (db, sessionId) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, NOW() + make_interval(days => $3))',
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+  await db.query(
+    'UPDATE sessions SET last_used_at = NOW(), expires_at = NOW() + make_interval(days => $2) WHERE id = $1',
+    [sessionId, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return refreshToken;
+};
+
+const buildAuthTokens = (userId, sessionId, refreshToken) => {
+  const token = generateToken(userId, sessionId);
+  const { iat, exp } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat };
+};
+
+// Abre uma sessão para o dispositivo da requisição (registro e login)
+const createSession = async (userId, req) => {
+  const result = await pool.query(
+    'INSERT INTO sessions (user_id, user_agent, ip_address, expires_at) VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING id',
+    [userId, req.headers['user-agent'] || null, req.ip || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  const sessionId = result.rows[0].id;
+  const refreshToken = await issueRefreshToken(pool, sessionId);
+  return buildAuthTokens(userId, sessionId, refreshToken);
+};
+
+// Revoga uma sessão do usuário ou, sem sessionId, todas as ativas; devolve os ids revogados
+const revokeSessions = async (db, userId, reason, sessionId = null) => {
+  const result = await db.query(
+    'UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id = $3) RETURNING id',
+    [userId, reason, sessionId]
+  );
+  return result.rows.map(row => row.id);
 };
 
 const verifyToken = (token) => {
@@ -38,7 +91,7 @@ const verifyToken = (token) => {
   }
 };
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
   
   if (!token) {
@@ -50,7 +103,22 @@ const authMiddleware = (req, res, next) => {
     return res.status(401).json({ error: 'Token inválido' });
   }
 
+  // Tokens sem sessão (os antigos, de 30 dias) não podem ser revogados e deixam de valer
+  try {
+    const session = decoded.sessionId && await pool.query(
+      'SELECT 1 FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()',
+      [decoded.sessionId, decoded.userId]
+    );
+    if (!session || session.rows.length === 0) {
+      return res.status(401).json({ error: 'Sessão encerrada, faça login novamente' });
+    }
+  } catch (error) {
+    console.error('Erro ao validar sessão:', error);
+    return res.status(500).json({ error: 'Erro ao validar sessão' });
+  }
+
   req.userId = decoded.userId;
+  req.sessionId = decoded.sessionId;
   next();
 };
 
@@ -89,6 +157,160 @@ const insertInitialData = async (userId) => {
   );
 };
 
+// Datas trafegam como 'YYYY-MM-DD'; o pg devolve DATE como Date à meia-noite local
+const getToday = () => new Date().toISOString().split('T')[0];
+
+const toDateString = (date) => {
+  if (!date) return null;
+  if (typeof date === 'string') return date.slice(0, 10);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const isValidDateString = (dateStr) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(dateStr);
+};
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// Soma meses mantendo o dia de referência (31 vira 28/29/30 nos meses mais curtos)
+const addMonths = (dateStr, months, anchorDay) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(anchorDay || day, daysInMonth));
+  return target.toISOString().split('T')[0];
+};
+
+// Datas 'YYYY-MM-DD' comparam como texto
+const minDate = (...dates) => dates.filter(Boolean).sort()[0];
+const maxDate = (...dates) => dates.filter(Boolean).sort().pop();
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+const isValidUuid = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+
+// Códigos ISO 4217 conhecidos pelo runtime (BRL, EUR, USD, JPY...)
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+// Devolve o código em maiúsculas ou null se não for uma moeda ISO 4217
+const normalizeCurrency = (code) => {
+  const currency = String(code || '').trim().toUpperCase();
+  return ISO_CURRENCIES.has(currency) ? currency : null;
+};
+
+// ==================== MAILER ====================
+const LANGUAGES = ['pt-BR', 'en'];
+const DEFAULT_LANGUAGE = 'pt-BR';
+const RESET_TOKEN_TTL_MS = 3600000; // 1 hora
+
+// 'en', 'en-US' → 'en'; 'pt', 'pt-PT' → 'pt-BR'; o resto fica null
+const normalizeLanguage = (language) => {
+  const value = String(language || '').trim().toLowerCase();
+  if (value.startsWith('en')) return 'en';
+  if (value.startsWith('pt')) return 'pt-BR';
+  return null;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const MAIL_TEMPLATES = {
+  'pt-BR': {
+    passwordReset: ({ name, link, minutes }) => ({
+      subject: 'Redefinição de senha - FinanceFlow',
+      text: `Olá, ${name}!\n\nRecebemos um pedido para redefinir a sua senha. Use o link abaixo em até ${minutes} minutos:\n\n${link}\n\nSe você não fez esse pedido, ignore este email; a sua senha continua a mesma.`,
+      html: `<p>Olá, ${escapeHtml(name)}!</p><p>Recebemos um pedido para redefinir a sua senha. Use o link abaixo em até ${minutes} minutos:</p><p><a href="${escapeHtml(link)}">Redefinir senha</a></p><p>Se você não fez esse pedido, ignore este email; a sua senha continua a mesma.</p>`
+    })
+  },
+  en: {
+    passwordReset: ({ name, link, minutes }) => ({
+      subject: 'Password reset - FinanceFlow',
+      text: `Hi ${name},\n\nWe received a request to reset your password. Use the link below within ${minutes} minutes:\n\n${link}\n\nIf you did not request this, ignore this email; your password stays the same.`,
+      html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password. Use the link below within ${minutes} minutes:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you did not request this, ignore this email; your password stays the same.</p>`
+    })
+  }
+};
+
+let smtpTransport = null;
+
+// console: só registra no log; file: um JSON por mensagem em MAIL_DIR; smtp: envia via nodemailer
+const MAIL_TRANSPORTS = {
+  console: {
+    send: async (message) => {
+      console.log(`📧 Email para ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+  file: {
+    send: async (message) => {
+      const dir = process.env.MAIL_DIR || path.join(__dirname, 'data', 'mail');
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    }
+  },
+  smtp: {
+    send: async (message) => {
+      smtpTransport = smtpTransport || nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+      await smtpTransport.sendMail(message);
+    }
+  }
+};
+
+// Fora de produção o padrão é o console; em produção o transporte precisa ser explícito,
+// senão os links de redefinição de senha iriam parar no log
+const getMailTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+// Devolve a mensagem de erro da configuração de email ou null
+const validateMailConfig = () => {
+  const transportName = getMailTransportName();
+  if (!transportName) {
+    return 'MAIL_TRANSPORT é obrigatório em produção (console, file ou smtp)';
+  }
+  if (!MAIL_TRANSPORTS[transportName]) {
+    return `Transporte de email desconhecido: ${transportName}`;
+  }
+  return null;
+};
+
+const sendMail = async (message) => {
+  const configError = validateMailConfig();
+  if (configError) {
+    throw new Error(configError);
+  }
+  const transport = MAIL_TRANSPORTS[getMailTransportName()];
+  await transport.send({ from: process.env.MAIL_FROM || 'FinanceFlow <no-reply@financeflow.app>', ...message });
+};
+
+// Token aleatório enviado por email; no banco fica só o hash
+const generateResetToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const sendPasswordResetEmail = async (user, token, language) => {
+  const link = `${process.env.APP_URL || 'http://localhost:5173'}/reset-password?token=${encodeURIComponent(token)}`;
+  const template = MAIL_TEMPLATES[language] || MAIL_TEMPLATES[DEFAULT_LANGUAGE];
+  await sendMail({
+    to: user.email,
+    ...template.passwordReset({ name: user.name, link, minutes: RESET_TOKEN_TTL_MS / 60000 })
+  });
+};
+
 // ==================== AUTH ====================
 app.post('/api/auth/register', async (req, res) => {
   try {
@@ -113,10 +335,10 @@ app.post('/api/auth/register', async (req, res) => {
     // Criar dados iniciais
     await insertInitialData(userId);
     
-    // Gerar token
-    const token = generateToken(userId);
+    // Abrir sessão e gerar tokens
+    const tokens = await createSession(userId, req);
     
-    res.json({ token, user: { id: userId, name, email } });
+    res.json({ ...tokens, user: { id: userId, name, email } });
   } catch (error) {
     console.error('Erro no registro:', error);
     res.status(500).json({ error: 'Erro ao criar usuário' });
@@ -139,14 +361,108 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Email ou senha inválidos' });
     }
 
-    const token = generateToken(user.id);
-    res.json({ token, user: { id: user.id, name: user.name, email: user.email } });
+    // Com 2FA, a sessão só é aberta em /api/auth/2fa/verify
+    if (user.totp_enabled_at) {
+      return res.json({ twoFactorRequired: true, challengeToken: generateTwoFactorChallenge(user.id) });
+    }
+
+    const tokens = await createSession(user.id, req);
+    res.json({ ...tokens, user: { id: user.id, name: user.name, email: user.email } });
   } catch (error) {
     console.error('Erro no login:', error);
     res.status(500).json({ error: 'Erro ao fazer login' });
   }
 });
 
+// Troca o refresh token por um novo par. Reusar um token já trocado indica roubo:
+// a sessão inteira (a família de tokens) é revogada.
+app.post('/api/auth/refresh', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const { refreshToken } = req.body;
+    const result = await client.query(
+      `SELECT rt.id, rt.used_at, rt.expires_at < NOW() AS expired, s.id AS session_id, s.user_id, s.revoked_at
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.session_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(String(refreshToken || ''))]
+    );
+    const stored = result.rows[0];
+    if (!stored) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Refresh token inválido' });
+    }
+    if (stored.used_at) {
+      await revokeSessions(client, stored.user_id, 'reuse_detected', stored.session_id);
+      await client.query('COMMIT');
+      return res.status(401).json({ error: 'Refresh token já utilizado; a sessão foi encerrada' });
+    }
+    if (stored.revoked_at || stored.expired) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Sessão encerrada, faça login novamente' });
+    }
+    
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [stored.id]);
+    const newRefreshToken = await issueRefreshToken(client, stored.session_id);
+    await client.query('COMMIT');
+    res.json(buildAuthTokens(stored.user_id, stored.session_id, newRefreshToken));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao renovar sessão:', error);
+    res.status(500).json({ error: 'Erro ao renovar sessão' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSessions(pool, req.userId, 'logout', req.sessionId);
+    res.json({ message: 'Sessão encerrada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao encerrar sessão:', error);
+    res.status(500).json({ error: 'Erro ao encerrar sessão' });
+  }
+});
+
+// Dispositivos com sessão ativa; current marca a sessão da própria requisição
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM sessions WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW() ORDER BY last_used_at DESC',
+      [req.userId]
+    );
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      userAgent: row.user_agent,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at,
+      current: row.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Erro ao buscar sessões:', error);
+    res.status(500).json({ error: 'Erro ao buscar sessões' });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool, req.userId, 'revoked', req.params.id);
+    if (revoked.length === 0) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+    res.json({ message: 'Sessão revogada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao revogar sessão:', error);
+    res.status(500).json({ error: 'Erro ao revogar sessão' });
+  }
+});
+
 app.post('/api/auth/forgot-password', async (req, res) => {
   try {
     const { email } = req.body;
@@ -155,15 +471,20 @@ app.post('/api/auth/forgot-password', async (req, res) => {
     const user = result.rows[0];
     
     if (user) {
-      const resetToken = generateResetToken();
-      const expiresAt = Date.now() + 3600000; // 1 hora
+      const { token, tokenHash } = generateResetToken();
+      const expiresAt = Date.now() + RESET_TOKEN_TTL_MS;
       
       await pool.query(
-        'UPDATE users SET reset_token = $1, reset_token_expires = $2 WHERE id = $3',
-        [resetToken, expiresAt, user.id]
+        'UPDATE users SET reset_token_hash = $1, reset_token_expires = $2 WHERE id = $3',
+        [tokenHash, expiresAt, user.id]
       );
       
-      await sendPasswordResetEmail(email, resetToken);
+      // Envio sem await e falha só no log: nem o tempo nem o conteúdo da resposta
+      // podem revelar se o email existe
+      const language = normalizeLanguage(req.body.language) || user.language;
+      sendPasswordResetEmail(user, token, language).catch(error => {
+        console.error('Erro ao enviar email de recuperação:', error);
+      });
     }
     
     res.json({ message: 'Se o email existir, você receberá instruções de recuperação' });
@@ -176,10 +497,25 @@ app.post('/api/auth/forgot-password', async (req, res) => {
 app.post('/api/auth/reset-password', async (req, res) => {
   try {
     const { token, newPassword } = req.body;
-    
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'token e newPassword são obrigatórios' });
+    }
+
+    // Token inválido é recusado antes do bcrypt, que é caro
+    const tokenHash = hashToken(String(token));
+    const pending = await pool.query(
+      'SELECT id FROM users WHERE reset_token_hash = $1 AND reset_token_expires > $2',
+      [tokenHash, Date.now()]
+    );
+    if (pending.rows.length === 0) {
+      return res.status(400).json({ error: 'Token inválido ou expirado' });
+    }
+
+    // O UPDATE consome o token na mesma operação, então não vale duas vezes
+    const hashedPassword = await hashPassword(newPassword);
     const result = await pool.query(
-      'SELECT * FROM users WHERE reset_token = $1 AND reset_token_expires > $2',
-      [token, Date.now()]
+      'UPDATE users SET password = $1, reset_token_hash = NULL, reset_token_expires = NULL WHERE reset_token_hash = $2 AND reset_token_expires > $3 RETURNING id',
+      [hashedPassword, tokenHash, Date.now()]
     );
     const user = result.rows[0];
     
@@ -187,1033 +523,6804 @@ app.post('/api/auth/reset-password', async (req, res) => {
       return res.status(400).json({ error: 'Token inválido ou expirado' });
     }
 
-    const hashedPassword = await hashPassword(newPassword);
-    await pool.query(
-      'UPDATE users SET password = $1, reset_token = NULL, reset_token_expires = NULL WHERE id = $2',
-      [hashedPassword, user.id]
-    );
+    // Quem estava logado com a senha antiga precisa entrar de novo
+    const revoked = await revokeSessions(pool, user.id, 'password_reset');
     
-    res.json({ message: 'Senha redefinida com sucesso' });
+    res.json({ message: 'Senha redefinida com sucesso', sessionsRevoked: revoked.length });
   } catch (error) {
     console.error('Erro ao redefinir senha:', error);
     res.status(500).json({ error: 'Erro ao redefinir senha' });
   }
 });
 
-// ==================== ACCOUNTS ====================
-app.get('/api/accounts', authMiddleware, async (req, res) => {
-  try {
-    const accountsResult = await pool.query('SELECT * FROM accounts WHERE user_id = $1 ORDER BY created_at', [req.userId]);
-    
-    // Calcular saldo efetivo baseado em transações até hoje
-    const today = new Date().toISOString().split('T')[0];
-    
-    const accountsWithBalance = await Promise.all(accountsResult.rows.map(async (account) => {
-      // Buscar todas as transações até hoje
-      const transactionsResult = await pool.query(
-        'SELECT type, amount FROM transactions WHERE account_id = $1 AND date <= $2',
-        [account.id, today]
-      );
-      
-      // Buscar exchanges até hoje
-      const exchangesFromResult = await pool.query(
-        'SELECT from_amount FROM exchange_operations WHERE from_account_id = $1 AND date <= $2',
-        [account.id, today]
-      );
-      const exchangesToResult = await pool.query(
-        'SELECT to_amount FROM exchange_operations WHERE to_account_id = $1 AND date <= $2',
-        [account.id, today]
-      );
-      
-      // Calcular saldo inicial (do banco)
-      let effectiveBalance = parseFloat(account.balance);
-      
-      // Subtrair transações futuras
-      const futureTransactions = await pool.query(
-        'SELECT type, amount FROM transactions WHERE account_id = $1 AND date > $2',
-        [account.id, today]
-      );
-      
-      futureTransactions.rows.forEach(t => {
-        const change = t.type.toUpperCase() === 'INCOME' ? -parseFloat(t.amount) : parseFloat(t.amount);
-        effectiveBalance += change;
-      });
-      
-      // Subtrair exchanges futuros
-      const futureExchangesFrom = await pool.query(
-        'SELECT from_amount FROM exchange_operations WHERE from_account_id = $1 AND date > $2',
-        [account.id, today]
-      );
-      const futureExchangesTo = await pool.query(
-        'SELECT to_amount FROM exchange_operations WHERE to_account_id = $1 AND date > $2',
-        [account.id, today]
-      );
-      
-      futureExchangesFrom.rows.forEach(e => {
-        effectiveBalance += parseFloat(e.from_amount);
-      });
-      
-      futureExchangesTo.rows.forEach(e => {
-        effectiveBalance -= parseFloat(e.to_amount);
-      });
-      
-      return {
-        ...account,
-        balance: effectiveBalance
-      };
-    }));
-    
-    res.json(accountsWithBalance);
-  } catch (error) {
-    console.error('Erro ao buscar contas:', error);
-    res.status(500).json({ error: 'Erro ao buscar contas' });
+// ==================== TWO-FACTOR AUTH ====================
+const TOTP_ISSUER = 'FinanceFlow';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Passos aceitos antes e depois do atual, para relógios um pouco fora de hora
+const TOTP_WINDOW = 1;
+const TOTP_MAX_FAILED_ATTEMPTS = 5;
+const TOTP_LOCK_MINUTES = 15;
+const RECOVERY_CODES_COUNT = 10;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// RFC 6238: HMAC-SHA1 do contador de passos, truncado para TOTP_DIGITS dígitos
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Devolve o passo em que o código confere, ou null; passos até lastStep já foram usados
+const verifyTotp = (secret, code, lastStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+  const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
   }
-});
+  return null;
+};
 
-app.post('/api/accounts', authMiddleware, async (req, res) => {
-  try {
-    const { name, type, currency, balance, isEmergencyFund } = req.body;
-    const accountType = type || 'checking'; // Valor padrão: checking
-    const result = await pool.query(
-      'INSERT INTO accounts (user_id, name, type, currency, balance, is_emergency_fund) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [req.userId, name, accountType, currency, balance || 0, isEmergencyFund || false]
+// O segredo precisa ser lido de volta para validar os códigos, então é cifrado em vez de hasheado
+const TOTP_ENCRYPTION_KEY = crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, data] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString();
+};
+
+// Chave HMAC a partir do segredo base32 cifrado no banco
+const getTotpKey = (encrypted) => base32Decode(decryptSecret(encrypted));
+
+// Códigos como ABCDE-FGHIJ; na comparação, maiúsculas/minúsculas e hífens não importam
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+
+const generateRecoveryCodes = async (db, userId) => {
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    await db.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(code)]
     );
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Erro ao criar conta:', error);
-    res.status(500).json({ error: 'Erro ao criar conta' });
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
   }
-});
+  return codes;
+};
 
-app.put('/api/accounts/:id', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, type, currency, isEmergencyFund } = req.body;
-    const result = await pool.query(
-      'UPDATE accounts SET name = $1, type = $2, currency = $3, is_emergency_fund = $4 WHERE id = $5 AND user_id = $6 RETURNING *',
-      [name, type, currency, isEmergencyFund !== undefined ? isEmergencyFund : false, id, req.userId]
-    );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Conta não encontrada' });
+/**
+ * Confere um código TOTP ou, na falta dele, um código de recuperação (que é consumido).
+ * Falhas seguidas bloqueiam a verificação por TOTP_LOCK_MINUTES. Devolve { status, error } ou {}.
+ * `user` precisa ter sido lido com FOR UPDATE na mesma transação: o bloqueio e o contador de
+ * falhas são conferidos nessa linha, e verificações simultâneas esperam umas pelas outras.
+ */
+const verifySecondFactor = async (db, user, { code, recoveryCode }) => {
+  if (user.totp_locked_until && new Date(user.totp_locked_until) > new Date()) {
+    return { status: 429, error: 'Muitas tentativas inválidas. Tente novamente mais tarde' };
+  }
+
+  let valid = false;
+  if (code) {
+    const step = verifyTotp(getTotpKey(user.totp_secret), code, user.totp_last_step === null ? null : parseInt(user.totp_last_step));
+    if (step !== null) {
+      // Condicional: de duas requisições simultâneas com o mesmo código, só uma grava o passo
+      const updated = await db.query(
+        'UPDATE users SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)',
+        [step, user.id]
+      );
+      valid = updated.rowCount > 0;
     }
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Erro ao atualizar conta:', error);
-    res.status(500).json({ error: 'Erro ao atualizar conta' });
+  } else if (recoveryCode) {
+    const used = await db.query(
+      'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id',
+      [user.id, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    valid = used.rows.length > 0;
+  } else {
+    return { status: 400, error: 'Informe code ou recoveryCode' };
   }
-});
 
-app.delete('/api/accounts/:id', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params;
-    await pool.query('DELETE FROM accounts WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Conta deletada com sucesso' });
-  } catch (error) {
-    console.error('Erro ao deletar conta:', error);
-    res.status(500).json({ error: 'Erro ao deletar conta' });
+  if (!valid) {
+    await db.query(
+      `UPDATE users
+       SET totp_failed_attempts = CASE WHEN totp_failed_attempts + 1 >= $2 THEN 0 ELSE totp_failed_attempts + 1 END,
+           totp_locked_until = CASE WHEN totp_failed_attempts + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE totp_locked_until END
+       WHERE id = $1`,
+      [user.id, TOTP_MAX_FAILED_ATTEMPTS, TOTP_LOCK_MINUTES]
+    );
+    return { status: 401, error: 'Código inválido' };
   }
-});
+  await db.query('UPDATE users SET totp_failed_attempts = 0, totp_locked_until = NULL WHERE id = $1', [user.id]);
+  return {};
+};
 
-// ==================== CATEGORIES ====================
-app.get('/api/categories', authMiddleware, async (req, res) => {
+// Token intermediário do login com 2FA: sem sessão, não passa pelo authMiddleware.
+// O jti é consumido na verificação bem-sucedida, então o token não serve duas vezes.
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL, jwtid: crypto.randomUUID() });
+};
+
+// Devolve false se o desafio já foi usado
+const consumeTwoFactorChallenge = async (db, decoded) => {
+  const result = await db.query(
+    'INSERT INTO two_factor_challenges (jti, user_id, expires_at) VALUES ($1, $2, to_timestamp($3)) ON CONFLICT (jti) DO NOTHING',
+    [decoded.jti, decoded.userId, decoded.exp]
+  );
+  return result.rowCount > 0;
+};
+
+const findUserById = async (db, userId, { forUpdate = false } = {}) => {
+  const result = await db.query(`SELECT * FROM users WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [userId]);
+  return result.rows[0] || null;
+};
+
+// Gera um segredo pendente; o 2FA só passa a valer depois de /api/auth/2fa/confirm
+app.post('/api/auth/2fa/enroll', authMiddleware, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM categories WHERE user_id = $1 ORDER BY name', [req.userId]);
-    res.json(result.rows);
+    const user = await findUserById(pool, req.userId);
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ error: '2FA já está ativado' });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.query('UPDATE users SET totp_pending_secret = $1 WHERE id = $2', [encryptSecret(secret), req.userId]);
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+    const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+    res.json({ secret, otpauthUri });
   } catch (error) {
-    console.error('Erro ao buscar categorias:', error);
-    res.status(500).json({ error: 'Erro ao buscar categorias' });
+    console.error('Erro ao iniciar 2FA:', error);
+    res.status(500).json({ error: 'Erro ao iniciar 2FA' });
   }
 });
 
-app.post('/api/categories', authMiddleware, async (req, res) => {
+// Confirma com um código do app autenticador e devolve os códigos de recuperação (só desta vez)
+app.post('/api/auth/2fa/confirm', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { name, type, color } = req.body;
-    const result = await pool.query(
-      'INSERT INTO categories (user_id, name, type, color) VALUES ($1, $2, $3, $4) RETURNING *',
-      [req.userId, name, type, color]
+    await client.query('BEGIN');
+
+    const user = await findUserById(client, req.userId, { forUpdate: true });
+    if (user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: '2FA já está ativado' });
+    }
+    if (!user.totp_pending_secret) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Inicie a ativação em /api/auth/2fa/enroll' });
+    }
+    const step = verifyTotp(getTotpKey(user.totp_pending_secret), req.body.code);
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Código inválido' });
+    }
+
+    await client.query(
+      'UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = NOW(), totp_last_step = $1, totp_failed_attempts = 0, totp_locked_until = NULL WHERE id = $2',
+      [step, req.userId]
     );
-    res.json(result.rows[0]);
+    const recoveryCodes = await generateRecoveryCodes(client, req.userId);
+
+    await client.query('COMMIT');
+    res.json({ message: '2FA ativado com sucesso', recoveryCodes });
   } catch (error) {
-    console.error('Erro ao criar categoria:', error);
-    res.status(500).json({ error: 'Erro ao criar categoria' });
+    await client.query('ROLLBACK');
+    console.error('Erro ao confirmar 2FA:', error);
+    res.status(500).json({ error: 'Erro ao confirmar 2FA' });
+  } finally {
+    client.release();
   }
 });
 
-app.put('/api/categories/:id', authMiddleware, async (req, res) => {
+// Segunda etapa do login: challengeToken + code (ou recoveryCode) viram os tokens da sessão
+app.post('/api/auth/2fa/verify', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { name, type, color } = req.body;
-    const result = await pool.query(
-      'UPDATE categories SET name = $1, type = $2, color = $3 WHERE id = $4 AND user_id = $5 RETURNING *',
-      [name, type, color, id, req.userId]
-    );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Categoria não encontrada' });
+    const decoded = verifyToken(req.body.challengeToken);
+    if (!decoded || decoded.purpose !== '2fa' || !isValidUuid(decoded.jti)) {
+      return res.status(401).json({ error: 'Desafio inválido ou expirado, faça login novamente' });
     }
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Erro ao atualizar categoria:', error);
-    res.status(500).json({ error: 'Erro ao atualizar categoria' });
+
+    // O desafio é consumido antes do código: uma verificação simultânea com o mesmo token
+    // espera este commit e encontra o jti já usado
+    await client.query('BEGIN');
+    const user = await findUserById(client, decoded.userId, { forUpdate: true });
+    if (!user || !user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Desafio inválido ou expirado, faça login novamente' });
+    }
+    if (!(await consumeTwoFactorChallenge(client, decoded))) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Desafio inválido ou expirado, faça login novamente' });
+    }
+
+    const verification = await verifySecondFactor(client, user, req.body);
+    if (verification.error) {
+      // Código errado não gasta o desafio, mas a tentativa falha fica registrada
+      await client.query('DELETE FROM two_factor_challenges WHERE jti = $1', [decoded.jti]);
+      await client.query('COMMIT');
+      return res.status(verification.status).json({ error: verification.error });
+    }
+    await client.query('COMMIT');
+
+    const tokens = await createSession(user.id, req);
+    res.json({ ...tokens, user: { id: user.id, name: user.name, email: user.email } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao verificar 2FA:', error);
+    res.status(500).json({ error: 'Erro ao verificar 2FA' });
+  } finally {
+    client.release();
   }
 });
 
-app.delete('/api/categories/:id', authMiddleware, async (req, res) => {
+// Gera novos códigos de recuperação (os anteriores deixam de valer); exige um código válido
+app.post('/api/auth/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    await pool.query('DELETE FROM categories WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Categoria deletada com sucesso' });
+    await client.query('BEGIN');
+
+    const user = await findUserById(client, req.userId, { forUpdate: true });
+    if (!user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: '2FA não está ativado' });
+    }
+    const verification = await verifySecondFactor(client, user, req.body);
+    if (verification.error) {
+      // As tentativas falhas precisam ficar registradas
+      await client.query('COMMIT');
+      return res.status(verification.status).json({ error: verification.error });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(client, req.userId);
+    await client.query('COMMIT');
+    res.json({ recoveryCodes });
   } catch (error) {
-    console.error('Erro ao deletar categoria:', error);
-    res.status(500).json({ error: 'Erro ao deletar categoria' });
+    await client.query('ROLLBACK');
+    console.error('Erro ao gerar códigos de recuperação:', error);
+    res.status(500).json({ error: 'Erro ao gerar códigos de recuperação' });
+  } finally {
+    client.release();
   }
 });
 
-// ==================== INCOME SOURCES ====================
-app.get('/api/income-sources', authMiddleware, async (req, res) => {
+// Desativa o 2FA; exige a senha e um código (TOTP ou de recuperação)
+app.post('/api/auth/2fa/disable', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query('SELECT * FROM income_sources WHERE user_id = $1 ORDER BY name', [req.userId]);
-    res.json(result.rows);
+    await client.query('BEGIN');
+
+    const user = await findUserById(client, req.userId, { forUpdate: true });
+    if (!user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: '2FA não está ativado' });
+    }
+    if (!(await comparePassword(String(req.body.password || ''), user.password))) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Senha inválida' });
+    }
+    const verification = await verifySecondFactor(client, user, req.body);
+    if (verification.error) {
+      await client.query('COMMIT');
+      return res.status(verification.status).json({ error: verification.error });
+    }
+
+    await client.query(
+      'UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+      [req.userId]
+    );
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [req.userId]);
+    await client.query('COMMIT');
+    res.json({ message: '2FA desativado com sucesso' });
   } catch (error) {
-    console.error('Erro ao buscar fontes:', error);
-    res.status(500).json({ error: 'Erro ao buscar fontes de renda' });
+    await client.query('ROLLBACK');
+    console.error('Erro ao desativar 2FA:', error);
+    res.status(500).json({ error: 'Erro ao desativar 2FA' });
+  } finally {
+    client.release();
   }
 });
 
-app.post('/api/income-sources', authMiddleware, async (req, res) => {
+// ==================== SETTINGS ====================
+// 'standard': orçamentos independentes; 'envelope': a renda do mês é distribuída entre eles
+const BUDGET_MODES = ['standard', 'envelope'];
+
+app.get('/api/settings', authMiddleware, async (req, res) => {
   try {
-    const { name, description } = req.body;
-    const result = await pool.query(
-      'INSERT INTO income_sources (user_id, name, description) VALUES ($1, $2, $3) RETURNING *',
-      [req.userId, name, description]
-    );
-    res.json(result.rows[0]);
+    const result = await pool.query('SELECT base_currency, budget_mode, language FROM users WHERE id = $1', [req.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    res.json({ baseCurrency: result.rows[0].base_currency, budgetMode: result.rows[0].budget_mode, language: result.rows[0].language });
   } catch (error) {
-    console.error('Erro ao criar fonte:', error);
-    res.status(500).json({ error: 'Erro ao criar fonte de renda' });
+    console.error('Erro ao buscar configurações:', error);
+    res.status(500).json({ error: 'Erro ao buscar configurações' });
   }
 });
 
-app.put('/api/income-sources/:id', authMiddleware, async (req, res) => {
+// Atualiza só os campos enviados
+app.put('/api/settings', authMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description } = req.body;
+    const { budgetMode } = req.body;
+    if (req.body.baseCurrency === undefined && budgetMode === undefined && req.body.language === undefined) {
+      return res.status(400).json({ error: 'Informe baseCurrency, budgetMode e/ou language' });
+    }
+
+    const baseCurrency = req.body.baseCurrency !== undefined ? normalizeCurrency(req.body.baseCurrency) : null;
+    if (req.body.baseCurrency !== undefined && !baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida. Use um código ISO 4217 (ex.: BRL, EUR, USD)' });
+    }
+    if (budgetMode !== undefined && !BUDGET_MODES.includes(budgetMode)) {
+      return res.status(400).json({ error: 'budgetMode deve ser standard ou envelope' });
+    }
+    const language = req.body.language !== undefined ? normalizeLanguage(req.body.language) : null;
+    if (req.body.language !== undefined && !language) {
+      return res.status(400).json({ error: `language deve ser um de: ${LANGUAGES.join(', ')}` });
+    }
+
     const result = await pool.query(
-      'UPDATE income_sources SET name = $1, description = $2 WHERE id = $3 AND user_id = $4 RETURNING *',
-      [name, description, id, req.userId]
+      'UPDATE users SET base_currency = COALESCE($1, base_currency), budget_mode = COALESCE($2, budget_mode), language = COALESCE($3, language) WHERE id = $4 RETURNING base_currency, budget_mode, language',
+      [baseCurrency, budgetMode || null, language, req.userId]
     );
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Fonte não encontrada' });
+      return res.status(404).json({ error: 'Usuário não encontrado' });
     }
-    res.json(result.rows[0]);
+    res.json({ baseCurrency: result.rows[0].base_currency, budgetMode: result.rows[0].budget_mode, language: result.rows[0].language });
   } catch (error) {
-    console.error('Erro ao atualizar fonte:', error);
-    res.status(500).json({ error: 'Erro ao atualizar fonte de renda' });
+    console.error('Erro ao atualizar configurações:', error);
+    res.status(500).json({ error: 'Erro ao atualizar configurações' });
   }
 });
 
-app.delete('/api/income-sources/:id', authMiddleware, async (req, res) => {
+// ==================== ACCOUNTS ====================
+const CREDIT_CARD_TYPE = 'credit_card';
+
+// Limite, fechamento e vencimento: obrigatórios no cartão de crédito, nulos nas demais contas
+const validateCreditCardFields = (type, body) => {
+  if (type !== CREDIT_CARD_TYPE) {
+    return { data: { creditLimit: null, closingDay: null, dueDay: null } };
+  }
+  const creditLimit = parseFloat(body.creditLimit);
+  const closingDay = parseInt(body.statementClosingDay);
+  const dueDay = parseInt(body.statementDueDay);
+  if (!(creditLimit > 0)) {
+    return { error: 'creditLimit deve ser maior que zero' };
+  }
+  if (!(closingDay >= 1 && closingDay <= 31) || !(dueDay >= 1 && dueDay <= 31)) {
+    return { error: 'statementClosingDay e statementDueDay devem estar entre 1 e 31' };
+  }
+  return { data: { creditLimit, closingDay, dueDay } };
+};
+
+/**
+ * Saldo de cada conta do usuário em `asOf`: saldo inicial + movimentos do account_ledger
+ * (transações, câmbios e transferências) até a data, numa única consulta.
+ */
+const getLedgerBalances = async (db, userId, asOf) => {
+  const result = await db.query(
+    `SELECT a.*, a.opening_balance + COALESCE(SUM(l.amount), 0) AS ledger_balance
+     FROM accounts a
+     LEFT JOIN account_ledger l ON l.account_id = a.id AND l.date <= $2
+     WHERE a.user_id = $1
+     GROUP BY a.id
+     ORDER BY a.created_at`,
+    [userId, asOf]
+  );
+  return result.rows;
+};
+
+// Saldo efetivo em ?asOf=YYYY-MM-DD (padrão: hoje); lançamentos futuros ficam de fora
+app.get('/api/accounts', authMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
-    await pool.query('DELETE FROM income_sources WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Fonte deletada com sucesso' });
+    const asOf = req.query.asOf || getToday();
+    if (!isValidDateString(asOf)) {
+      return res.status(400).json({ error: 'asOf deve estar no formato YYYY-MM-DD' });
+    }
+    
+    const rows = await getLedgerBalances(pool, req.userId, asOf);
+    const accounts = rows.map(({ ledger_balance, ...account }) => ({
+      ...account,
+      balance: parseFloat(ledger_balance),
+      // Parcelas futuras já comprometem o limite do cartão, por isso o saldo armazenado
+      ...(account.type === CREDIT_CARD_TYPE && account.credit_limit !== null && {
+        availableCredit: roundMoney(parseFloat(account.credit_limit) + Math.min(parseFloat(account.balance), 0))
+      })
+    }));
+    
+    res.json(accounts);
   } catch (error) {
-    console.error('Erro ao deletar fonte:', error);
-    res.status(500).json({ error: 'Erro ao deletar fonte de renda' });
+    console.error('Erro ao buscar contas:', error);
+    res.status(500).json({ error: 'Erro ao buscar contas' });
   }
 });
 
-// ==================== TRANSACTIONS ====================
-app.get('/api/transactions', authMiddleware, async (req, res) => {
+app.post('/api/accounts', authMiddleware, async (req, res) => {
   try {
+    const { name, type, currency, balance, isEmergencyFund } = req.body;
+    const accountType = type || 'checking'; // Valor padrão: checking
+    const accountCurrency = normalizeCurrency(currency);
+    if (!accountCurrency) {
+      return res.status(400).json({ error: 'Moeda inválida' });
+    }
+    const card = validateCreditCardFields(accountType, req.body);
+    if (card.error) {
+      return res.status(400).json({ error: card.error });
+    }
+    const { creditLimit, closingDay, dueDay } = card.data;
     const result = await pool.query(
-      'SELECT id, user_id as "userId", account_id as "accountId", category_id as "categoryId", income_source_id as "incomeSourceId", type, amount, description, date, created_at as "createdAt" FROM transactions WHERE user_id = $1 ORDER BY date DESC, created_at DESC',
-      [req.userId]
+      'INSERT INTO accounts (user_id, name, type, currency, balance, opening_balance, is_emergency_fund, credit_limit, statement_closing_day, statement_due_day) VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9) RETURNING *',
+      [req.userId, name, accountType, accountCurrency, balance || 0, isEmergencyFund || false, creditLimit, closingDay, dueDay]
     );
-    res.json(result.rows);
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Erro ao buscar transações:', error);
-    res.status(500).json({ error: 'Erro ao buscar transações' });
+    console.error('Erro ao criar conta:', error);
+    res.status(500).json({ error: 'Erro ao criar conta' });
   }
 });
 
-app.post('/api/transactions', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+app.put('/api/accounts/:id', authMiddleware, async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
-    let { accountId, categoryId, incomeSourceId, type, amount, description, date } = req.body;
-    
-    // Converter strings vazias em null
-    accountId = accountId || null;
-    categoryId = categoryId || null;
-    incomeSourceId = incomeSourceId || null;
-    
-    // Inserir transação
-    const result = await client.query(
-      'INSERT INTO transactions (user_id, account_id, category_id, income_source_id, type, amount, description, date) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-      [req.userId, accountId, categoryId, incomeSourceId, type, amount, description, date]
-    );
-    
-    // Atualizar saldo da conta
-    const balanceChange = type.toUpperCase() === 'INCOME' ? amount : -amount;
-    await client.query(
-      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [balanceChange, accountId, req.userId]
+    const { id } = req.params;
+    const { name, type, currency, isEmergencyFund } = req.body;
+    const accountCurrency = normalizeCurrency(currency);
+    if (!accountCurrency) {
+      return res.status(400).json({ error: 'Moeda inválida' });
+    }
+    const card = validateCreditCardFields(type, req.body);
+    if (card.error) {
+      return res.status(400).json({ error: card.error });
+    }
+    const { creditLimit, closingDay, dueDay } = card.data;
+    const result = await pool.query(
+      'UPDATE accounts SET name = $1, type = $2, currency = $3, is_emergency_fund = $4, credit_limit = $5, statement_closing_day = $6, statement_due_day = $7 WHERE id = $8 AND user_id = $9 RETURNING *',
+      [name, type, accountCurrency, isEmergencyFund !== undefined ? isEmergencyFund : false, creditLimit, closingDay, dueDay, id, req.userId]
     );
-    
-    await client.query('COMMIT');
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    triggerAchievements(req.userId);
     res.json(result.rows[0]);
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Erro ao criar transação:', error);
-    res.status(500).json({ error: 'Erro ao criar transação' });
-  } finally {
-    client.release();
+    console.error('Erro ao atualizar conta:', error);
+    res.status(500).json({ error: 'Erro ao atualizar conta' });
   }
 });
 
-app.put('/api/transactions/:id', authMiddleware, async (req, res) => {
+// Reconstrói o saldo armazenado a partir do saldo inicial e de todo o histórico, inclusive
+// lançamentos futuros. openingBalance (opcional) corrige o saldo inicial antes do cálculo.
+app.post('/api/accounts/:id/recalculate', authMiddleware, async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     
     const { id } = req.params;
-    const { accountId, categoryId, incomeSourceId, type, amount, description, date } = req.body;
-    
-    // Buscar transação antiga
-    const oldTx = await client.query('SELECT * FROM transactions WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    if (oldTx.rows.length === 0) {
+    const { openingBalance } = req.body;
+    if (openingBalance !== undefined && isNaN(parseFloat(openingBalance))) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Transação não encontrada' });
+      return res.status(400).json({ error: 'openingBalance inválido' });
     }
     
-    const old = oldTx.rows[0];
-    
-    // Reverter saldo antigo
-    const oldBalanceChange = old.type === 'income' ? -old.amount : old.amount;
-    await client.query(
-      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [oldBalanceChange, old.account_id, req.userId]
+    const accountResult = await client.query(
+      'SELECT balance, opening_balance FROM accounts WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [id, req.userId]
     );
+    if (accountResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    const account = accountResult.rows[0];
     
-    // Atualizar transação
     const result = await client.query(
-      'UPDATE transactions SET account_id = $1, category_id = $2, income_source_id = $3, type = $4, amount = $5, description = $6, date = $7 WHERE id = $8 AND user_id = $9 RETURNING *',
-      [accountId, categoryId, incomeSourceId, type, amount, description, date, id, req.userId]
-    );
-    
-    // Aplicar novo saldo
-    const newBalanceChange = type === 'income' ? amount : -amount;
-    await client.query(
-      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [newBalanceChange, accountId, req.userId]
+      `UPDATE accounts a
+       SET opening_balance = $3,
+           balance = $3 + COALESCE((SELECT SUM(l.amount) FROM account_ledger l WHERE l.account_id = a.id), 0)
+       WHERE a.id = $1 AND a.user_id = $2
+       RETURNING a.balance, a.opening_balance`,
+      [id, req.userId, openingBalance !== undefined ? parseFloat(openingBalance) : account.opening_balance]
     );
     
     await client.query('COMMIT');
-    res.json(result.rows[0]);
+    
+    const previousBalance = parseFloat(account.balance);
+    const balance = parseFloat(result.rows[0].balance);
+    res.json({
+      id,
+      openingBalance: parseFloat(result.rows[0].opening_balance),
+      previousBalance,
+      balance,
+      difference: Math.round((balance - previousBalance) * 100) / 100
+    });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Erro ao atualizar transação:', error);
-    res.status(500).json({ error: 'Erro ao atualizar transação' });
+    console.error('Erro ao recalcular saldo:', error);
+    res.status(500).json({ error: 'Erro ao recalcular saldo' });
   } finally {
     client.release();
   }
 });
 
-app.delete('/api/transactions/:id', authMiddleware, async (req, res) => {
+app.delete('/api/accounts/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await pool.query('DELETE FROM accounts WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Conta deletada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao deletar conta:', error);
+    res.status(500).json({ error: 'Erro ao deletar conta' });
+  }
+});
+
+// Fechamento da fatura em que cai uma compra; compras no dia do fechamento já vão para a seguinte
+const getStatementClosingDate = (account, date) => {
+  const closing = addMonths(date, 0, account.statement_closing_day);
+  return date < closing ? closing : addMonths(closing, 1, account.statement_closing_day);
+};
+
+// A fatura vai do fechamento anterior (inclusive) ao seu fechamento (exclusive) e vence no
+// primeiro dia de vencimento depois do fechamento
+const getStatementPeriod = (account, closingDate) => {
+  const closingDay = account.statement_closing_day;
+  const dueDay = account.statement_due_day;
+  return {
+    openingDate: addMonths(closingDate, -1, closingDay),
+    closingDate,
+    dueDate: addMonths(closingDate, dueDay > closingDay ? 0 : 1, dueDay)
+  };
+};
+
+// 'current' é a fatura aberta hoje, 'next' a seguinte e YYYY-MM a que fecha nesse mês
+const resolveStatementClosingDate = (account, statement) => {
+  const current = getStatementClosingDate(account, getToday());
+  if (statement === 'current') return current;
+  if (statement === 'next') return addMonths(current, 1, account.statement_closing_day);
+  if (/^\d{4}-\d{2}$/.test(statement) && isValidDateString(`${statement}-01`)) {
+    return addMonths(`${statement}-01`, 0, account.statement_closing_day);
+  }
+  return null;
+};
+
+const findCreditCardAccount = async (db, userId, accountId) => {
+  const result = await db.query('SELECT * FROM accounts WHERE id = $1 AND user_id = $2', [accountId, userId]);
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Conta não encontrada' };
+  }
+  if (result.rows[0].type !== CREDIT_CARD_TYPE) {
+    return { status: 400, error: 'A conta não é um cartão de crédito' };
+  }
+  if (!result.rows[0].statement_closing_day) {
+    return { status: 400, error: 'Informe limite, fechamento e vencimento do cartão' };
+  }
+  return { account: result.rows[0] };
+};
+
+// Compras e estornos do período, pagamentos vinculados à fatura e o que falta pagar
+const buildInvoice = async (db, account, closingDate) => {
+  const period = getStatementPeriod(account, closingDate);
+  const charges = await db.query(
+    `SELECT id, type, amount, description, date, category_id, installment_group_id, installment_number, installment_count
+     FROM transactions
+     WHERE account_id = $1 AND date >= $2 AND date < $3
+     ORDER BY date, created_at`,
+    [account.id, period.openingDate, period.closingDate]
+  );
+  const payments = await db.query(
+    'SELECT * FROM exchange_operations WHERE to_account_id = $1 AND statement_date = $2 ORDER BY date, created_at',
+    [account.id, period.closingDate]
+  );
+
+  const purchases = charges.rows.filter(t => t.type.toUpperCase() === 'EXPENSE').reduce((sum, t) => sum + parseFloat(t.amount), 0);
+  const credits = charges.rows.filter(t => t.type.toUpperCase() === 'INCOME').reduce((sum, t) => sum + parseFloat(t.amount), 0);
+  const paid = payments.rows.reduce((sum, p) => sum + parseFloat(p.to_amount), 0);
+  const total = roundMoney(purchases - credits);
+  const remaining = roundMoney(Math.max(total - paid, 0));
+
+  const today = getToday();
+  let status = 'closed';
+  if (today < period.closingDate) status = 'open';
+  else if (remaining === 0) status = 'paid';
+  else if (today > period.dueDate) status = 'overdue';
+
+  return {
+    accountId: account.id,
+    currency: account.currency,
+    ...period,
+    status,
+    purchases: roundMoney(purchases),
+    credits: roundMoney(credits),
+    total,
+    paid: roundMoney(paid),
+    remaining,
+    transactions: charges.rows.map(t => ({
+      id: t.id,
+      type: t.type,
+      amount: parseFloat(t.amount),
+      description: t.description,
+      date: toDateString(t.date),
+      categoryId: t.category_id,
+      installmentGroupId: t.installment_group_id,
+      installmentNumber: t.installment_number,
+      installmentCount: t.installment_count
+    })),
+    payments: payments.rows.map(p => mapExchange(p))
+  };
+};
+
+// Fatura do cartão: /invoices/current, /invoices/next ou /invoices/YYYY-MM (mês do fechamento)
+app.get('/api/accounts/:id/invoices/:statement', authMiddleware, async (req, res) => {
+  try {
+    const lookup = await findCreditCardAccount(pool, req.userId, req.params.id);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error });
+    }
+    const closingDate = resolveStatementClosingDate(lookup.account, req.params.statement);
+    if (!closingDate) {
+      return res.status(400).json({ error: 'Fatura inválida. Use current, next ou YYYY-MM' });
+    }
+    res.json(await buildInvoice(pool, lookup.account, closingDate));
+  } catch (error) {
+    console.error('Erro ao buscar fatura:', error);
+    res.status(500).json({ error: 'Erro ao buscar fatura' });
+  }
+});
+
+// Paga a fatura com uma transferência da conta de origem para o cartão; sem amount, quita o restante
+app.post('/api/accounts/:id/invoices/:statement/pay', authMiddleware, async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    
-    const { id } = req.params;
-    
-    // Buscar transação
-    const result = await client.query('SELECT * FROM transactions WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    if (result.rows.length === 0) {
+
+    const lookup = await findCreditCardAccount(client, req.userId, req.params.id);
+    if (lookup.error) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Transação não encontrada' });
+      return res.status(lookup.status).json({ error: lookup.error });
     }
-    
-    const transaction = result.rows[0];
-    
-    // Reverter saldo
-    const balanceChange = transaction.type === 'income' ? -transaction.amount : transaction.amount;
+    const card = lookup.account;
+    const closingDate = resolveStatementClosingDate(card, req.params.statement);
+    if (!closingDate) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Fatura inválida. Use current, next ou YYYY-MM' });
+    }
+
+    const { fromAccountId } = req.body;
+    const fromAccount = await client.query('SELECT type FROM accounts WHERE id = $1 AND user_id = $2', [fromAccountId, req.userId]);
+    if (fromAccount.rows[0]?.type === CREDIT_CARD_TYPE) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'A fatura não pode ser paga com outro cartão de crédito' });
+    }
+
+    const invoice = await buildInvoice(client, card, closingDate);
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : invoice.remaining;
+    if (!(amount > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: req.body.amount === undefined ? 'A fatura não tem saldo a pagar' : 'amount deve ser maior que zero' });
+    }
+    const validation = await validateExchangeInput(client, req.userId, {
+      type: 'transfer',
+      fromAccountId,
+      toAccountId: card.id,
+      fromAmount: amount,
+      date: req.body.date || getToday()
+    });
+    if (validation.error) {
+      await client.query('ROLLBACK');
+      return res.status(validation.status).json({ error: validation.error });
+    }
+    const { type, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date } = validation.data;
+
+    const result = await client.query(
+      'INSERT INTO exchange_operations (user_id, type, from_account_id, to_account_id, from_amount, to_amount, from_currency, to_currency, exchange_rate, date, statement_date) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+      [req.userId, type, fromAccountId, card.id, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date, closingDate]
+    );
+    await client.query(
+      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
+      [fromAmount, fromAccountId, req.userId]
+    );
     await client.query(
       'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [balanceChange, transaction.account_id, req.userId]
+      [toAmount, card.id, req.userId]
     );
-    
-    // Deletar transação
-    await client.query('DELETE FROM transactions WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    
+
+    const updated = await buildInvoice(client, card, closingDate);
     await client.query('COMMIT');
-    res.json({ message: 'Transação deletada com sucesso' });
+    res.status(201).json({ payment: mapExchange(result.rows[0]), invoice: updated });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Erro ao deletar transação:', error);
-    res.status(500).json({ error: 'Erro ao deletar transação' });
+    console.error('Erro ao pagar fatura:', error);
+    res.status(500).json({ error: 'Erro ao pagar fatura' });
   } finally {
     client.release();
   }
 });
 
-// ==================== EXCHANGES ====================
-app.get('/api/exchanges', authMiddleware, async (req, res) => {
+// ==================== CATEGORIES ====================
+app.get('/api/categories', authMiddleware, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM exchange_operations WHERE user_id = $1 ORDER BY date DESC, created_at DESC',
-      [req.userId]
-    );
-    
-    // Mapear campos do banco para formato esperado pelo frontend
-    const mappedRows = result.rows.map(row => ({
-      id: row.id,
-      sourceAccountId: row.from_account_id,
-      sourceAmount: parseFloat(row.from_amount),
-      destinationAccountId: row.to_account_id,
-      destinationAmount: parseFloat(row.to_amount),
-      date: row.date,
-      createdAt: row.created_at
-    }));
-    
-    res.json(mappedRows);
+    const result = await pool.query('SELECT * FROM categories WHERE user_id = $1 ORDER BY name', [req.userId]);
+    res.json(result.rows);
   } catch (error) {
-    console.error('Erro ao buscar câmbios:', error);
-    res.status(500).json({ error: 'Erro ao buscar operações de câmbio' });
+    console.error('Erro ao buscar categorias:', error);
+    res.status(500).json({ error: 'Erro ao buscar categorias' });
   }
 });
 
-app.post('/api/exchanges', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+app.post('/api/categories', authMiddleware, async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
-    const { fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date } = req.body;
-    
-    // Inserir operação de câmbio
-    const result = await client.query(
-      'INSERT INTO exchange_operations (user_id, from_account_id, to_account_id, from_amount, to_amount, from_currency, to_currency, exchange_rate, date) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-      [req.userId, fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date]
-    );
-    
-    // Atualizar saldos
-    await client.query(
-      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
-      [fromAmount, fromAccountId, req.userId]
-    );
-    await client.query(
-      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [toAmount, toAccountId, req.userId]
+    const { name, type, color } = req.body;
+    const result = await pool.query(
+      'INSERT INTO categories (user_id, name, type, color) VALUES ($1, $2, $3, $4) RETURNING *',
+      [req.userId, name, type, color]
     );
-    
-    await client.query('COMMIT');
     res.json(result.rows[0]);
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Erro ao criar câmbio:', error);
-    res.status(500).json({ error: 'Erro ao criar operação de câmbio' });
-  } finally {
-    client.release();
+    console.error('Erro ao criar categoria:', error);
+    res.status(500).json({ error: 'Erro ao criar categoria' });
   }
 });
 
-app.put('/api/exchanges/:id', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+app.put('/api/categories/:id', authMiddleware, async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
     const { id } = req.params;
-    const { fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date } = req.body;
-    
-    // Buscar operação antiga para reverter saldos
-    const oldResult = await client.query('SELECT * FROM exchange_operations WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    if (oldResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Operação não encontrada' });
-    }
-    
-    const oldExchange = oldResult.rows[0];
-    
-    // Reverter saldos antigos
-    await client.query(
-      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [oldExchange.from_amount, oldExchange.from_account_id, req.userId]
-    );
-    await client.query(
-      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
-      [oldExchange.to_amount, oldExchange.to_account_id, req.userId]
-    );
-    
-    // Atualizar operação
-    const result = await client.query(
-      'UPDATE exchange_operations SET from_account_id = $1, to_account_id = $2, from_amount = $3, to_amount = $4, from_currency = $5, to_currency = $6, exchange_rate = $7, date = $8 WHERE id = $9 AND user_id = $10 RETURNING *',
-      [fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date, id, req.userId]
-    );
-    
-    // Aplicar novos saldos
-    await client.query(
-      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
-      [fromAmount, fromAccountId, req.userId]
-    );
-    await client.query(
-      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [toAmount, toAccountId, req.userId]
+    const { name, type, color } = req.body;
+    const result = await pool.query(
+      'UPDATE categories SET name = $1, type = $2, color = $3 WHERE id = $4 AND user_id = $5 RETURNING *',
+      [name, type, color, id, req.userId]
     );
-    
-    await client.query('COMMIT');
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Categoria não encontrada' });
+    }
     res.json(result.rows[0]);
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Erro ao atualizar câmbio:', error);
-    res.status(500).json({ error: 'Erro ao atualizar operação de câmbio' });
-  } finally {
-    client.release();
+    console.error('Erro ao atualizar categoria:', error);
+    res.status(500).json({ error: 'Erro ao atualizar categoria' });
   }
 });
 
-app.delete('/api/exchanges/:id', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+app.delete('/api/categories/:id', authMiddleware, async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
     const { id } = req.params;
-    
-    // Buscar operação
-    const result = await client.query('SELECT * FROM exchange_operations WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    if (result.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Operação não encontrada' });
-    }
-    
-    const exchange = result.rows[0];
-    
-    // Reverter saldos
-    await client.query(
-      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
-      [exchange.from_amount, exchange.from_account_id, req.userId]
-    );
-    await client.query(
-      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
-      [exchange.to_amount, exchange.to_account_id, req.userId]
-    );
-    
-    // Deletar operação
-    await client.query('DELETE FROM exchange_operations WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    
-    await client.query('COMMIT');
-    res.json({ message: 'Operação deletada com sucesso' });
+    await pool.query('DELETE FROM categories WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Categoria deletada com sucesso' });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Erro ao deletar câmbio:', error);
-    res.status(500).json({ error: 'Erro ao deletar operação de câmbio' });
-  } finally {
-    client.release();
+    console.error('Erro ao deletar categoria:', error);
+    res.status(500).json({ error: 'Erro ao deletar categoria' });
   }
 });
 
-
-// ==================== INVESTMENTS ====================
-app.get('/api/investments', authMiddleware, async (req, res) => {
+// ==================== INCOME SOURCES ====================
+app.get('/api/income-sources', authMiddleware, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM investments WHERE user_id = $1 ORDER BY purchase_date DESC',
-      [req.userId]
-    );
+    const result = await pool.query('SELECT * FROM income_sources WHERE user_id = $1 ORDER BY name', [req.userId]);
     res.json(result.rows);
   } catch (error) {
-    console.error('Erro ao buscar investimentos:', error);
-    res.status(500).json({ error: 'Erro ao buscar investimentos' });
+    console.error('Erro ao buscar fontes:', error);
+    res.status(500).json({ error: 'Erro ao buscar fontes de renda' });
   }
 });
 
-app.post('/api/investments', authMiddleware, async (req, res) => {
+app.post('/api/income-sources', authMiddleware, async (req, res) => {
   try {
-    const { name, type, amount, currentValue, currency, purchaseDate, broker, notes } = req.body;
+    const { name, description } = req.body;
     const result = await pool.query(
-      'INSERT INTO investments (user_id, name, type, amount, current_value, currency, purchase_date, broker, notes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-      [req.userId, name, type, amount, currentValue || amount, currency, purchaseDate, broker, notes]
+      'INSERT INTO income_sources (user_id, name, description) VALUES ($1, $2, $3) RETURNING *',
+      [req.userId, name, description]
     );
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Erro ao criar investimento:', error);
-    res.status(500).json({ error: 'Erro ao criar investimento' });
+    console.error('Erro ao criar fonte:', error);
+    res.status(500).json({ error: 'Erro ao criar fonte de renda' });
   }
 });
 
-app.put('/api/investments/:id', authMiddleware, async (req, res) => {
+app.put('/api/income-sources/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, type, amount, currentValue, currency, purchaseDate, broker, notes } = req.body;
+    const { name, description } = req.body;
     const result = await pool.query(
-      'UPDATE investments SET name = $1, type = $2, amount = $3, current_value = $4, currency = $5, purchase_date = $6, broker = $7, notes = $8 WHERE id = $9 AND user_id = $10 RETURNING *',
-      [name, type, amount, currentValue, currency, purchaseDate, broker, notes, id, req.userId]
+      'UPDATE income_sources SET name = $1, description = $2 WHERE id = $3 AND user_id = $4 RETURNING *',
+      [name, description, id, req.userId]
     );
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Investimento não encontrado' });
+      return res.status(404).json({ error: 'Fonte não encontrada' });
     }
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Erro ao atualizar investimento:', error);
-    res.status(500).json({ error: 'Erro ao atualizar investimento' });
+    console.error('Erro ao atualizar fonte:', error);
+    res.status(500).json({ error: 'Erro ao atualizar fonte de renda' });
   }
 });
 
-app.delete('/api/investments/:id', authMiddleware, async (req, res) => {
+app.delete('/api/income-sources/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    await pool.query('DELETE FROM investments WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Investimento deletado com sucesso' });
+    await pool.query('DELETE FROM income_sources WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Fonte deletada com sucesso' });
   } catch (error) {
-    console.error('Erro ao deletar investimento:', error);
-    res.status(500).json({ error: 'Erro ao deletar investimento' });
+    console.error('Erro ao deletar fonte:', error);
+    res.status(500).json({ error: 'Erro ao deletar fonte de renda' });
   }
 });
 
-app.get('/api/investments/allocation', authMiddleware, async (req, res) => {
+// ==================== TRANSACTIONS ====================
+const TRANSACTIONS_PAGE_SIZE = 50;
+const TRANSACTIONS_MAX_PAGE_SIZE = 500;
+
+const TRANSACTION_TYPES = ['INCOME', 'EXPENSE'];
+
+// Tipo sempre gravado em maiúsculas; devolve null se não for receita nem despesa
+const normalizeTransactionType = (type) => {
+  const value = String(type || '').toUpperCase();
+  return TRANSACTION_TYPES.includes(value) ? value : null;
+};
+
+const encodeTransactionCursor = (row) => {
+  return Buffer.from(JSON.stringify([row.cursorDate, row.cursorCreatedAt, row.id])).toString('base64url');
+};
+
+// Formato de timestamptz::text, como sai em encodeTransactionCursor
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} ([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/;
+
+const decodeTransactionCursor = (cursor) => {
   try {
-    const result = await pool.query(
-      'SELECT type, SUM(current_value) as total FROM investments WHERE user_id = $1 GROUP BY type',
-      [req.userId]
-    );
-    res.json(result.rows);
+    const [date, createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!isValidDateString(date) || !isValidUuid(id)) return null;
+    if (typeof createdAt !== 'string' || !CURSOR_TIMESTAMP_PATTERN.test(createdAt) || !isValidDateString(createdAt.slice(0, 10))) return null;
+    return { date, createdAt, id };
   } catch (error) {
-    console.error('Erro ao buscar alocação:', error);
-    res.status(500).json({ error: 'Erro ao buscar alocação' });
+    return null;
   }
-});
+};
 
+// Monta o WHERE dos filtros de GET /api/transactions; devolve { error } quando algum é inválido
+const buildTransactionFilters = (query, userId) => {
+  const conditions = ['t.user_id = $1'];
+  const params = [userId];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
 
-// ==================== METRICS ====================
-app.get('/api/metrics/dashboard', authMiddleware, async (req, res) => {
+  const { from, to, accountId, categoryId, incomeSourceId, type, minAmount, maxAmount, search } = query;
+
+  if (from) {
+    if (!isValidDateString(from)) return { error: 'Parâmetro from inválido (use YYYY-MM-DD)' };
+    addCondition('t.date >= ?', from);
+  }
+  if (to) {
+    if (!isValidDateString(to)) return { error: 'Parâmetro to inválido (use YYYY-MM-DD)' };
+    addCondition('t.date <= ?', to);
+  }
+  // Ids fora do formato UUID fariam o Postgres falhar na conversão
+  const idFilters = { accountId, categoryId, incomeSourceId };
+  const invalidId = Object.keys(idFilters).find(key => idFilters[key] && !isValidUuid(idFilters[key]));
+  if (invalidId) return { error: `Parâmetro ${invalidId} inválido` };
+  if (accountId) addCondition('t.account_id = ?', accountId);
+  if (categoryId) addCondition('t.category_id = ?', categoryId);
+  if (incomeSourceId) addCondition('t.income_source_id = ?', incomeSourceId);
+  if (type) {
+    if (!normalizeTransactionType(type)) return { error: 'Parâmetro type inválido' };
+    addCondition('UPPER(t.type) = ?', normalizeTransactionType(type));
+  }
+  if (minAmount !== undefined && minAmount !== '') {
+    if (isNaN(parseFloat(minAmount))) return { error: 'Parâmetro minAmount inválido' };
+    addCondition('t.amount >= ?', parseFloat(minAmount));
+  }
+  if (maxAmount !== undefined && maxAmount !== '') {
+    if (isNaN(parseFloat(maxAmount))) return { error: 'Parâmetro maxAmount inválido' };
+    addCondition('t.amount <= ?', parseFloat(maxAmount));
+  }
+  if (search) {
+    // % e _ digitados pelo usuário são literais
+    addCondition("t.description ILIKE ? ESCAPE '\\'", `%${String(search).replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  return { conditions, params };
+};
+
+/**
+ * Filtros: from, to, accountId, categoryId, incomeSourceId, type, minAmount, maxAmount e search.
+ * Paginação por cursor (limit, cursor) na ordem date, created_at, id decrescente, sempre com
+ * limite (padrão TRANSACTIONS_PAGE_SIZE); os totais são do conjunto filtrado inteiro, por moeda da conta.
+ */
+app.get('/api/transactions', authMiddleware, async (req, res) => {
   try {
-    const currentMonth = new Date().getMonth() + 1;
-    const currentYear = new Date().getFullYear();
-    
-    // Total em contas
-    const accountsResult = await pool.query(
-      'SELECT currency, SUM(balance) as total FROM accounts WHERE user_id = $1 GROUP BY currency',
-      [req.userId]
-    );
-    
-    // Total em investimentos
-    const investmentsResult = await pool.query(
-      'SELECT currency, SUM(current_value) as total FROM investments WHERE user_id = $1 GROUP BY currency',
-      [req.userId]
-    );
-    
-    // Total em ativos
-    const assetsResult = await pool.query(
-      'SELECT currency, SUM(value) as total FROM assets WHERE user_id = $1 GROUP BY currency',
-      [req.userId]
-    );
-    
-    // Total em passivos
-    const liabilitiesResult = await pool.query(
-      'SELECT currency, SUM(amount) as total FROM liabilities WHERE user_id = $1 GROUP BY currency',
-      [req.userId]
-    );
-    
-    // Receitas e despesas do mês POR MOEDA
-    const monthlyTransactions = await pool.query(
-      `SELECT a.currency, t.type, SUM(t.amount) as total 
+    const filters = buildTransactionFilters(req.query, req.userId);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    const { conditions, params } = filters;
+
+    const requestedLimit = req.query.limit !== undefined ? parseInt(req.query.limit) : TRANSACTIONS_PAGE_SIZE;
+    if (!(requestedLimit > 0)) {
+      return res.status(400).json({ error: 'limit deve ser maior que zero' });
+    }
+    const limit = Math.min(requestedLimit, TRANSACTIONS_MAX_PAGE_SIZE);
+
+    // Os totais usam só os filtros, sem o cursor
+    const totalsResult = await pool.query(
+      `SELECT a.currency, UPPER(t.type) as type, COUNT(*) as count, SUM(t.amount) as total
        FROM transactions t
-       JOIN accounts a ON t.account_id = a.id
-       WHERE t.user_id = $1 
-       AND EXTRACT(MONTH FROM t.date) = $2 
-       AND EXTRACT(YEAR FROM t.date) = $3
-       GROUP BY a.currency, t.type`,
-      [req.userId, currentMonth, currentYear]
+       LEFT JOIN accounts a ON t.account_id = a.id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY a.currency, UPPER(t.type)`,
+      params
     );
-    
-    // Organizar por moeda
-    const monthlyByCurrency = {};
-    monthlyTransactions.rows.forEach(row => {
-      if (!monthlyByCurrency[row.currency]) {
-        monthlyByCurrency[row.currency] = { income: 0, expenses: 0 };
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (req.query.cursor) {
+      const cursor = decodeTransactionCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Cursor inválido' });
       }
-      if (row.type.toLowerCase() === 'income') {
-        monthlyByCurrency[row.currency].income += parseFloat(row.total);
-      } else if (row.type.toLowerCase() === 'expense') {
-        monthlyByCurrency[row.currency].expenses += parseFloat(row.total);
+      pageParams.push(cursor.date, cursor.createdAt, cursor.id);
+      const n = pageParams.length;
+      pageConditions.push(`(t.date, t.created_at, t.id) < ($${n - 2}::date, $${n - 1}::timestamptz, $${n}::uuid)`);
+    }
+    pageParams.push(limit + 1);
+
+    // created_at vai para o cursor como texto para não perder os microssegundos
+    const result = await pool.query(
+      `SELECT t.id, t.user_id as "userId", t.account_id as "accountId", t.category_id as "categoryId", t.income_source_id as "incomeSourceId", t.type, t.amount, t.description, t.date, t.created_at as "createdAt", t.liability_id as "liabilityId",
+              t.installment_group_id as "installmentGroupId", t.installment_number as "installmentNumber", t.installment_count as "installmentCount",
+              to_char(t.date, 'YYYY-MM-DD') as "cursorDate", t.created_at::text as "cursorCreatedAt"
+       FROM transactions t
+       WHERE ${pageConditions.join(' AND ')}
+       ORDER BY t.date DESC, t.created_at DESC, t.id DESC
+       LIMIT $${pageParams.length}`,
+      pageParams
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const nextCursor = hasMore ? encodeTransactionCursor(rows[rows.length - 1]) : null;
+
+    const totals = { count: 0, byCurrency: {} };
+    totalsResult.rows.forEach(row => {
+      const currency = row.currency || 'BRL';
+      if (!totals.byCurrency[currency]) totals.byCurrency[currency] = { income: 0, expenses: 0, net: 0 };
+      const total = parseFloat(row.total);
+      if (row.type === 'INCOME') {
+        totals.byCurrency[currency].income += total;
+        totals.byCurrency[currency].net += total;
+      } else {
+        totals.byCurrency[currency].expenses += total;
+        totals.byCurrency[currency].net -= total;
       }
+      totals.count += parseInt(row.count);
     });
-    
-    // Garantir que BRL e EUR existam
-    if (!monthlyByCurrency['BRL']) monthlyByCurrency['BRL'] = { income: 0, expenses: 0 };
-    if (!monthlyByCurrency['EUR']) monthlyByCurrency['EUR'] = { income: 0, expenses: 0 };
-    
+
+    res.json({
+      transactions: await attachSplits(pool, rows.map(({ cursorDate, cursorCreatedAt, ...row }) => row)),
+      pagination: { limit, nextCursor, hasMore },
+      totals
+    });
+  } catch (error) {
+    console.error('Erro ao buscar transações:', error);
+    res.status(500).json({ error: 'Erro ao buscar transações' });
+  }
+});
+
+// Efeito da transação no saldo: receita soma, despesa subtrai (o tipo chega em qualquer caixa)
+const getBalanceChange = (type, amount) => {
+  const value = parseFloat(amount);
+  return type.toUpperCase() === 'INCOME' ? value : -value;
+};
+
+// Insere a transação e ajusta o saldo da conta. Deve rodar dentro de um BEGIN/COMMIT do client.
+const createTransaction = async (client, userId, { accountId, categoryId, incomeSourceId, type, amount, description, date, isFixed = false, recurringId = null, occurrenceDate = null, externalId = null, exchangeId = null, exchangeLine = null, isTransfer = false, liabilityId = null, installmentGroupId = null, installmentNumber = null, installmentCount = null }) => {
+  const normalizedType = normalizeTransactionType(type);
+  if (!normalizedType) {
+    throw new Error(`Tipo de transação inválido: ${type}`);
+  }
+  const result = await client.query(
+    'INSERT INTO transactions (user_id, account_id, category_id, income_source_id, type, amount, description, date, is_fixed, recurring_id, occurrence_date, external_id, exchange_id, exchange_line, is_transfer, liability_id, installment_group_id, installment_number, installment_count) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19) RETURNING *',
+    [userId, accountId, categoryId, incomeSourceId, normalizedType, amount, description, date, isFixed, recurringId, occurrenceDate, externalId, exchangeId, exchangeLine, isTransfer, liabilityId, installmentGroupId, installmentNumber, installmentCount]
+  );
+
+  await client.query(
+    'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+    [getBalanceChange(type, amount), accountId, userId]
+  );
+
+  return result.rows[0];
+};
+
+// Apaga a transação e devolve o valor ao saldo da conta. Também roda dentro de um BEGIN/COMMIT.
+const removeTransaction = async (client, userId, transaction) => {
+  await client.query(
+    'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+    [-getBalanceChange(transaction.type, transaction.amount), transaction.account_id, userId]
+  );
+  await client.query('DELETE FROM transactions WHERE id = $1 AND user_id = $2', [transaction.id, userId]);
+};
+
+const MAX_INSTALLMENTS = 48;
+
+/**
+ * Compra parcelada no cartão: uma despesa por parcela, cada uma um mês depois da anterior,
+ * e por isso na fatura seguinte. Os centavos que sobram da divisão ficam na primeira parcela.
+ */
+const createInstallmentPurchase = async (client, userId, { accountId, categoryId, amount, description, date, installments }) => {
+  const totalCents = Math.round(parseFloat(amount) * 100);
+  const installmentCents = Math.floor(totalCents / installments);
+  const groupId = crypto.randomUUID();
+  const anchorDay = parseInt(date.slice(8, 10));
+  const rows = [];
+  for (let i = 0; i < installments; i++) {
+    const cents = installmentCents + (i === 0 ? totalCents - installmentCents * installments : 0);
+    rows.push(await createTransaction(client, userId, {
+      accountId,
+      categoryId,
+      incomeSourceId: null,
+      type: 'expense',
+      amount: cents / 100,
+      description: `${description} (${i + 1}/${installments})`,
+      date: addMonths(date, i, anchorDay),
+      installmentGroupId: groupId,
+      installmentNumber: i + 1,
+      installmentCount: installments
+    }));
+  }
+  return rows;
+};
+
+// Valida as divisões: cada linha com valor positivo e a soma igual ao valor da transação
+const normalizeSplits = (splits, amount) => {
+  if (!Array.isArray(splits)) {
+    return { error: 'splits deve ser uma lista' };
+  }
+  const lines = splits.map(split => ({
+    categoryId: split.categoryId || null,
+    incomeSourceId: split.incomeSourceId || null,
+    amount: parseFloat(split.amount),
+    memo: split.memo || null
+  }));
+  if (lines.some(line => !(line.amount > 0))) {
+    return { error: 'Cada divisão precisa de um valor maior que zero' };
+  }
+  // Compara em centavos para não esbarrar em arredondamento de ponto flutuante
+  const totalCents = lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+  if (lines.length > 0 && totalCents !== Math.round(parseFloat(amount) * 100)) {
+    return { error: 'A soma das divisões deve ser igual ao valor da transação' };
+  }
+  return { splits: lines };
+};
+
+// Substitui as divisões da transação; o saldo da conta não muda, ele só depende do valor total
+const saveSplits = async (client, transactionId, splits) => {
+  await client.query('DELETE FROM transaction_splits WHERE transaction_id = $1', [transactionId]);
+  for (const [position, split] of splits.entries()) {
+    await client.query(
+      'INSERT INTO transaction_splits (transaction_id, category_id, income_source_id, amount, memo, position) VALUES ($1, $2, $3, $4, $5, $6)',
+      [transactionId, split.categoryId, split.incomeSourceId, split.amount, split.memo, position]
+    );
+  }
+};
+
+const attachSplits = async (db, transactions) => {
+  if (transactions.length === 0) return transactions;
+  const result = await db.query(
+    'SELECT id, transaction_id, category_id as "categoryId", income_source_id as "incomeSourceId", amount, memo FROM transaction_splits WHERE transaction_id = ANY($1) ORDER BY position',
+    [transactions.map(t => t.id)]
+  );
+  const byTransaction = new Map();
+  result.rows.forEach(({ transaction_id, ...split }) => {
+    byTransaction.set(transaction_id, [...(byTransaction.get(transaction_id) || []), split]);
+  });
+  return transactions.map(t => ({ ...t, splits: byTransaction.get(t.id) || [] }));
+};
+
+app.post('/api/transactions', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    let { accountId, categoryId, incomeSourceId, type, amount, description, date, splits, liabilityId, installments } = req.body;
+    
+    type = normalizeTransactionType(type);
+    if (!type) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'type deve ser INCOME ou EXPENSE' });
+    }
+    
+    // Converter strings vazias em null
+    accountId = accountId || null;
+    categoryId = categoryId || null;
+    incomeSourceId = incomeSourceId || null;
+    liabilityId = liabilityId || null;
+    
+    const normalized = normalizeSplits(splits || [], amount);
+    if (normalized.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: normalized.error });
+    }
+    if (liabilityId) {
+      const validation = await validateLiabilityPayment(client, req.userId, { liabilityId, accountId, type });
+      if (validation.error) {
+        await client.query('ROLLBACK');
+        return res.status(validation.status).json({ error: validation.error });
+      }
+    }
+    
+    // Parcelado (installments > 1): só despesas sem divisões, numa conta de cartão de crédito
+    installments = installments !== undefined ? parseInt(installments) : 1;
+    if (!(installments >= 1 && installments <= MAX_INSTALLMENTS)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `installments deve estar entre 1 e ${MAX_INSTALLMENTS}` });
+    }
+    if (installments > 1) {
+      const account = await client.query('SELECT type FROM accounts WHERE id = $1 AND user_id = $2', [accountId, req.userId]);
+      if (account.rows[0]?.type !== CREDIT_CARD_TYPE) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Compras parceladas só em contas de cartão de crédito' });
+      }
+      if (String(type).toUpperCase() !== 'EXPENSE' || normalized.splits.length > 0 || liabilityId) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Compra parcelada deve ser uma despesa sem divisões nem passivo' });
+      }
+      if (!isValidDateString(date)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+      }
+      // Cada parcela precisa de pelo menos um centavo
+      if (!(parseFloat(amount) > 0) || Math.round(parseFloat(amount) * 100) < installments) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `amount deve ser maior que zero e ter ao menos um centavo por parcela (${installments})` });
+      }
+
+      const rows = await createInstallmentPurchase(client, req.userId, { accountId, categoryId, amount, description, date, installments });
+      const withSplits = await attachSplits(client, rows);
+      await client.query('COMMIT');
+      triggerAchievements(req.userId);
+      return res.json({ ...withSplits[0], installments: withSplits, budgetAlerts: await checkBudgetAlerts(req.userId, withSplits[0]) });
+    }
+    
+    // Inserir transação e atualizar saldo da conta
+    const transaction = await createTransaction(client, req.userId, { accountId, categoryId, incomeSourceId, type, amount, description, date, liabilityId });
+    await saveSplits(client, transaction.id, normalized.splits);
+    await syncLiabilityBalance(client, req.userId, liabilityId);
+    
+    const [withSplits] = await attachSplits(client, [transaction]);
+    await client.query('COMMIT');
+    triggerAchievements(req.userId);
+    res.json({ ...withSplits, budgetAlerts: await checkBudgetAlerts(req.userId, withSplits) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao criar transação:', error);
+    res.status(500).json({ error: 'Erro ao criar transação' });
+  } finally {
+    client.release();
+  }
+});
+
+// Lançamentos gerados por outra operação só mudam por ela; devolve a mensagem de erro ou null
+const getLinkedTransactionError = async (db, transaction) => {
+  if (transaction.exchange_id) {
+    return `Tarifa/IOF de câmbio: edite ou exclua a operação em /api/exchanges/${transaction.exchange_id}`;
+  }
+  const event = await db.query(
+    'SELECT id, investment_id FROM investment_events WHERE transaction_id = $1 LIMIT 1',
+    [transaction.id]
+  );
+  if (event.rows.length > 0) {
+    const { id, investment_id: investmentId } = event.rows[0];
+    return `Lançamento de evento de investimento: exclua o evento em /api/investments/${investmentId}/events/${id}`;
+  }
+  return null;
+};
+
+app.put('/api/transactions/:id', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const { id } = req.params;
+    const { accountId, categoryId, incomeSourceId, amount, description, date, splits } = req.body;
+    const type = normalizeTransactionType(req.body.type);
+    if (!type) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'type deve ser INCOME ou EXPENSE' });
+    }
+    
+    // Buscar transação antiga
+    const oldTx = await client.query('SELECT * FROM transactions WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    if (oldTx.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Transação não encontrada' });
+    }
+    
+    const old = oldTx.rows[0];
+    const linkedError = await getLinkedTransactionError(client, old);
+    if (linkedError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: linkedError });
+    }
+    
+    // Sem liabilityId no corpo, o vínculo com o passivo é mantido; null desfaz
+    const liabilityId = req.body.liabilityId !== undefined ? req.body.liabilityId || null : old.liability_id;
+    if (liabilityId) {
+      const validation = await validateLiabilityPayment(client, req.userId, { liabilityId, accountId, type });
+      if (validation.error) {
+        await client.query('ROLLBACK');
+        return res.status(validation.status).json({ error: validation.error });
+      }
+    }
+    
+    // Sem splits no corpo, as divisões existentes são mantidas e precisam continuar fechando com o valor
+    let newSplits = null;
+    if (splits !== undefined) {
+      const normalized = normalizeSplits(splits || [], amount);
+      if (normalized.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: normalized.error });
+      }
+      newSplits = normalized.splits;
+    } else {
+      const existing = await client.query('SELECT amount FROM transaction_splits WHERE transaction_id = $1', [id]);
+      const normalized = normalizeSplits(existing.rows, amount);
+      if (normalized.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: normalized.error });
+      }
+    }
+    
+    // Reverter saldo antigo
+    const oldBalanceChange = -getBalanceChange(old.type, old.amount);
+    await client.query(
+      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+      [oldBalanceChange, old.account_id, req.userId]
+    );
+    
+    // Atualizar transação
+    const result = await client.query(
+      'UPDATE transactions SET account_id = $1, category_id = $2, income_source_id = $3, type = $4, amount = $5, description = $6, date = $7, liability_id = $8 WHERE id = $9 AND user_id = $10 RETURNING *',
+      [accountId, categoryId, incomeSourceId, type, amount, description, date, liabilityId, id, req.userId]
+    );
+    
+    // Aplicar novo saldo
+    const newBalanceChange = getBalanceChange(type, amount);
+    await client.query(
+      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+      [newBalanceChange, accountId, req.userId]
+    );
+    
+    if (newSplits) {
+      await saveSplits(client, id, newSplits);
+    }
+    
+    await syncLiabilityBalance(client, req.userId, old.liability_id);
+    if (liabilityId !== old.liability_id) {
+      await syncLiabilityBalance(client, req.userId, liabilityId);
+    }
+    
+    const [withSplits] = await attachSplits(client, result.rows);
+    await client.query('COMMIT');
+    triggerAchievements(req.userId);
+    res.json({ ...withSplits, budgetAlerts: await checkBudgetAlerts(req.userId, withSplits) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao atualizar transação:', error);
+    res.status(500).json({ error: 'Erro ao atualizar transação' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/transactions/:id', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const { id } = req.params;
+    
+    // Buscar transação
+    const result = await client.query('SELECT * FROM transactions WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Transação não encontrada' });
+    }
+    
+    const transaction = result.rows[0];
+    const linkedError = await getLinkedTransactionError(client, transaction);
+    if (linkedError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: linkedError });
+    }
+    
+    // ?allInstallments=true apaga todas as parcelas da compra
+    if (transaction.installment_group_id && req.query.allInstallments === 'true') {
+      const group = await client.query(
+        'SELECT * FROM transactions WHERE installment_group_id = $1 AND user_id = $2',
+        [transaction.installment_group_id, req.userId]
+      );
+      for (const installment of group.rows) {
+        await removeTransaction(client, req.userId, installment);
+      }
+      await client.query('COMMIT');
+      triggerAchievements(req.userId);
+      return res.json({ message: `${group.rows.length} parcelas deletadas com sucesso` });
+    }
+    
+    // Reverter saldo
+    const balanceChange = -getBalanceChange(transaction.type, transaction.amount);
+    await client.query(
+      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+      [balanceChange, transaction.account_id, req.userId]
+    );
+    
+    // Deletar transação
+    await client.query('DELETE FROM transactions WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    await syncLiabilityBalance(client, req.userId, transaction.liability_id);
+    
+    await client.query('COMMIT');
+    triggerAchievements(req.userId);
+    res.json({ message: 'Transação deletada com sucesso' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao deletar transação:', error);
+    res.status(500).json({ error: 'Erro ao deletar transação' });
+  } finally {
+    client.release();
+  }
+});
+
+// ==================== RECURRING TRANSACTIONS ====================
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'yearly', 'interval'];
+// Uma data de início no passado gera de uma vez todas as ocorrências até hoje; limita esse retroativo
+const RECURRING_MAX_BACKFILL_DAYS = 366;
+// Ocorrências futuras só podem ser puladas ou alteradas até esse horizonte
+const RECURRING_MAX_HORIZON_DAYS = 3660;
+
+const mapRecurring = (row) => ({
+  id: row.id,
+  accountId: row.account_id,
+  categoryId: row.category_id,
+  incomeSourceId: row.income_source_id,
+  type: row.type,
+  amount: parseFloat(row.amount),
+  description: row.description,
+  frequency: row.frequency,
+  intervalDays: row.interval_days,
+  startDate: toDateString(row.start_date),
+  endDate: toDateString(row.end_date),
+  maxOccurrences: row.max_occurrences,
+  occurrencesGenerated: row.occurrences_generated,
+  nextDate: toDateString(row.next_date),
+  status: row.status,
+  createdAt: row.created_at
+});
+
+// Próxima data do calendário; mensal e anual seguem o dia (e mês) da data de início
+const nextOccurrenceDate = (template, dateStr) => {
+  const startDay = parseInt(toDateString(template.start_date).split('-')[2]);
+  switch (template.frequency) {
+    case 'weekly':
+      return addDays(dateStr, 7);
+    case 'interval':
+      return addDays(dateStr, template.interval_days);
+    case 'yearly':
+      return addMonths(dateStr, 12, startDay);
+    default:
+      return addMonths(dateStr, 1, startDay);
+  }
+};
+
+const isScheduleFinished = (template, dateStr, occurrences) => {
+  const endDate = toDateString(template.end_date);
+  if (endDate && dateStr > endDate) return true;
+  return Boolean(template.max_occurrences) && occurrences >= template.max_occurrences;
+};
+
+// Lista as próximas `count` ocorrências a partir de next_date, com pulos e alterações aplicados
+const listUpcomingOccurrences = (template, exceptions, count, untilDate = null) => {
+  const occurrences = [];
+  let date = toDateString(template.next_date);
+  let generated = template.occurrences_generated;
+
+  while (occurrences.length < count && !isScheduleFinished(template, date, generated)) {
+    if (untilDate && date > untilDate) break;
+    const exception = exceptions.find(e => toDateString(e.occurrence_date) === date);
+    occurrences.push({
+      date,
+      skipped: exception ? exception.action === 'skip' : false,
+      accountId: (exception && exception.account_id) || template.account_id,
+      categoryId: (exception && exception.category_id) || template.category_id,
+      incomeSourceId: (exception && exception.income_source_id) || template.income_source_id,
+      type: template.type,
+      amount: parseFloat(exception && exception.amount !== null ? exception.amount : template.amount),
+      description: (exception && exception.description) || template.description
+    });
+    generated++;
+    date = nextOccurrenceDate(template, date);
+  }
+
+  return occurrences;
+};
+
+// Cria as transações vencidas de um modelo até `untilDate`, pelo mesmo caminho do POST /api/transactions
+const generateTemplateOccurrences = async (templateId, untilDate) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const templateResult = await client.query('SELECT * FROM recurring_transactions WHERE id = $1 FOR UPDATE', [templateId]);
+    const template = templateResult.rows[0];
+    if (!template || template.status !== 'active') {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const exceptionsResult = await client.query('SELECT * FROM recurring_exceptions WHERE recurring_id = $1', [templateId]);
+
+    let nextDate = toDateString(template.next_date);
+    let generated = template.occurrences_generated;
+    let created = 0;
+
+    while (nextDate <= untilDate && !isScheduleFinished(template, nextDate, generated)) {
+      const [occurrence] = listUpcomingOccurrences({ ...template, next_date: nextDate, occurrences_generated: generated }, exceptionsResult.rows, 1);
+
+      if (!occurrence.skipped) {
+        await createTransaction(client, template.user_id, {
+          accountId: occurrence.accountId,
+          categoryId: occurrence.categoryId,
+          incomeSourceId: occurrence.incomeSourceId,
+          type: occurrence.type,
+          amount: occurrence.amount,
+          description: occurrence.description,
+          date: occurrence.date,
+          isFixed: true,
+          recurringId: template.id,
+          occurrenceDate: occurrence.date
+        });
+        created++;
+      }
+
+      generated++;
+      nextDate = nextOccurrenceDate(template, nextDate);
+    }
+
+    const status = isScheduleFinished(template, nextDate, generated) ? 'finished' : 'active';
+    await client.query(
+      'UPDATE recurring_transactions SET next_date = $1, occurrences_generated = $2, status = $3 WHERE id = $4',
+      [nextDate, generated, status, templateId]
+    );
+
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const generateRecurringTransactions = async (untilDate = getToday()) => {
+  const due = await pool.query(
+    "SELECT id FROM recurring_transactions WHERE status = 'active' AND next_date <= $1",
+    [untilDate]
+  );
+
+  let created = 0;
+  for (const { id } of due.rows) {
+    created += await generateTemplateOccurrences(id, untilDate);
+  }
+  return created;
+};
+
+// Valida o corpo de criação/edição; devolve a mensagem de erro ou null
+const validateRecurringInput = ({ type, amount, frequency, intervalDays, startDate, endDate, maxOccurrences }) => {
+  if (type !== undefined && !normalizeTransactionType(type)) {
+    return 'Tipo inválido';
+  }
+  if (amount !== undefined && !(parseFloat(amount) > 0)) {
+    return 'Valor deve ser maior que zero';
+  }
+  if (frequency !== undefined && !RECURRING_FREQUENCIES.includes(frequency)) {
+    return `Frequência inválida. Use ${RECURRING_FREQUENCIES.join(', ')}`;
+  }
+  if (frequency === 'interval' && !(parseInt(intervalDays) > 0)) {
+    return 'intervalDays é obrigatório para a frequência interval';
+  }
+  if (startDate && !isValidDateString(startDate)) {
+    return 'startDate deve estar no formato YYYY-MM-DD';
+  }
+  if (endDate && !isValidDateString(endDate)) {
+    return 'endDate deve estar no formato YYYY-MM-DD';
+  }
+  if (endDate && startDate && endDate < startDate) {
+    return 'Data final anterior à data de início';
+  }
+  if (maxOccurrences !== undefined && maxOccurrences !== null && !(parseInt(maxOccurrences) > 0)) {
+    return 'maxOccurrences deve ser maior que zero';
+  }
+  return null;
+};
+
+// Só vale para uma data de início nova: modelos antigos continuam com a sua
+const validateRecurringStartDate = (startDate) => {
+  if (startDate < addDays(getToday(), -RECURRING_MAX_BACKFILL_DAYS)) {
+    return `startDate não pode ser anterior a ${RECURRING_MAX_BACKFILL_DAYS} dias atrás`;
+  }
+  return null;
+};
+
+const findRecurring = async (id, userId) => {
+  const result = await pool.query('SELECT * FROM recurring_transactions WHERE id = $1 AND user_id = $2', [id, userId]);
+  return result.rows[0];
+};
+
+// Confere se a data é uma ocorrência futura (ainda não gerada) do modelo. A caminhada até a
+// data é limitada pelo horizonte, tanto na data pedida quanto no número de passos.
+const isPendingOccurrence = (template, dateStr) => {
+  if (!isValidDateString(dateStr) || dateStr > addDays(getToday(), RECURRING_MAX_HORIZON_DAYS)) return false;
+  let date = toDateString(template.next_date);
+  let generated = template.occurrences_generated;
+  let steps = 0;
+  while (date < dateStr && !isScheduleFinished(template, date, generated)) {
+    if (++steps > RECURRING_MAX_HORIZON_DAYS) return false;
+    generated++;
+    date = nextOccurrenceDate(template, date);
+  }
+  return date === dateStr && !isScheduleFinished(template, date, generated);
+};
+
+app.get('/api/recurring', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM recurring_transactions WHERE user_id = $1 ORDER BY next_date, created_at',
+      [req.userId]
+    );
+    res.json(result.rows.map(mapRecurring));
+  } catch (error) {
+    console.error('Erro ao buscar recorrências:', error);
+    res.status(500).json({ error: 'Erro ao buscar recorrências' });
+  }
+});
+
+app.post('/api/recurring', authMiddleware, async (req, res) => {
+  try {
+    let { accountId, categoryId, incomeSourceId, type, amount, description, frequency, intervalDays, startDate, endDate, maxOccurrences } = req.body;
+
+    // Converter strings vazias em null
+    categoryId = categoryId || null;
+    incomeSourceId = incomeSourceId || null;
+    endDate = endDate || null;
+    maxOccurrences = maxOccurrences || null;
+
+    if (!accountId || !type || !amount || !frequency || !startDate) {
+      return res.status(400).json({ error: 'accountId, type, amount, frequency e startDate são obrigatórios' });
+    }
+    const validationError = validateRecurringInput({ type, amount, frequency, intervalDays, startDate, endDate, maxOccurrences }) || validateRecurringStartDate(startDate);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const account = await pool.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2', [accountId, req.userId]);
+    if (account.rows.length === 0) {
+      return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO recurring_transactions (user_id, account_id, category_id, income_source_id, type, amount, description, frequency, interval_days, start_date, end_date, max_occurrences, next_date) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $10) RETURNING id',
+      [req.userId, accountId, categoryId, incomeSourceId, normalizeTransactionType(type), amount, description || '', frequency, frequency === 'interval' ? parseInt(intervalDays) : null, startDate, endDate, maxOccurrences]
+    );
+
+    // Ocorrências com data até hoje já viram transações
+    await generateTemplateOccurrences(result.rows[0].id, getToday());
+
+    const template = await findRecurring(result.rows[0].id, req.userId);
+    res.status(201).json(mapRecurring(template));
+  } catch (error) {
+    console.error('Erro ao criar recorrência:', error);
+    res.status(500).json({ error: 'Erro ao criar recorrência' });
+  }
+});
+
+// Edita o modelo: vale para todas as ocorrências futuras, as transações já geradas não mudam
+app.put('/api/recurring/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await findRecurring(id, req.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' });
+    }
+
+    const merged = {
+      accountId: req.body.accountId || template.account_id,
+      categoryId: req.body.categoryId !== undefined ? req.body.categoryId || null : template.category_id,
+      incomeSourceId: req.body.incomeSourceId !== undefined ? req.body.incomeSourceId || null : template.income_source_id,
+      type: req.body.type || template.type,
+      amount: req.body.amount !== undefined ? req.body.amount : template.amount,
+      description: req.body.description !== undefined ? req.body.description : template.description,
+      frequency: req.body.frequency || template.frequency,
+      intervalDays: req.body.intervalDays !== undefined ? req.body.intervalDays : template.interval_days,
+      startDate: req.body.startDate || toDateString(template.start_date),
+      endDate: req.body.endDate !== undefined ? req.body.endDate || null : toDateString(template.end_date),
+      maxOccurrences: req.body.maxOccurrences !== undefined ? req.body.maxOccurrences || null : template.max_occurrences
+    };
+
+    const validationError = validateRecurringInput(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // A data de início só pode mudar enquanto nada foi gerado
+    let nextDate = toDateString(template.next_date);
+    if (merged.startDate !== toDateString(template.start_date)) {
+      if (template.occurrences_generated > 0) {
+        return res.status(400).json({ error: 'Não é possível alterar a data de início depois que ocorrências foram geradas' });
+      }
+      const startDateError = validateRecurringStartDate(merged.startDate);
+      if (startDateError) {
+        return res.status(400).json({ error: startDateError });
+      }
+      nextDate = merged.startDate;
+    }
+
+    if (merged.accountId !== template.account_id) {
+      const account = await pool.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2', [merged.accountId, req.userId]);
+      if (account.rows.length === 0) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+      }
+    }
+
+    await pool.query(
+      'UPDATE recurring_transactions SET account_id = $1, category_id = $2, income_source_id = $3, type = $4, amount = $5, description = $6, frequency = $7, interval_days = $8, start_date = $9, end_date = $10, max_occurrences = $11, next_date = $12 WHERE id = $13 AND user_id = $14',
+      [merged.accountId, merged.categoryId, merged.incomeSourceId, normalizeTransactionType(merged.type), merged.amount, merged.description, merged.frequency, merged.frequency === 'interval' ? parseInt(merged.intervalDays) : null, merged.startDate, merged.endDate, merged.maxOccurrences, nextDate, id, req.userId]
+    );
+
+    if (template.status === 'active') {
+      await generateTemplateOccurrences(id, getToday());
+    }
+
+    res.json(mapRecurring(await findRecurring(id, req.userId)));
+  } catch (error) {
+    console.error('Erro ao atualizar recorrência:', error);
+    res.status(500).json({ error: 'Erro ao atualizar recorrência' });
+  }
+});
+
+app.delete('/api/recurring/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await pool.query('DELETE FROM recurring_transactions WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Recorrência deletada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao deletar recorrência:', error);
+    res.status(500).json({ error: 'Erro ao deletar recorrência' });
+  }
+});
+
+app.get('/api/recurring/:id/occurrences', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const count = Math.min(parseInt(req.query.count) || 12, 120);
+
+    const template = await findRecurring(id, req.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' });
+    }
+
+    const exceptions = await pool.query('SELECT * FROM recurring_exceptions WHERE recurring_id = $1', [id]);
+    res.json(template.status === 'finished' ? [] : listUpcomingOccurrences(template, exceptions.rows, count));
+  } catch (error) {
+    console.error('Erro ao buscar ocorrências:', error);
+    res.status(500).json({ error: 'Erro ao buscar ocorrências' });
+  }
+});
+
+app.post('/api/recurring/:id/pause', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      "UPDATE recurring_transactions SET status = 'paused' WHERE id = $1 AND user_id = $2 AND status = 'active' RETURNING *",
+      [id, req.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recorrência ativa não encontrada' });
+    }
+    res.json(mapRecurring(result.rows[0]));
+  } catch (error) {
+    console.error('Erro ao pausar recorrência:', error);
+    res.status(500).json({ error: 'Erro ao pausar recorrência' });
+  }
+});
+
+// Ao retomar, as ocorrências do período pausado não são geradas retroativamente
+app.post('/api/recurring/:id/resume', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await findRecurring(id, req.userId);
+    if (!template || template.status !== 'paused') {
+      return res.status(404).json({ error: 'Recorrência pausada não encontrada' });
+    }
+
+    const today = getToday();
+    let nextDate = toDateString(template.next_date);
+    let generated = template.occurrences_generated;
+    while (nextDate < today && !isScheduleFinished(template, nextDate, generated)) {
+      generated++;
+      nextDate = nextOccurrenceDate(template, nextDate);
+    }
+    const status = isScheduleFinished(template, nextDate, generated) ? 'finished' : 'active';
+
+    await pool.query(
+      'UPDATE recurring_transactions SET status = $1, next_date = $2, occurrences_generated = $3 WHERE id = $4 AND user_id = $5',
+      [status, nextDate, generated, id, req.userId]
+    );
+
+    if (status === 'active') {
+      await generateTemplateOccurrences(id, today);
+    }
+
+    res.json(mapRecurring(await findRecurring(id, req.userId)));
+  } catch (error) {
+    console.error('Erro ao retomar recorrência:', error);
+    res.status(500).json({ error: 'Erro ao retomar recorrência' });
+  }
+});
+
+app.post('/api/recurring/:id/skip', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date } = req.body;
+
+    const template = await findRecurring(id, req.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' });
+    }
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+    if (!isPendingOccurrence(template, date)) {
+      return res.status(400).json({ error: 'Data não corresponde a uma ocorrência futura' });
+    }
+
+    await pool.query(
+      `INSERT INTO recurring_exceptions (recurring_id, occurrence_date, action) VALUES ($1, $2, 'skip')
+       ON CONFLICT (recurring_id, occurrence_date) DO UPDATE SET action = 'skip', account_id = NULL, category_id = NULL, income_source_id = NULL, amount = NULL, description = NULL`,
+      [id, date]
+    );
+    res.json({ message: 'Ocorrência pulada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao pular ocorrência:', error);
+    res.status(500).json({ error: 'Erro ao pular ocorrência' });
+  }
+});
+
+// Altera uma única ocorrência futura; as já geradas são editadas em PUT /api/transactions/:id
+app.put('/api/recurring/:id/occurrences/:date', authMiddleware, async (req, res) => {
+  try {
+    const { id, date } = req.params;
+    let { accountId, categoryId, incomeSourceId, amount, description } = req.body;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+
+    const template = await findRecurring(id, req.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' });
+    }
+    if (!isPendingOccurrence(template, date)) {
+      return res.status(400).json({ error: 'Data não corresponde a uma ocorrência futura' });
+    }
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ error: 'Valor deve ser maior que zero' });
+    }
+    if (accountId) {
+      const account = await pool.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2', [accountId, req.userId]);
+      if (account.rows.length === 0) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO recurring_exceptions (recurring_id, occurrence_date, action, account_id, category_id, income_source_id, amount, description)
+       VALUES ($1, $2, 'override', $3, $4, $5, $6, $7)
+       ON CONFLICT (recurring_id, occurrence_date) DO UPDATE SET action = 'override', account_id = $3, category_id = $4, income_source_id = $5, amount = $6, description = $7`,
+      [id, date, accountId || null, categoryId || null, incomeSourceId || null, amount !== undefined ? amount : null, description || null]
+    );
+
+    const exceptions = await pool.query('SELECT * FROM recurring_exceptions WHERE recurring_id = $1', [id]);
+    const [occurrence] = listUpcomingOccurrences({ ...template, next_date: date }, exceptions.rows, 1);
+    res.json(occurrence);
+  } catch (error) {
+    console.error('Erro ao alterar ocorrência:', error);
+    res.status(500).json({ error: 'Erro ao alterar ocorrência' });
+  }
+});
+
+// Remove o pulo ou a alteração de uma ocorrência, voltando aos valores do modelo
+app.delete('/api/recurring/:id/occurrences/:date', authMiddleware, async (req, res) => {
+  try {
+    const { id, date } = req.params;
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+    const template = await findRecurring(id, req.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' });
+    }
+    await pool.query('DELETE FROM recurring_exceptions WHERE recurring_id = $1 AND occurrence_date = $2', [id, date]);
+    res.json({ message: 'Ocorrência restaurada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao restaurar ocorrência:', error);
+    res.status(500).json({ error: 'Erro ao restaurar ocorrência' });
+  }
+});
+
+// ==================== STATEMENT IMPORT ====================
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Responde 400 em JSON quando o upload falha (arquivo grande demais, campo errado...)
+const uploadStatement = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: `Erro no upload: ${error.message}` });
+    }
+    next();
+  });
+};
+
+// Extratos de bancos brasileiros costumam vir em ISO-8859-1
+const decodeStatementFile = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+};
+
+const detectStatementFormat = (filename, content) => {
+  if (/\.(ofx|qfx)$/i.test(filename || '') || /<OFX>/i.test(content)) return 'ofx';
+  return 'csv';
+};
+
+// CSV com campos entre aspas; sem separador informado, usa o mais frequente na primeira linha
+const parseCsv = (content, delimiter) => {
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator = delimiter || [';', ',', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(r => r.some(f => f.trim() !== ''));
+};
+
+// Aceita "1.234,56", "1,234.56", "-10,00", "(10.00)", "R$ 10,00" e "10,00 D"
+const parseStatementAmount = (value, decimalSeparator) => {
+  let text = String(value || '').trim();
+  const negative = /^\(.*\)$/.test(text) || text.includes('-') || /\sD$/i.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+  if (!text) return null;
+
+  const separator = decimalSeparator || (text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.');
+  const normalized = separator === ',' ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  const amount = parseFloat(normalized);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Converte a data do extrato para 'YYYY-MM-DD' conforme dateFormat (padrão DD/MM/YYYY)
+const parseStatementDate = (value, dateFormat = 'DD/MM/YYYY') => {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return isValidDateString(text.slice(0, 10)) ? text.slice(0, 10) : null;
+  }
+
+  const parts = text.split(/[/.-]/);
+  if (parts.length < 3) return null;
+
+  let day, month, year;
+  if (dateFormat === 'MM/DD/YYYY') {
+    [month, day, year] = parts;
+  } else if (dateFormat === 'YYYY/MM/DD') {
+    [year, month, day] = parts;
+  } else {
+    [day, month, year] = parts;
+  }
+  if (year.length === 2) year = `20${year}`;
+
+  const dateStr = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return isValidDateString(dateStr) ? dateStr : null;
+};
+
+// Nomes de cabeçalho reconhecidos quando o mapeamento não informa a coluna
+const DEFAULT_CSV_COLUMNS = {
+  date: ['data', 'date', 'data lançamento', 'data lancamento', 'data da transação'],
+  description: ['descrição', 'descricao', 'histórico', 'historico', 'description', 'lançamento', 'lancamento', 'memo'],
+  amount: ['valor', 'amount', 'value', 'valor (r$)', 'quantia'],
+  externalId: ['id', 'identificador', 'documento', 'fitid']
+};
+
+/**
+ * mapping: { date, description, amount, debit, credit, type, externalId } com o nome do
+ * cabeçalho ou o índice da coluna, mais delimiter, hasHeader, dateFormat e decimalSeparator.
+ * Com debit/credit o valor é crédito - débito; com type, "C"/"credito"/"income" indica receita.
+ */
+const parseCsvStatement = (content, mapping = {}) => {
+  const records = parseCsv(content, mapping.delimiter);
+  if (records.length === 0) {
+    return { error: 'Arquivo vazio' };
+  }
+
+  const hasHeader = mapping.hasHeader !== false;
+  const header = hasHeader ? records[0].map(h => h.trim().toLowerCase()) : [];
+
+  const findColumn = (key) => {
+    const column = mapping[key];
+    if (column !== undefined && column !== null && column !== '') {
+      if (/^\d+$/.test(String(column))) return parseInt(column);
+      return header.indexOf(String(column).trim().toLowerCase());
+    }
+    return header.findIndex(h => (DEFAULT_CSV_COLUMNS[key] || []).includes(h));
+  };
+
+  const columns = {
+    date: findColumn('date'),
+    description: findColumn('description'),
+    amount: findColumn('amount'),
+    debit: findColumn('debit'),
+    credit: findColumn('credit'),
+    type: findColumn('type'),
+    externalId: findColumn('externalId')
+  };
+
+  if (columns.date === -1 || columns.description === -1) {
+    return { error: 'Mapeamento inválido: informe as colunas date e description' };
+  }
+  if (columns.amount === -1 && columns.debit === -1 && columns.credit === -1) {
+    return { error: 'Mapeamento inválido: informe a coluna amount ou debit/credit' };
+  }
+
+  const transactions = [];
+  const errors = [];
+
+  records.slice(hasHeader ? 1 : 0).forEach((record, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const cell = (column) => (column >= 0 ? (record[column] || '').trim() : '');
+
+    const date = parseStatementDate(cell(columns.date), mapping.dateFormat);
+    let amount;
+    if (columns.amount >= 0) {
+      amount = parseStatementAmount(cell(columns.amount), mapping.decimalSeparator);
+    } else {
+      const credit = parseStatementAmount(cell(columns.credit), mapping.decimalSeparator) || 0;
+      const debit = parseStatementAmount(cell(columns.debit), mapping.decimalSeparator) || 0;
+      amount = Math.abs(credit) - Math.abs(debit);
+    }
+
+    if (!date || amount === null || amount === 0) {
+      errors.push({ line, error: !date ? 'Data inválida' : 'Valor inválido' });
+      return;
+    }
+
+    let type = amount > 0 ? 'income' : 'expense';
+    if (columns.type >= 0) {
+      type = /^(c|cr|credito|crédito|income|receita|entrada|\+)$/i.test(cell(columns.type)) ? 'income' : 'expense';
+    }
+
+    transactions.push({
+      line,
+      date,
+      amount: Math.abs(amount),
+      type,
+      description: cell(columns.description),
+      externalId: cell(columns.externalId) || null
+    });
+  });
+
+  return { transactions, errors };
+};
+
+// OFX 1.x (SGML, sem fechamento nas tags simples) e 2.x (XML); QFX é o mesmo formato
+const parseOfxStatement = (content) => {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  if (blocks.length === 0) {
+    return { error: 'Nenhuma transação encontrada no arquivo OFX' };
+  }
+
+  const readTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return '';
+    return match[1].trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  };
+
+  const transactions = [];
+  const errors = [];
+
+  blocks.forEach((block, index) => {
+    const posted = readTag(block, 'DTPOSTED');
+    const date = parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`);
+    const amount = parseStatementAmount(readTag(block, 'TRNAMT'));
+
+    if (!date || amount === null || amount === 0) {
+      errors.push({ line: index + 1, error: !date ? 'Data inválida' : 'Valor inválido' });
+      return;
+    }
+
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+    transactions.push({
+      line: index + 1,
+      date,
+      amount: Math.abs(amount),
+      type: amount > 0 ? 'income' : 'expense',
+      description: name && memo && name !== memo ? `${name} - ${memo}` : name || memo,
+      externalId: readTag(block, 'FITID') || null
+    });
+  });
+
+  return { transactions, errors };
+};
+
+const normalizeDescription = (description) => String(description || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Marca como duplicadas as linhas que já existem na conta: mesmo ID do banco, ou mesma
+ * data, tipo, valor e descrição. Cada transação existente só "consome" uma linha do arquivo.
+ */
+const flagDuplicates = async (db, accountId, rows) => {
+  if (rows.length === 0) return [];
+
+  const dates = rows.map(r => r.date).sort();
+  const existing = await db.query(
+    'SELECT id, external_id, date, type, amount, description FROM transactions WHERE account_id = $1 AND (external_id = ANY($2) OR date BETWEEN $3 AND $4)',
+    [accountId, rows.map(r => r.externalId).filter(Boolean), dates[0], dates[dates.length - 1]]
+  );
+
+  const matchKey = (date, type, amount, description) =>
+    `${date}|${type.toLowerCase()}|${parseFloat(amount).toFixed(2)}|${normalizeDescription(description)}`;
+
+  const byExternalId = new Map();
+  const byKey = new Map();
+  existing.rows.forEach(tx => {
+    if (tx.external_id) byExternalId.set(tx.external_id, tx.id);
+    const key = matchKey(toDateString(tx.date), tx.type, tx.amount, tx.description);
+    byKey.set(key, [...(byKey.get(key) || []), tx.id]);
+  });
+
+  const seenExternalIds = new Set();
+  return rows.map(row => {
+    if (row.externalId && byExternalId.has(row.externalId)) {
+      return { ...row, duplicate: true, duplicateReason: 'external_id', duplicateOf: byExternalId.get(row.externalId) };
+    }
+    if (row.externalId && seenExternalIds.has(row.externalId)) {
+      return { ...row, duplicate: true, duplicateReason: 'file', duplicateOf: null };
+    }
+    if (row.externalId) seenExternalIds.add(row.externalId);
+
+    const matches = byKey.get(matchKey(row.date, row.type, row.amount, row.description)) || [];
+    if (matches.length > 0) {
+      return { ...row, duplicate: true, duplicateReason: 'match', duplicateOf: matches.shift() };
+    }
+    return { ...row, duplicate: false, duplicateReason: null, duplicateOf: null };
+  });
+};
+
+// Pré-visualização: interpreta o arquivo e marca duplicadas, sem gravar nada
+app.post('/api/accounts/:id/import', authMiddleware, uploadStatement, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const account = await pool.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    if (account.rows.length === 0) {
+      return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Envie o extrato no campo "file"' });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        return res.status(400).json({ error: 'Mapeamento de colunas inválido' });
+      }
+    }
+
+    const content = decodeStatementFile(req.file.buffer);
+    const format = (req.body.format || detectStatementFormat(req.file.originalname, content)).toLowerCase();
+    if (!['csv', 'ofx', 'qfx'].includes(format)) {
+      return res.status(400).json({ error: 'Formato inválido. Use csv, ofx ou qfx' });
+    }
+
+    const parsed = format === 'csv' ? parseCsvStatement(content, mapping) : parseOfxStatement(content);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const transactions = await flagDuplicates(pool, id, parsed.transactions);
+    const newRows = transactions.filter(t => !t.duplicate);
+
+    res.json({
+      format,
+      accountId: id,
+      transactions,
+      errors: parsed.errors,
+      summary: {
+        total: transactions.length,
+        duplicates: transactions.length - newRows.length,
+        income: newRows.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0),
+        expenses: newRows.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao importar extrato:', error);
+    res.status(500).json({ error: 'Erro ao importar extrato' });
+  }
+});
+
+/**
+ * Grava as linhas revisadas na pré-visualização (podem ganhar categoryId/incomeSourceId).
+ * Tudo em uma única transação do banco; duplicadas pelo ID do banco nunca entram, e as
+ * duplicadas por data/valor/descrição só entram com includeDuplicates.
+ */
+app.post('/api/accounts/:id/import/commit', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const { transactions, includeDuplicates } = req.body;
+
+    // Trava a conta para duas importações simultâneas não gravarem as mesmas linhas
+    const account = await client.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2 FOR UPDATE', [id, req.userId]);
+    if (account.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Nenhuma transação para importar' });
+    }
+
+    const rows = transactions.map(t => ({
+      line: t.line,
+      date: t.date,
+      amount: parseFloat(t.amount),
+      type: String(t.type || '').toLowerCase(),
+      description: t.description || '',
+      externalId: t.externalId || null,
+      categoryId: t.categoryId || null,
+      incomeSourceId: t.incomeSourceId || null
+    }));
+
+    const invalid = rows.find(r => !isValidDateString(r.date) || !(r.amount > 0) || !['income', 'expense'].includes(r.type));
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Transação inválida na linha ${invalid.line || '?'}` });
+    }
+
+    const flagged = await flagDuplicates(client, id, rows);
+    const imported = [];
+    const skipped = [];
+
+    for (const row of flagged) {
+      if (row.duplicate && (row.duplicateReason !== 'match' || !includeDuplicates)) {
+        skipped.push({ line: row.line, duplicateReason: row.duplicateReason, duplicateOf: row.duplicateOf });
+        continue;
+      }
+
+      imported.push(await createTransaction(client, req.userId, {
+        accountId: id,
+        categoryId: row.categoryId,
+        incomeSourceId: row.incomeSourceId,
+        type: row.type,
+        amount: row.amount,
+        description: row.description,
+        date: row.date,
+        externalId: row.externalId
+      }));
+    }
+
+    await client.query('COMMIT');
+    triggerAchievements(req.userId);
+    res.status(201).json({ imported: imported.length, skipped, transactions: imported });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao gravar importação:', error);
+    res.status(500).json({ error: 'Erro ao gravar importação' });
+  } finally {
+    client.release();
+  }
+});
+
+// ==================== EXCHANGES ====================
+// 'exchange' é câmbio entre moedas; 'transfer' move dinheiro entre contas da mesma moeda.
+// Nenhum dos dois é receita ou despesa: só as tarifas e o IOF viram transações (despesas).
+const EXCHANGE_TYPES = ['exchange', 'transfer'];
+
+const roundRate = (value) => Math.round(value * 1000000) / 1000000;
+
+const mapExchange = (row, lines = []) => {
+  const fromAmount = parseFloat(row.from_amount);
+  const toAmount = parseFloat(row.to_amount);
+  const fee = lines.filter(l => l.exchange_line === 'fee').reduce((sum, l) => sum + parseFloat(l.amount), 0);
+  const tax = lines.filter(l => l.exchange_line === 'tax').reduce((sum, l) => sum + parseFloat(l.amount), 0);
+
+  return {
+    id: row.id,
+    type: row.type,
+    sourceAccountId: row.from_account_id,
+    sourceAmount: fromAmount,
+    sourceCurrency: row.from_currency,
+    destinationAccountId: row.to_account_id,
+    destinationAmount: toAmount,
+    destinationCurrency: row.to_currency,
+    exchangeRate: row.exchange_rate !== null ? parseFloat(row.exchange_rate) : null,
+    // Taxa implícita nos valores e taxa efetiva considerando tarifa e IOF (na moeda de origem)
+    impliedRate: fromAmount > 0 ? roundRate(toAmount / fromAmount) : null,
+    effectiveRate: fromAmount + fee + tax > 0 ? roundRate(toAmount / (fromAmount + fee + tax)) : null,
+    fee,
+    tax,
+    feeTransactionIds: lines.map(l => l.id),
+    // Fechamento da fatura de cartão paga por esta transferência
+    statementDate: toDateString(row.statement_date),
+    date: row.date,
+    createdAt: row.created_at
+  };
+};
+
+const getExchangeLines = async (db, exchangeIds) => {
+  if (exchangeIds.length === 0) return new Map();
+  const result = await db.query(
+    'SELECT id, exchange_id, exchange_line, amount FROM transactions WHERE exchange_id = ANY($1)',
+    [exchangeIds]
+  );
+  const byExchange = new Map();
+  result.rows.forEach(line => {
+    byExchange.set(line.exchange_id, [...(byExchange.get(line.exchange_id) || []), line]);
+  });
+  return byExchange;
+};
+
+/**
+ * Valida o corpo de POST/PUT /api/exchanges. As duas contas precisam ser do usuário; numa
+ * transferência elas têm a mesma moeda e o valor recebido é o valor enviado.
+ * Devolve { status, error } ou { data }.
+ */
+const validateExchangeInput = async (db, userId, body) => {
+  const type = body.type || 'exchange';
+  const { fromAccountId, toAccountId, date, feeCategoryId } = body;
+  const fromAmount = parseFloat(body.fromAmount);
+  const fee = parseFloat(body.fee) || 0;
+  const tax = parseFloat(body.tax) || 0;
+
+  if (!EXCHANGE_TYPES.includes(type)) {
+    return { status: 400, error: 'Tipo inválido. Use exchange ou transfer' };
+  }
+  if (!fromAccountId || !toAccountId || fromAccountId === toAccountId) {
+    return { status: 400, error: 'Informe contas de origem e destino diferentes' };
+  }
+  if (!(fromAmount > 0) || !date) {
+    return { status: 400, error: 'fromAmount e date são obrigatórios' };
+  }
+  if (fee < 0 || tax < 0) {
+    return { status: 400, error: 'Tarifa e IOF não podem ser negativos' };
+  }
+
+  const accounts = await db.query(
+    'SELECT id, currency FROM accounts WHERE id = ANY($1) AND user_id = $2',
+    [[fromAccountId, toAccountId], userId]
+  );
+  const fromAccount = accounts.rows.find(a => a.id === fromAccountId);
+  const toAccount = accounts.rows.find(a => a.id === toAccountId);
+  if (!fromAccount || !toAccount) {
+    return { status: 404, error: 'Conta não encontrada' };
+  }
+
+  const fromCurrency = body.fromCurrency ? normalizeCurrency(body.fromCurrency) : fromAccount.currency;
+  const toCurrency = body.toCurrency ? normalizeCurrency(body.toCurrency) : toAccount.currency;
+  if (!fromCurrency || !toCurrency) {
+    return { status: 400, error: 'Moeda inválida' };
+  }
+  let toAmount = parseFloat(body.toAmount);
+  let exchangeRate = body.exchangeRate !== undefined && body.exchangeRate !== '' ? parseFloat(body.exchangeRate) : null;
+
+  if (type === 'transfer') {
+    if (fromAccount.currency !== toAccount.currency) {
+      return { status: 400, error: 'Transferências só entre contas da mesma moeda; use uma operação de câmbio' };
+    }
+    toAmount = fromAmount;
+    exchangeRate = 1;
+  } else if (!(toAmount > 0)) {
+    return { status: 400, error: 'toAmount é obrigatório' };
+  }
+
+  return {
+    data: {
+      type,
+      fromAccountId,
+      toAccountId,
+      fromAmount,
+      toAmount,
+      fromCurrency,
+      toCurrency,
+      exchangeRate: exchangeRate || roundRate(toAmount / fromAmount),
+      date,
+      fee,
+      tax,
+      feeCategoryId: feeCategoryId || null
+    }
+  };
+};
+
+// Lança tarifa e IOF como despesas da conta de origem, ligadas à operação
+const createExchangeLines = async (client, userId, exchange, { fee, tax, feeCategoryId }) => {
+  const label = exchange.type === 'transfer' ? 'transferência' : 'câmbio';
+  const lines = [
+    { line: 'fee', amount: fee, description: `Tarifa de ${label}` },
+    { line: 'tax', amount: tax, description: `IOF de ${label}` }
+  ];
+
+  for (const line of lines.filter(l => l.amount > 0)) {
+    await createTransaction(client, userId, {
+      accountId: exchange.from_account_id,
+      categoryId: feeCategoryId,
+      incomeSourceId: null,
+      type: 'expense',
+      amount: line.amount,
+      description: line.description,
+      date: exchange.date,
+      exchangeId: exchange.id,
+      exchangeLine: line.line
+    });
+  }
+};
+
+// Desfaz tarifa e IOF da operação, devolvendo os valores ao saldo das contas
+const removeExchangeLines = async (client, userId, exchangeId) => {
+  const lines = await client.query('SELECT * FROM transactions WHERE exchange_id = $1 AND user_id = $2', [exchangeId, userId]);
+  for (const line of lines.rows) {
+    await removeTransaction(client, userId, line);
+  }
+};
+
+app.get('/api/exchanges', authMiddleware, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const result = await pool.query(
+      'SELECT * FROM exchange_operations WHERE user_id = $1 AND ($2::text IS NULL OR type = $2) ORDER BY date DESC, created_at DESC',
+      [req.userId, type || null]
+    );
+    
+    // Mapear campos do banco para formato esperado pelo frontend
+    const lines = await getExchangeLines(pool, result.rows.map(row => row.id));
+    const mappedRows = result.rows.map(row => mapExchange(row, lines.get(row.id)));
+    
+    res.json(mappedRows);
+  } catch (error) {
+    console.error('Erro ao buscar câmbios:', error);
+    res.status(500).json({ error: 'Erro ao buscar operações de câmbio' });
+  }
+});
+
+app.post('/api/exchanges', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const validation = await validateExchangeInput(client, req.userId, req.body);
+    if (validation.error) {
+      await client.query('ROLLBACK');
+      return res.status(validation.status).json({ error: validation.error });
+    }
+    const { type, fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date } = validation.data;
+    
+    // Inserir operação de câmbio
+    const result = await client.query(
+      'INSERT INTO exchange_operations (user_id, type, from_account_id, to_account_id, from_amount, to_amount, from_currency, to_currency, exchange_rate, date) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
+      [req.userId, type, fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date]
+    );
+    
+    // Atualizar saldos
+    await client.query(
+      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
+      [fromAmount, fromAccountId, req.userId]
+    );
+    await client.query(
+      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+      [toAmount, toAccountId, req.userId]
+    );
+    
+    await createExchangeLines(client, req.userId, result.rows[0], validation.data);
+    
+    const lines = await getExchangeLines(client, [result.rows[0].id]);
+    await client.query('COMMIT');
+    res.json(mapExchange(result.rows[0], lines.get(result.rows[0].id)));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao criar câmbio:', error);
+    res.status(500).json({ error: 'Erro ao criar operação de câmbio' });
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/exchanges/:id', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const { id } = req.params;
+    
+    // Buscar operação antiga para reverter saldos
+    const oldResult = await client.query('SELECT * FROM exchange_operations WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    if (oldResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Operação não encontrada' });
+    }
+    
+    const oldExchange = oldResult.rows[0];
+    
+    const validation = await validateExchangeInput(client, req.userId, { type: oldExchange.type, ...req.body });
+    if (validation.error) {
+      await client.query('ROLLBACK');
+      return res.status(validation.status).json({ error: validation.error });
+    }
+    const { type, fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date } = validation.data;
+    
+    // Tarifa, IOF e categoria ausentes no corpo mantêm os lançamentos atuais
+    const oldLines = await client.query(
+      'SELECT exchange_line, amount, category_id FROM transactions WHERE exchange_id = $1 AND user_id = $2',
+      [id, req.userId]
+    );
+    const sumLines = (line) => oldLines.rows.filter(l => l.exchange_line === line).reduce((sum, l) => sum + parseFloat(l.amount), 0);
+    const lineData = {
+      fee: req.body.fee !== undefined ? validation.data.fee : sumLines('fee'),
+      tax: req.body.tax !== undefined ? validation.data.tax : sumLines('tax'),
+      feeCategoryId: req.body.feeCategoryId !== undefined ? validation.data.feeCategoryId : (oldLines.rows[0] ? oldLines.rows[0].category_id : null)
+    };
+    
+    // Reverter saldos antigos, incluindo tarifa e IOF
+    await client.query(
+      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+      [oldExchange.from_amount, oldExchange.from_account_id, req.userId]
+    );
+    await client.query(
+      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
+      [oldExchange.to_amount, oldExchange.to_account_id, req.userId]
+    );
+    await removeExchangeLines(client, req.userId, id);
+    
+    // Atualizar operação
+    const result = await client.query(
+      'UPDATE exchange_operations SET type = $1, from_account_id = $2, to_account_id = $3, from_amount = $4, to_amount = $5, from_currency = $6, to_currency = $7, exchange_rate = $8, date = $9 WHERE id = $10 AND user_id = $11 RETURNING *',
+      [type, fromAccountId, toAccountId, fromAmount, toAmount, fromCurrency, toCurrency, exchangeRate, date, id, req.userId]
+    );
+    
+    // Aplicar novos saldos
+    await client.query(
+      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
+      [fromAmount, fromAccountId, req.userId]
+    );
+    await client.query(
+      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+      [toAmount, toAccountId, req.userId]
+    );
+    await createExchangeLines(client, req.userId, result.rows[0], lineData);
+    
+    const lines = await getExchangeLines(client, [id]);
+    await client.query('COMMIT');
+    res.json(mapExchange(result.rows[0], lines.get(id)));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao atualizar câmbio:', error);
+    res.status(500).json({ error: 'Erro ao atualizar operação de câmbio' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/exchanges/:id', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const { id } = req.params;
+    
+    // Buscar operação
+    const result = await client.query('SELECT * FROM exchange_operations WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Operação não encontrada' });
+    }
+    
+    const exchange = result.rows[0];
+    
+    // Reverter saldos, incluindo tarifa e IOF
+    await client.query(
+      'UPDATE accounts SET balance = balance + $1 WHERE id = $2 AND user_id = $3',
+      [exchange.from_amount, exchange.from_account_id, req.userId]
+    );
+    await client.query(
+      'UPDATE accounts SET balance = balance - $1 WHERE id = $2 AND user_id = $3',
+      [exchange.to_amount, exchange.to_account_id, req.userId]
+    );
+    await removeExchangeLines(client, req.userId, id);
+    
+    // Deletar operação
+    await client.query('DELETE FROM exchange_operations WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    
+    await client.query('COMMIT');
+    res.json({ message: 'Operação deletada com sucesso' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao deletar câmbio:', error);
+    res.status(500).json({ error: 'Erro ao deletar operação de câmbio' });
+  } finally {
+    client.release();
+  }
+});
+
+
+// ==================== FX RATES ====================
+// Uma cotação diz que 1 unidade de `base` vale `rate` unidades de `quote`. Linhas sem user_id
+// vêm do provedor e valem para todos; as manuais são do usuário e ganham no mesmo dia.
+
+const mapFxRate = (row) => ({
+  id: row.id,
+  date: toDateString(row.date),
+  base: row.base,
+  quote: row.quote,
+  rate: parseFloat(row.rate),
+  source: row.source,
+  isManual: row.user_id !== null
+});
+
+/**
+ * Provedores de cotações, escolhidos por FX_PROVIDER. Cada um implementa `fetchRates()`,
+ * que devolve [{ date, base, quote, rate }]. O 'file' lê um JSON local (FX_RATES_FILE)
+ * no formato [{ date, base, rates: { QUOTE: rate } }] e serve de stub em desenvolvimento.
+ */
+const FX_PROVIDERS = {
+  file: {
+    fetchRates: async () => {
+      const file = process.env.FX_RATES_FILE || path.join(__dirname, 'data', 'fx-rates.json');
+      const entries = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return entries.flatMap(entry => Object.entries(entry.rates || {}).map(([quote, rate]) => ({
+        date: entry.date,
+        base: entry.base,
+        quote,
+        rate
+      })));
+    }
+  }
+};
+
+// Grava as cotações do provedor configurado; rodar de novo só atualiza as existentes
+const syncFxRates = async (providerName) => {
+  const provider = FX_PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Provedor de cotações desconhecido: ${providerName}`);
+  }
+
+  const rates = await provider.fetchRates();
+  let saved = 0;
+  for (const item of rates) {
+    const base = normalizeCurrency(item.base);
+    const quote = normalizeCurrency(item.quote);
+    const rate = parseFloat(item.rate);
+    if (!base || !quote || base === quote || !isValidDateString(item.date) || !(rate > 0)) continue;
+
+    await pool.query(
+      `INSERT INTO fx_rates (date, base, quote, rate, source) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (date, base, quote) WHERE user_id IS NULL
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source`,
+      [item.date, base, quote, rate, providerName]
+    );
+    saved++;
+  }
+  return saved;
+};
+
+/**
+ * Carrega a cotação mais recente de cada par até `date` e devolve um conversor.
+ * Usa o par direto, o inverso ou, na falta dos dois, uma moeda intermediária
+ * (ex.: BRL→USD via EUR). `convert` devolve null quando não há cotação.
+ */
+const createFxConverter = async (userId, date) => {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (base, quote) base, quote, rate
+     FROM fx_rates
+     WHERE (user_id = $1 OR user_id IS NULL) AND date <= $2
+     ORDER BY base, quote, date DESC, (user_id IS NULL)`,
+    [userId, date]
+  );
+
+  const rates = new Map(result.rows.map(row => [`${row.base}/${row.quote}`, parseFloat(row.rate)]));
+  const currencies = new Set(result.rows.flatMap(row => [row.base, row.quote]));
+
+  const directRate = (from, to) => {
+    if (rates.has(`${from}/${to}`)) return rates.get(`${from}/${to}`);
+    if (rates.has(`${to}/${from}`)) return 1 / rates.get(`${to}/${from}`);
+    return null;
+  };
+
+  const getRate = (from, to) => {
+    if (from === to) return 1;
+    const direct = directRate(from, to);
+    if (direct !== null) return direct;
+    for (const pivot of currencies) {
+      const first = directRate(from, pivot);
+      const second = directRate(pivot, to);
+      if (first !== null && second !== null) return first * second;
+    }
+    return null;
+  };
+
+  return {
+    getRate,
+    convert: (amount, from, to) => {
+      const rate = getRate(from, to);
+      return rate === null ? null : amount * rate;
+    }
+  };
+};
+
+// Soma { MOEDA: valor } na moeda base; moedas sem cotação ficam de fora e vão para missingRates
+const consolidateAmounts = (amountsByCurrency, baseCurrency, fx) => {
+  let total = 0;
+  const missingRates = [];
+  Object.entries(amountsByCurrency).forEach(([currency, amount]) => {
+    const converted = fx.convert(amount, currency, baseCurrency);
+    if (converted === null) {
+      missingRates.push(currency);
+    } else {
+      total += converted;
+    }
+  });
+  return { total: Math.round(total * 100) / 100, missingRates };
+};
+
+// Moeda base pedida na query (?baseCurrency=) ou a configurada pelo usuário; null se inválida
+const resolveBaseCurrency = async (userId, requested) => {
+  if (requested) return normalizeCurrency(requested);
+  const result = await pool.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.base_currency || 'BRL';
+};
+
+app.get('/api/fx-rates', authMiddleware, async (req, res) => {
+  try {
+    const { base, quote, from, to } = req.query;
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+      return res.status(400).json({ error: 'Datas devem estar no formato YYYY-MM-DD' });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM fx_rates
+       WHERE (user_id = $1 OR user_id IS NULL)
+       AND ($2::text IS NULL OR base = $2)
+       AND ($3::text IS NULL OR quote = $3)
+       AND ($4::date IS NULL OR date >= $4)
+       AND ($5::date IS NULL OR date <= $5)
+       ORDER BY date DESC, base, quote`,
+      [req.userId, base ? base.toUpperCase() : null, quote ? quote.toUpperCase() : null, from || null, to || null]
+    );
+    res.json(result.rows.map(mapFxRate));
+  } catch (error) {
+    console.error('Erro ao buscar cotações:', error);
+    res.status(500).json({ error: 'Erro ao buscar cotações' });
+  }
+});
+
+// Cotação manual; informar de novo o mesmo dia e par substitui o valor
+app.post('/api/fx-rates', authMiddleware, async (req, res) => {
+  try {
+    const base = normalizeCurrency(req.body.base);
+    const quote = normalizeCurrency(req.body.quote);
+    const rate = parseFloat(req.body.rate);
+    const date = req.body.date || getToday();
+
+    if (!base || !quote || base === quote) {
+      return res.status(400).json({ error: 'Informe moedas ISO 4217 diferentes em base e quote' });
+    }
+    if (!(rate > 0)) {
+      return res.status(400).json({ error: 'rate deve ser maior que zero' });
+    }
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO fx_rates (user_id, date, base, quote, rate, source) VALUES ($1, $2, $3, $4, $5, 'manual')
+       ON CONFLICT (user_id, date, base, quote) WHERE user_id IS NOT NULL
+       DO UPDATE SET rate = EXCLUDED.rate
+       RETURNING *`,
+      [req.userId, date, base, quote, rate]
+    );
+    res.status(201).json(mapFxRate(result.rows[0]));
+  } catch (error) {
+    console.error('Erro ao salvar cotação:', error);
+    res.status(500).json({ error: 'Erro ao salvar cotação' });
+  }
+});
+
+app.delete('/api/fx-rates/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM fx_rates WHERE id = $1 AND user_id = $2 RETURNING id', [id, req.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cotação não encontrada' });
+    }
+    res.json({ message: 'Cotação excluída com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir cotação:', error);
+    res.status(500).json({ error: 'Erro ao excluir cotação' });
+  }
+});
+
+app.get('/api/fx-rates/convert', authMiddleware, async (req, res) => {
+  try {
+    const from = normalizeCurrency(req.query.from);
+    const to = normalizeCurrency(req.query.to);
+    const amount = parseFloat(req.query.amount);
+    const date = req.query.date || getToday();
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Informe moedas ISO 4217 em from e to' });
+    }
+    if (isNaN(amount) || !isValidDateString(date)) {
+      return res.status(400).json({ error: 'amount e date (YYYY-MM-DD) inválidos' });
+    }
+
+    const fx = await createFxConverter(req.userId, date);
+    const rate = fx.getRate(from, to);
+    if (rate === null) {
+      return res.status(404).json({ error: `Sem cotação para ${from}/${to} até ${date}` });
+    }
+    res.json({ from, to, date, amount, rate, converted: Math.round(amount * rate * 100) / 100 });
+  } catch (error) {
+    console.error('Erro ao converter valor:', error);
+    res.status(500).json({ error: 'Erro ao converter valor' });
+  }
+});
+
+// ==================== INVESTMENTS ====================
+const INVESTMENT_EVENT_TYPES = ['buy', 'sell', 'dividend', 'split'];
+const INVESTMENT_COST_METHODS = ['fifo', 'average'];
+
+// Tolerância para sobras de ponto flutuante ao consumir lotes
+const QUANTITY_EPSILON = 1e-8;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 100000000) / 100000000;
+const toPercent = (ratio) => (ratio === null ? null : Math.round(ratio * 10000) / 100);
+
+const mapInvestmentEvent = (row) => ({
+  id: row.id,
+  investmentId: row.investment_id,
+  type: row.type,
+  date: toDateString(row.date),
+  quantity: row.quantity === null ? null : parseFloat(row.quantity),
+  unitPrice: row.unit_price === null ? null : parseFloat(row.unit_price),
+  amount: row.amount === null ? null : parseFloat(row.amount),
+  ratio: row.ratio === null ? null : parseFloat(row.ratio),
+  fees: parseFloat(row.fees),
+  cashAccountId: row.cash_account_id,
+  transactionId: row.transaction_id,
+  notes: row.notes
+});
+
+const findInvestment = async (db, userId, id, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM investments WHERE id = $1 AND user_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const getInvestmentEvents = async (db, investmentIds) => {
+  const result = await db.query(
+    'SELECT * FROM investment_events WHERE investment_id = ANY($1) ORDER BY date, created_at',
+    [investmentIds]
+  );
+  const byInvestment = new Map(investmentIds.map(id => [id, []]));
+  result.rows.forEach(row => byInvestment.get(row.investment_id).push(row));
+  return byInvestment;
+};
+
+/**
+ * Reprocessa os eventos em ordem de data. Na média ponderada os lotes viram um só, então o
+ * mesmo consumo "do mais antigo" serve aos dois métodos. Devolve { error } se uma venda
+ * passar da quantidade em carteira naquela data.
+ *
+ * A TWR encadeia o retorno de cada intervalo entre compras/vendas: o valor logo antes de um
+ * evento é a quantidade vezes o preço daquele evento, mais os dividendos do intervalo.
+ */
+const replayInvestmentEvents = (events, costMethod) => {
+  let lots = [];
+  let realizedGain = 0;
+  let dividends = 0;
+  let fees = 0;
+  let lastPrice = null;
+  let lastPriceDate = null;
+  let twrFactor = 1;
+  let valueAfter = 0;
+  let pendingDividends = 0;
+  const cashFlows = [];
+  const heldQuantity = () => lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+  for (const event of events) {
+    const date = toDateString(event.date);
+    const quantity = parseFloat(event.quantity);
+    const unitPrice = parseFloat(event.unit_price);
+    const fee = parseFloat(event.fees);
+
+    if (event.type === 'buy' || event.type === 'sell') {
+      const held = heldQuantity();
+      if (held > QUANTITY_EPSILON && valueAfter > 0) {
+        twrFactor *= (held * unitPrice + pendingDividends) / valueAfter;
+      }
+      pendingDividends = 0;
+      lastPrice = unitPrice;
+      lastPriceDate = date;
+      fees += fee;
+    }
+
+    switch (event.type) {
+      case 'buy': {
+        const cost = quantity * unitPrice + fee;
+        lots.push({ date, quantity, unitCost: cost / quantity });
+        if (costMethod === 'average' && lots.length > 1) {
+          const totalQuantity = heldQuantity();
+          const totalCost = lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0);
+          lots = [{ date: lots[0].date, quantity: totalQuantity, unitCost: totalCost / totalQuantity }];
+        }
+        cashFlows.push({ date, amount: -cost });
+        break;
+      }
+      case 'sell': {
+        if (quantity > heldQuantity() + QUANTITY_EPSILON) {
+          return { error: `Venda de ${quantity} em ${date} maior que a quantidade em carteira` };
+        }
+        let toSell = quantity;
+        let cost = 0;
+        while (toSell > QUANTITY_EPSILON && lots.length > 0) {
+          const lot = lots[0];
+          const used = Math.min(lot.quantity, toSell);
+          cost += used * lot.unitCost;
+          lot.quantity -= used;
+          toSell -= used;
+          if (lot.quantity <= QUANTITY_EPSILON) lots.shift();
+        }
+        realizedGain += quantity * unitPrice - fee - cost;
+        cashFlows.push({ date, amount: quantity * unitPrice - fee });
+        break;
+      }
+      case 'dividend': {
+        const amount = parseFloat(event.amount);
+        dividends += amount;
+        pendingDividends += amount;
+        cashFlows.push({ date, amount });
+        break;
+      }
+      case 'split': {
+        const ratio = parseFloat(event.ratio);
+        lots.forEach(lot => {
+          lot.quantity *= ratio;
+          lot.unitCost /= ratio;
+        });
+        if (lastPrice !== null) {
+          lastPrice /= ratio;
+          lastPriceDate = date;
+        }
+        break;
+      }
+    }
+
+    if (event.type === 'buy' || event.type === 'sell') {
+      valueAfter = heldQuantity() * unitPrice;
+    }
+  }
+
+  const quantity = heldQuantity();
+  return {
+    quantity: quantity > QUANTITY_EPSILON ? quantity : 0,
+    costBasis: lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0),
+    lots,
+    realizedGain,
+    dividends,
+    fees,
+    lastPrice,
+    lastPriceDate,
+    cashFlows,
+    twrFactor,
+    valueAfter,
+    pendingDividends
+  };
+};
+
+// Taxa anual que zera o valor presente dos fluxos (XIRR), por bisseção. null quando não
+// há entrada e saída de dinheiro em datas diferentes.
+const computeXirr = (cashFlows) => {
+  if (!cashFlows.some(f => f.amount > 0) || !cashFlows.some(f => f.amount < 0)) return null;
+  const firstDate = minDate(...cashFlows.map(f => f.date));
+  if (cashFlows.every(f => f.date === firstDate)) return null;
+
+  const presentValue = (rate) => cashFlows.reduce(
+    (sum, f) => sum + f.amount / Math.pow(1 + rate, daysBetween(firstDate, f.date) / 365),
+    0
+  );
+
+  let low = -0.9999;
+  let high = 100;
+  let lowValue = presentValue(low);
+  if (lowValue * presentValue(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midValue = presentValue(mid);
+    if (Math.abs(midValue) < 1e-7) return mid;
+    if (lowValue * midValue < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Ganhos e rentabilidade de uma posição. O valor de mercado é current_value: acompanha o preço
+ * da última compra/venda e pode ser atualizado pelo PUT. Investimentos sem eventos (cadastrados
+ * só com amount e current_value) têm apenas o ganho não realizado.
+ */
+const buildInvestmentPerformance = (investment, events) => {
+  const marketValue = parseFloat(investment.current_value || 0);
+  const base = {
+    investmentId: investment.id,
+    name: investment.name,
+    type: investment.type,
+    currency: investment.currency,
+    costMethod: investment.cost_method
+  };
+
+  if (events.length === 0) {
+    const costBasis = parseFloat(investment.amount);
+    return {
+      ...base,
+      quantity: null,
+      averageCost: null,
+      costBasis: roundMoney(costBasis),
+      marketValue: roundMoney(marketValue),
+      unrealizedGain: roundMoney(marketValue - costBasis),
+      unrealizedGainPercent: costBasis > 0 ? toPercent((marketValue - costBasis) / costBasis) : null,
+      realizedGain: 0,
+      dividends: 0,
+      fees: 0,
+      totalReturn: roundMoney(marketValue - costBasis),
+      twr: null,
+      twrAnnualized: null,
+      mwr: null,
+      lots: []
+    };
+  }
+
+  const position = replayInvestmentEvents(events, investment.cost_method);
+  const today = getToday();
+  const firstDate = toDateString(events[0].date);
+
+  let twrFactor = position.twrFactor;
+  if (position.quantity > 0 && position.valueAfter > 0) {
+    twrFactor *= (marketValue + position.pendingDividends) / position.valueAfter;
+  }
+  const twr = twrFactor - 1;
+  // Só anualiza a partir de um ano de histórico; antes disso o número engana
+  const days = daysBetween(firstDate, today);
+  const twrAnnualized = days >= 365 ? Math.pow(twrFactor, 365 / days) - 1 : null;
+
+  const cashFlows = position.quantity > 0
+    ? [...position.cashFlows, { date: today, amount: marketValue }]
+    : position.cashFlows;
+
+  const unrealizedGain = position.quantity > 0 ? marketValue - position.costBasis : 0;
+  return {
+    ...base,
+    quantity: roundQuantity(position.quantity),
+    averageCost: position.quantity > 0 ? roundQuantity(position.costBasis / position.quantity) : null,
+    costBasis: roundMoney(position.costBasis),
+    marketValue: roundMoney(position.quantity > 0 ? marketValue : 0),
+    unrealizedGain: roundMoney(unrealizedGain),
+    unrealizedGainPercent: position.costBasis > 0 ? toPercent(unrealizedGain / position.costBasis) : null,
+    realizedGain: roundMoney(position.realizedGain),
+    dividends: roundMoney(position.dividends),
+    fees: roundMoney(position.fees),
+    totalReturn: roundMoney(unrealizedGain + position.realizedGain + position.dividends),
+    twr: toPercent(twr),
+    twrAnnualized: toPercent(twrAnnualized),
+    mwr: toPercent(computeXirr(cashFlows)),
+    lots: position.lots.map(lot => ({
+      date: lot.date,
+      quantity: roundQuantity(lot.quantity),
+      unitCost: roundQuantity(lot.unitCost)
+    }))
+  };
+};
+
+/**
+ * Provedores de preços de ativos, escolhidos por QUOTE_PROVIDER. Cada um implementa
+ * `fetchQuotes(tickers)`, que devolve [{ ticker, date, price, currency }]. O 'file' lê
+ * QUOTES_FILE: um CSV com cabeçalho ticker,date,price,currency ou um JSON com a mesma lista.
+ */
+const QUOTE_PROVIDERS = {
+  file: {
+    fetchQuotes: async (tickers) => {
+      const file = process.env.QUOTES_FILE || path.join(__dirname, 'data', 'quotes.csv');
+      const content = await fs.promises.readFile(file, 'utf8');
+
+      let quotes;
+      if (path.extname(file).toLowerCase() === '.json') {
+        quotes = JSON.parse(content);
+      } else {
+        const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+        const columns = header.split(',').map(column => column.trim().toLowerCase());
+        quotes = lines.map(line => {
+          const values = line.split(',').map(value => value.trim());
+          return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+        });
+      }
+      return quotes.filter(quote => tickers.includes(normalizeTicker(quote.ticker)));
+    }
+  }
+};
+
+const normalizeTicker = (ticker) => {
+  const value = String(ticker || '').trim().toUpperCase();
+  return value || null;
+};
+
+/**
+ * Preço unitário de mercado na moeda do investimento em `asOf`: o do price_history se for
+ * mais recente que a última compra/venda (ou desdobramento), senão o preço dessa operação.
+ */
+const getMarketPrice = async (db, investment, position, asOf) => {
+  if (investment.ticker) {
+    const quote = await db.query(
+      'SELECT date, price, currency FROM price_history WHERE ticker = $1 AND date <= $2 ORDER BY date DESC LIMIT 1',
+      [investment.ticker, asOf]
+    );
+    const row = quote.rows[0];
+    if (row && (!position.lastPriceDate || toDateString(row.date) >= position.lastPriceDate)) {
+      const fx = await createFxConverter(investment.user_id, asOf);
+      const price = fx.convert(parseFloat(row.price), row.currency, investment.currency);
+      if (price !== null) return price;
+    }
+  }
+  return position.lastPrice;
+};
+
+// Grava o custo da posição em amount e o valor de mercado (quantidade x preço atual) em
+// current_value. Devolve { error } quando o histórico ficou inconsistente.
+const syncInvestmentPosition = async (db, investment, { updateMarketValue = true } = {}) => {
+  const events = (await getInvestmentEvents(db, [investment.id])).get(investment.id);
+  if (events.length === 0) return {};
+
+  const position = replayInvestmentEvents(events, investment.cost_method);
+  if (position.error) return position;
+
+  const price = updateMarketValue ? await getMarketPrice(db, investment, position, getToday()) : null;
+  const marketValue = price === null ? null : roundMoney(position.quantity * price);
+  await db.query(
+    'UPDATE investments SET amount = $1, current_value = COALESCE($2, current_value) WHERE id = $3',
+    [roundMoney(position.costBasis), marketValue, investment.id]
+  );
+  return {};
+};
+
+// Grava os preços do provedor para os tickers em carteira e reavalia as posições com eventos
+const syncQuotes = async (providerName) => {
+  const provider = QUOTE_PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Provedor de preços desconhecido: ${providerName}`);
+  }
+
+  const tickersResult = await pool.query('SELECT DISTINCT ticker FROM investments WHERE ticker IS NOT NULL');
+  const tickers = tickersResult.rows.map(row => row.ticker);
+  if (tickers.length === 0) return { saved: 0, revalued: 0 };
+
+  const quotes = await provider.fetchQuotes(tickers);
+  let saved = 0;
+  for (const quote of quotes) {
+    const ticker = normalizeTicker(quote.ticker);
+    const currency = normalizeCurrency(quote.currency);
+    const price = parseFloat(quote.price);
+    if (!ticker || !currency || !isValidDateString(quote.date) || !(price > 0)) continue;
+
+    await pool.query(
+      `INSERT INTO price_history (ticker, date, price, currency, source) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (ticker, date) DO UPDATE SET price = EXCLUDED.price, currency = EXCLUDED.currency, source = EXCLUDED.source`,
+      [ticker, quote.date, price, currency, providerName]
+    );
+    saved++;
+  }
+
+  // Sem eventos não há quantidade para multiplicar pelo preço; essas posições seguem pelo PUT
+  const investments = await pool.query(
+    'SELECT i.* FROM investments i WHERE i.ticker = ANY($1) AND EXISTS (SELECT 1 FROM investment_events e WHERE e.investment_id = i.id)',
+    [tickers]
+  );
+  for (const investment of investments.rows) {
+    await syncInvestmentPosition(pool, investment);
+  }
+  return { saved, revalued: investments.rows.length };
+};
+
+/**
+ * Valor de mercado de cada investimento do usuário. Sem data é o current_value gravado; com
+ * data, a posição é refeita com os eventos até ela e avaliada pelo preço conhecido no dia.
+ * Investimentos sem eventos valem current_value a partir da data de compra.
+ */
+const getInvestmentValues = async (userId, asOf) => {
+  const investments = await pool.query('SELECT * FROM investments WHERE user_id = $1 ORDER BY name', [userId]);
+  if (!asOf) {
+    return investments.rows.map(investment => ({ ...investment, marketValue: parseFloat(investment.current_value || 0) }));
+  }
+
+  const eventsByInvestment = await getInvestmentEvents(pool, investments.rows.map(i => i.id));
+  const values = [];
+  for (const investment of investments.rows) {
+    const allEvents = eventsByInvestment.get(investment.id);
+    let marketValue = 0;
+    if (allEvents.length === 0) {
+      const purchaseDate = toDateString(investment.purchase_date);
+      marketValue = !purchaseDate || purchaseDate <= asOf ? parseFloat(investment.current_value || 0) : 0;
+    } else {
+      const position = replayInvestmentEvents(allEvents.filter(e => toDateString(e.date) <= asOf), investment.cost_method);
+      if (position.quantity > 0) {
+        const price = await getMarketPrice(pool, investment, position, asOf);
+        marketValue = roundMoney(position.quantity * (price || 0));
+      }
+    }
+    values.push({ ...investment, marketValue });
+  }
+  return values;
+};
+
+const validateInvestmentEventInput = async (db, userId, investment, input) => {
+  const type = input.type;
+  if (!INVESTMENT_EVENT_TYPES.includes(type)) {
+    return { status: 400, error: `type deve ser um de: ${INVESTMENT_EVENT_TYPES.join(', ')}` };
+  }
+  const date = input.date || getToday();
+  if (!isValidDateString(date)) {
+    return { status: 400, error: 'date deve estar no formato YYYY-MM-DD' };
+  }
+
+  const data = { type, date, quantity: null, unitPrice: null, amount: null, ratio: null, fees: 0, cashAccountId: null, notes: input.notes || null };
+
+  if (type === 'buy' || type === 'sell') {
+    data.quantity = parseFloat(input.quantity);
+    data.unitPrice = parseFloat(input.unitPrice);
+    data.fees = input.fees === undefined ? 0 : parseFloat(input.fees);
+    if (!(data.quantity > 0)) {
+      return { status: 400, error: 'quantity deve ser maior que zero' };
+    }
+    if (!(data.unitPrice >= 0)) {
+      return { status: 400, error: 'unitPrice é obrigatório e não pode ser negativo' };
+    }
+    if (!(data.fees >= 0)) {
+      return { status: 400, error: 'fees não pode ser negativo' };
+    }
+  } else if (type === 'dividend') {
+    data.amount = parseFloat(input.amount);
+    if (!(data.amount > 0)) {
+      return { status: 400, error: 'amount deve ser maior que zero' };
+    }
+  } else {
+    data.ratio = parseFloat(input.ratio);
+    if (!(data.ratio > 0) || data.ratio === 1) {
+      return { status: 400, error: 'ratio deve ser maior que zero e diferente de 1' };
+    }
+  }
+
+  if (input.cashAccountId) {
+    if (type === 'split') {
+      return { status: 400, error: 'Desdobramento não movimenta conta' };
+    }
+    const account = await db.query('SELECT currency FROM accounts WHERE id = $1 AND user_id = $2', [input.cashAccountId, userId]);
+    if (account.rows.length === 0) {
+      return { status: 404, error: 'Conta não encontrada' };
+    }
+    if (account.rows[0].currency !== investment.currency) {
+      return { status: 400, error: `A conta precisa estar na moeda do investimento (${investment.currency})` };
+    }
+    data.cashAccountId = input.cashAccountId;
+  }
+
+  return { data };
+};
+
+/**
+ * Investimento cadastrado antes dos eventos: o valor aplicado vira uma compra inicial, senão o
+ * primeiro evento apagaria a posição. Sem openingQuantity, a posição inteira vale 1 cota.
+ * Devolve { status, error } ou {}.
+ */
+const seedOpeningLot = async (client, investment, event, input) => {
+  const amount = parseFloat(investment.amount);
+  if (!(amount > 0)) return {};
+  const existing = await client.query('SELECT 1 FROM investment_events WHERE investment_id = $1 LIMIT 1', [investment.id]);
+  if (existing.rows.length > 0) return {};
+
+  const quantity = input.openingQuantity !== undefined ? parseFloat(input.openingQuantity) : 1;
+  if (!(quantity > 0)) {
+    return { status: 400, error: 'openingQuantity deve ser maior que zero' };
+  }
+  // created_at um pouco antes: no mesmo dia a replay ordena por ele, e a compra inicial vem primeiro
+  await client.query(
+    `INSERT INTO investment_events (investment_id, type, date, quantity, unit_price, fees, notes, created_at)
+     VALUES ($1, 'buy', $2, $3, $4, 0, 'Posição inicial', NOW() - INTERVAL '1 second')`,
+    [investment.id, minDate(toDateString(investment.purchase_date), event.date), quantity, amount / quantity]
+  );
+  return {};
+};
+
+// Lançamento na conta vinculada: compra debita, venda e dividendo creditam. Compra e venda
+// são só troca de dinheiro por cotas (is_transfer); dividendo é receita de verdade.
+const createInvestmentCashTransaction = async (client, userId, investment, event) => {
+  const gross = event.quantity * event.unitPrice;
+  const lines = {
+    buy: { type: 'expense', amount: gross + event.fees, description: `Compra de ${investment.name}`, isTransfer: true },
+    sell: { type: 'income', amount: gross - event.fees, description: `Venda de ${investment.name}`, isTransfer: true },
+    dividend: { type: 'income', amount: event.amount, description: `Dividendos de ${investment.name}`, isTransfer: false }
+  };
+  const line = lines[event.type];
+  const amount = roundMoney(line.amount);
+  if (!(amount > 0)) return null;
+
+  return createTransaction(client, userId, {
+    accountId: event.cashAccountId,
+    categoryId: null,
+    incomeSourceId: null,
+    type: line.type,
+    amount,
+    description: line.description,
+    date: event.date,
+    isTransfer: line.isTransfer
+  });
+};
+
+app.get('/api/investments', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM investments WHERE user_id = $1 ORDER BY purchase_date DESC',
+      [req.userId]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Erro ao buscar investimentos:', error);
+    res.status(500).json({ error: 'Erro ao buscar investimentos' });
+  }
+});
+
+app.post('/api/investments', authMiddleware, async (req, res) => {
+  try {
+    const { name, type, amount, currentValue, currency, purchaseDate, broker, notes, costMethod = 'fifo', ticker } = req.body;
+    const investmentCurrency = normalizeCurrency(currency);
+    if (!investmentCurrency) {
+      return res.status(400).json({ error: 'Moeda inválida' });
+    }
+    if (!INVESTMENT_COST_METHODS.includes(costMethod)) {
+      return res.status(400).json({ error: `costMethod deve ser um de: ${INVESTMENT_COST_METHODS.join(', ')}` });
+    }
+    // Uma posição controlada por eventos pode começar zerada: a primeira compra define o custo
+    const result = await pool.query(
+      'INSERT INTO investments (user_id, name, type, amount, current_value, currency, purchase_date, broker, notes, cost_method, ticker) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+      [req.userId, name, type, amount || 0, currentValue || amount || 0, investmentCurrency, purchaseDate, broker, notes, costMethod, normalizeTicker(ticker)]
+    );
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Erro ao criar investimento:', error);
+    res.status(500).json({ error: 'Erro ao criar investimento' });
+  }
+});
+
+app.put('/api/investments/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, type, amount, currentValue, currency, purchaseDate, broker, notes, costMethod, ticker } = req.body;
+    const investmentCurrency = currency !== undefined ? normalizeCurrency(currency) : null;
+    if (currency !== undefined && !investmentCurrency) {
+      return res.status(400).json({ error: 'Moeda inválida' });
+    }
+    if (costMethod !== undefined && !INVESTMENT_COST_METHODS.includes(costMethod)) {
+      return res.status(400).json({ error: `costMethod deve ser um de: ${INVESTMENT_COST_METHODS.join(', ')}` });
+    }
+    const invalidNumber = ['amount', 'currentValue'].find(field => req.body[field] !== undefined && req.body[field] !== null && isNaN(parseFloat(req.body[field])));
+    if (invalidNumber) {
+      return res.status(400).json({ error: `${invalidNumber} deve ser numérico` });
+    }
+    if (purchaseDate && !isValidDateString(purchaseDate)) {
+      return res.status(400).json({ error: 'purchaseDate deve estar no formato YYYY-MM-DD' });
+    }
+    // Atualização parcial: campo ausente mantém o valor atual; ticker null remove.
+    // Com eventos, amount nem precisa ser enviado: o custo é recalculado a partir deles.
+    const result = await pool.query(
+      'UPDATE investments SET name = COALESCE($1, name), type = COALESCE($2, type), amount = COALESCE($3, amount), current_value = COALESCE($4, current_value), currency = COALESCE($5, currency), purchase_date = COALESCE($6, purchase_date), broker = COALESCE($7, broker), notes = COALESCE($8, notes), cost_method = COALESCE($9, cost_method), ticker = CASE WHEN $10 THEN $11 ELSE ticker END WHERE id = $12 AND user_id = $13 RETURNING *',
+      [name ?? null, type ?? null, amount ?? null, currentValue ?? null, investmentCurrency, purchaseDate || null, broker ?? null, notes ?? null, costMethod || null, ticker !== undefined, normalizeTicker(ticker), id, req.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Investimento não encontrado' });
+    }
+    // Com eventos, o custo vem deles (e do método escolhido); o valor de mercado informado é mantido
+    await syncInvestmentPosition(pool, result.rows[0], { updateMarketValue: false });
+    const investment = await findInvestment(pool, req.userId, id);
+    res.json(investment);
+  } catch (error) {
+    console.error('Erro ao atualizar investimento:', error);
+    res.status(500).json({ error: 'Erro ao atualizar investimento' });
+  }
+});
+
+app.delete('/api/investments/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await pool.query('DELETE FROM investments WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Investimento deletado com sucesso' });
+  } catch (error) {
+    console.error('Erro ao deletar investimento:', error);
+    res.status(500).json({ error: 'Erro ao deletar investimento' });
+  }
+});
+
+// ?date=YYYY-MM-DD avalia as posições a preço de mercado naquele dia
+app.get('/api/investments/allocation', authMiddleware, async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (date && !isValidDateString(date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+
+    const investments = await getInvestmentValues(req.userId, date);
+    const byType = new Map();
+    investments.forEach(investment => {
+      if (!byType.has(investment.type)) byType.set(investment.type, { type: investment.type, total: 0, byCurrency: {} });
+      const item = byType.get(investment.type);
+      item.total += investment.marketValue;
+      item.byCurrency[investment.currency] = roundMoney((item.byCurrency[investment.currency] || 0) + investment.marketValue);
+    });
+    res.json([...byType.values()].map(item => ({ ...item, total: item.total.toFixed(2) })));
+  } catch (error) {
+    console.error('Erro ao buscar alocação:', error);
+    res.status(500).json({ error: 'Erro ao buscar alocação' });
+  }
+});
+
+const ALLOCATION_LEVELS = ['type', 'holding'];
+const DEFAULT_ALLOCATION_TOLERANCE = 5;
+
+const mapAllocationTarget = (row) => ({
+  id: row.id,
+  type: row.investment_type,
+  investmentId: row.investment_id,
+  targetPercent: parseFloat(row.target_percent),
+  tolerancePercent: parseFloat(row.tolerance_percent)
+});
+
+const getAllocationTargets = async (db, userId) => {
+  const user = await db.query('SELECT allocation_level FROM users WHERE id = $1', [userId]);
+  const targets = await db.query(
+    'SELECT * FROM allocation_targets WHERE user_id = $1 ORDER BY target_percent DESC',
+    [userId]
+  );
+  return { level: user.rows[0].allocation_level, targets: targets.rows.map(mapAllocationTarget) };
+};
+
+// Valida a lista de alvos do nível escolhido; os percentuais precisam somar 100
+const validateAllocationTargets = async (db, userId, level, targets) => {
+  if (!ALLOCATION_LEVELS.includes(level)) {
+    return { status: 400, error: `level deve ser um de: ${ALLOCATION_LEVELS.join(', ')}` };
+  }
+  if (!Array.isArray(targets)) {
+    return { status: 400, error: 'targets deve ser uma lista' };
+  }
+
+  const lines = targets.map(target => ({
+    key: level === 'type' ? String(target.type || '').trim() : target.investmentId,
+    targetPercent: parseFloat(target.targetPercent),
+    tolerancePercent: target.tolerancePercent === undefined ? DEFAULT_ALLOCATION_TOLERANCE : parseFloat(target.tolerancePercent)
+  }));
+  if (lines.some(line => !line.key)) {
+    return { status: 400, error: level === 'type' ? 'Cada alvo precisa de type' : 'Cada alvo precisa de investmentId' };
+  }
+  if (new Set(lines.map(line => line.key)).size !== lines.length) {
+    return { status: 400, error: 'Alvos repetidos' };
+  }
+  if (lines.some(line => !(line.targetPercent >= 0 && line.targetPercent <= 100) || !(line.tolerancePercent >= 0 && line.tolerancePercent <= 100))) {
+    return { status: 400, error: 'targetPercent e tolerancePercent devem estar entre 0 e 100' };
+  }
+  // Compara em centésimos para não esbarrar em arredondamento de ponto flutuante
+  const totalCents = lines.reduce((sum, line) => sum + Math.round(line.targetPercent * 100), 0);
+  if (lines.length > 0 && totalCents !== 10000) {
+    return { status: 400, error: 'A soma dos percentuais-alvo deve ser 100' };
+  }
+
+  if (level === 'holding' && lines.length > 0) {
+    const owned = await db.query(
+      'SELECT id FROM investments WHERE user_id = $1 AND id = ANY($2)',
+      [userId, lines.map(line => line.key)]
+    );
+    if (owned.rows.length !== lines.length) {
+      return { status: 404, error: 'Investimento não encontrado' };
+    }
+  }
+  return { data: lines };
+};
+
+/**
+ * Sugestões de rebalanceamento na moeda base. Grupos sem alvo têm alvo 0. No modo completo
+ * cada grupo vai ao seu alvo (compras e vendas somam o aporte); só com aportes não há venda e
+ * o aporte cobre primeiro quem está abaixo do alvo, proporcionalmente ao que falta.
+ */
+const buildRebalancePlan = (groups, targets, contribution, onlyContributions) => {
+  const targetsByKey = new Map(targets.map(target => [target.type || target.investmentId, target]));
+  targets.forEach(target => {
+    const key = target.type || target.investmentId;
+    if (!groups.has(key)) groups.set(key, { key, name: target.type || key, currentValue: 0 });
+  });
+
+  const currentTotal = [...groups.values()].reduce((sum, group) => sum + group.currentValue, 0);
+  const finalTotal = currentTotal + contribution;
+
+  const items = [...groups.values()].map(group => {
+    const target = targetsByKey.get(group.key);
+    const targetPercent = target ? target.targetPercent : 0;
+    const tolerancePercent = target ? target.tolerancePercent : 0;
+    const currentPercent = currentTotal > 0 ? (group.currentValue / currentTotal) * 100 : 0;
+    const drift = currentPercent - targetPercent;
+    return {
+      ...group,
+      currentPercent,
+      targetPercent,
+      tolerancePercent,
+      drift,
+      outOfBand: Math.abs(drift) > tolerancePercent,
+      targetValue: finalTotal * (targetPercent / 100)
+    };
+  });
+
+  if (onlyContributions) {
+    const shortfalls = items.map(item => Math.max(item.targetValue - item.currentValue, 0));
+    const totalShortfall = shortfalls.reduce((sum, value) => sum + value, 0);
+    items.forEach((item, i) => {
+      item.amount = totalShortfall > 0 ? contribution * (shortfalls[i] / totalShortfall) : contribution * (item.targetPercent / 100);
+    });
+  } else {
+    items.forEach(item => {
+      item.amount = item.targetValue - item.currentValue;
+    });
+  }
+
+  return {
+    totalValue: roundMoney(currentTotal),
+    needsRebalance: items.some(item => item.outOfBand),
+    items: items.map(item => ({
+      ...item,
+      currentValue: roundMoney(item.currentValue),
+      currentPercent: roundMoney(item.currentPercent),
+      drift: roundMoney(item.drift),
+      targetValue: roundMoney(item.targetValue),
+      amount: roundMoney(item.amount),
+      action: Math.abs(item.amount) < 0.01 ? 'hold' : (item.amount > 0 ? 'buy' : 'sell')
+    }))
+  };
+};
+
+app.get('/api/investments/allocation/targets', authMiddleware, async (req, res) => {
+  try {
+    res.json(await getAllocationTargets(pool, req.userId));
+  } catch (error) {
+    console.error('Erro ao buscar alocação-alvo:', error);
+    res.status(500).json({ error: 'Erro ao buscar alocação-alvo' });
+  }
+});
+
+// Substitui todos os alvos; trocar de nível (tipo ↔ investimento) descarta os do nível anterior
+app.put('/api/investments/allocation/targets', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { level = 'type', targets = [] } = req.body;
+    const validation = await validateAllocationTargets(client, req.userId, level, targets);
+    if (validation.error) {
+      await client.query('ROLLBACK');
+      return res.status(validation.status).json({ error: validation.error });
+    }
+
+    await client.query('UPDATE users SET allocation_level = $1 WHERE id = $2', [level, req.userId]);
+    await client.query('DELETE FROM allocation_targets WHERE user_id = $1', [req.userId]);
+    for (const line of validation.data) {
+      await client.query(
+        'INSERT INTO allocation_targets (user_id, investment_type, investment_id, target_percent, tolerance_percent) VALUES ($1, $2, $3, $4, $5)',
+        [req.userId, level === 'type' ? line.key : null, level === 'holding' ? line.key : null, line.targetPercent, line.tolerancePercent]
+      );
+    }
+
+    const result = await getAllocationTargets(client, req.userId);
+    await client.query('COMMIT');
+    res.json(result);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao salvar alocação-alvo:', error);
+    res.status(500).json({ error: 'Erro ao salvar alocação-alvo' });
+  } finally {
+    client.release();
+  }
+});
+
+// ?contribution= soma um aporte ao total; ?onlyContributions=true não sugere vendas
+app.get('/api/investments/rebalance', authMiddleware, async (req, res) => {
+  try {
+    const baseCurrency = await resolveBaseCurrency(req.userId, req.query.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida' });
+    }
+    const contribution = req.query.contribution === undefined ? 0 : parseFloat(req.query.contribution);
+    const onlyContributions = req.query.onlyContributions === 'true';
+    if (!(contribution >= 0)) {
+      return res.status(400).json({ error: 'contribution não pode ser negativo' });
+    }
+    if (onlyContributions && !(contribution > 0)) {
+      return res.status(400).json({ error: 'Informe contribution para rebalancear só com aportes' });
+    }
+
+    const { level, targets } = await getAllocationTargets(pool, req.userId);
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'Defina a alocação-alvo antes de rebalancear' });
+    }
+
+    const investments = await getInvestmentValues(req.userId);
+    const fx = await createFxConverter(req.userId, getToday());
+    const groups = new Map();
+    const missingRates = new Set();
+    investments.forEach(investment => {
+      const value = fx.convert(investment.marketValue, investment.currency, baseCurrency);
+      if (value === null) {
+        missingRates.add(investment.currency);
+        return;
+      }
+      const key = level === 'type' ? investment.type : investment.id;
+      if (!groups.has(key)) {
+        groups.set(key, { key, name: level === 'type' ? investment.type : investment.name, currentValue: 0 });
+      }
+      groups.get(key).currentValue += value;
+    });
+
+    const plan = buildRebalancePlan(groups, targets, contribution, onlyContributions);
+
+    // No nível por investimento, o valor também sai na moeda do próprio investimento
+    if (level === 'holding') {
+      const currencies = new Map(investments.map(investment => [investment.id, investment.currency]));
+      plan.items.forEach(item => {
+        item.currency = currencies.get(item.key);
+        const amount = fx.convert(item.amount, baseCurrency, item.currency);
+        item.amountInCurrency = amount === null ? null : roundMoney(amount);
+      });
+    }
+
+    res.json({
+      baseCurrency,
+      level,
+      contribution,
+      onlyContributions,
+      ...plan,
+      // Moedas sem cotação para a moeda base; esses investimentos ficaram fora do cálculo
+      missingRates: [...missingRates]
+    });
+  } catch (error) {
+    console.error('Erro ao calcular rebalanceamento:', error);
+    res.status(500).json({ error: 'Erro ao calcular rebalanceamento' });
+  }
+});
+
+// Desempenho de todas as posições, com os totais consolidados na moeda base
+app.get('/api/investments/performance', authMiddleware, async (req, res) => {
+  try {
+    const baseCurrency = await resolveBaseCurrency(req.userId, req.query.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida' });
+    }
+
+    const investments = await pool.query('SELECT * FROM investments WHERE user_id = $1 ORDER BY name', [req.userId]);
+    const eventsByInvestment = await getInvestmentEvents(pool, investments.rows.map(i => i.id));
+    const holdings = investments.rows.map(investment => buildInvestmentPerformance(investment, eventsByInvestment.get(investment.id)));
+
+    const fx = await createFxConverter(req.userId, getToday());
+    const missingRates = new Set();
+    const totals = { currency: baseCurrency };
+    ['costBasis', 'marketValue', 'unrealizedGain', 'realizedGain', 'dividends', 'totalReturn'].forEach(field => {
+      const byCurrency = {};
+      holdings.forEach(h => {
+        byCurrency[h.currency] = (byCurrency[h.currency] || 0) + h[field];
+      });
+      const consolidated = consolidateAmounts(byCurrency, baseCurrency, fx);
+      consolidated.missingRates.forEach(currency => missingRates.add(currency));
+      totals[field] = consolidated.total;
+    });
+    totals.missingRates = [...missingRates];
+
+    res.json({ holdings, totals });
+  } catch (error) {
+    console.error('Erro ao calcular desempenho dos investimentos:', error);
+    res.status(500).json({ error: 'Erro ao calcular desempenho dos investimentos' });
+  }
+});
+
+app.get('/api/investments/:id/performance', authMiddleware, async (req, res) => {
+  try {
+    const investment = await findInvestment(pool, req.userId, req.params.id);
+    if (!investment) {
+      return res.status(404).json({ error: 'Investimento não encontrado' });
+    }
+    const events = (await getInvestmentEvents(pool, [investment.id])).get(investment.id);
+    res.json(buildInvestmentPerformance(investment, events));
+  } catch (error) {
+    console.error('Erro ao calcular desempenho do investimento:', error);
+    res.status(500).json({ error: 'Erro ao calcular desempenho do investimento' });
+  }
+});
+
+// Série de preços do ticker do investimento, na moeda da cotação, para o gráfico
+app.get('/api/investments/:id/prices', authMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+      return res.status(400).json({ error: 'Datas devem estar no formato YYYY-MM-DD' });
+    }
+    const investment = await findInvestment(pool, req.userId, req.params.id);
+    if (!investment) {
+      return res.status(404).json({ error: 'Investimento não encontrado' });
+    }
+    if (!investment.ticker) {
+      return res.status(400).json({ error: 'Investimento sem ticker' });
+    }
+
+    const result = await pool.query(
+      `SELECT date, price, currency FROM price_history
+       WHERE ticker = $1 AND ($2::date IS NULL OR date >= $2) AND ($3::date IS NULL OR date <= $3)
+       ORDER BY date`,
+      [investment.ticker, from || null, to || null]
+    );
+    res.json({
+      investmentId: investment.id,
+      ticker: investment.ticker,
+      prices: result.rows.map(row => ({ date: toDateString(row.date), price: parseFloat(row.price), currency: row.currency }))
+    });
+  } catch (error) {
+    console.error('Erro ao buscar preços do investimento:', error);
+    res.status(500).json({ error: 'Erro ao buscar preços do investimento' });
+  }
+});
+
+app.get('/api/investments/:id/events', authMiddleware, async (req, res) => {
+  try {
+    const investment = await findInvestment(pool, req.userId, req.params.id);
+    if (!investment) {
+      return res.status(404).json({ error: 'Investimento não encontrado' });
+    }
+    const events = (await getInvestmentEvents(pool, [investment.id])).get(investment.id);
+    res.json(events.map(mapInvestmentEvent));
+  } catch (error) {
+    console.error('Erro ao buscar eventos do investimento:', error);
+    res.status(500).json({ error: 'Erro ao buscar eventos do investimento' });
+  }
+});
+
+app.post('/api/investments/:id/events', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const investment = await findInvestment(client, req.userId, req.params.id, { forUpdate: true });
+    if (!investment) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Investimento não encontrado' });
+    }
+    const validation = await validateInvestmentEventInput(client, req.userId, investment, req.body);
+    if (validation.error) {
+      await client.query('ROLLBACK');
+      return res.status(validation.status).json({ error: validation.error });
+    }
+    const event = validation.data;
+    const seed = await seedOpeningLot(client, investment, event, req.body);
+    if (seed.error) {
+      await client.query('ROLLBACK');
+      return res.status(seed.status).json({ error: seed.error });
+    }
+
+    const transaction = event.cashAccountId
+      ? await createInvestmentCashTransaction(client, req.userId, investment, event)
+      : null;
+    const result = await client.query(
+      'INSERT INTO investment_events (investment_id, type, date, quantity, unit_price, amount, ratio, fees, cash_account_id, transaction_id, notes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+      [investment.id, event.type, event.date, event.quantity, event.unitPrice, event.amount, event.ratio, event.fees, event.cashAccountId, transaction ? transaction.id : null, event.notes]
+    );
+
+    const sync = await syncInvestmentPosition(client, investment);
+    if (sync.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: sync.error });
+    }
+
+    const updated = await findInvestment(client, req.userId, investment.id);
+    const events = (await getInvestmentEvents(client, [investment.id])).get(investment.id);
+    await client.query('COMMIT');
+
+    if (transaction) triggerAchievements(req.userId);
+    res.status(201).json({ event: mapInvestmentEvent(result.rows[0]), performance: buildInvestmentPerformance(updated, events) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao registrar evento do investimento:', error);
+    res.status(500).json({ error: 'Erro ao registrar evento do investimento' });
+  } finally {
+    client.release();
+  }
+});
+
+// Excluir um evento também desfaz o lançamento na conta vinculada
+app.delete('/api/investments/:id/events/:eventId', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const investment = await findInvestment(client, req.userId, req.params.id, { forUpdate: true });
+    if (!investment) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Investimento não encontrado' });
+    }
+    const deleted = await client.query(
+      'DELETE FROM investment_events WHERE id = $1 AND investment_id = $2 RETURNING *',
+      [req.params.eventId, investment.id]
+    );
+    if (deleted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Evento não encontrado' });
+    }
+
+    const transactionId = deleted.rows[0].transaction_id;
+    if (transactionId) {
+      const transaction = await client.query('SELECT * FROM transactions WHERE id = $1 AND user_id = $2', [transactionId, req.userId]);
+      if (transaction.rows.length > 0) {
+        await removeTransaction(client, req.userId, transaction.rows[0]);
+      }
+    }
+
+    const sync = await syncInvestmentPosition(client, investment);
+    if (sync.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Não é possível excluir: ${sync.error}` });
+    }
+
+    const events = (await getInvestmentEvents(client, [investment.id])).get(investment.id);
+    if (events.length === 0) {
+      // Sem eventos, não sobra posição: o custo e o valor antigos vinham do evento excluído
+      await client.query('UPDATE investments SET amount = 0, current_value = 0 WHERE id = $1', [investment.id]);
+    }
+    const updated = await findInvestment(client, req.userId, investment.id);
+    await client.query('COMMIT');
+    res.json({ message: 'Evento excluído com sucesso', performance: buildInvestmentPerformance(updated, events) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao excluir evento do investimento:', error);
+    res.status(500).json({ error: 'Erro ao excluir evento do investimento' });
+  } finally {
+    client.release();
+  }
+});
+
+
+// ==================== METRICS ====================
+// ?date=YYYY-MM-DD (padrão: hoje) vale para tudo: saldos, investimentos, ativos, passivos,
+// o mês das receitas/despesas e as cotações da visão consolidada
+app.get('/api/metrics/dashboard', authMiddleware, async (req, res) => {
+  try {
+    const baseCurrency = await resolveBaseCurrency(req.userId, req.query.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida' });
+    }
+    if (req.query.date && !isValidDateString(req.query.date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+    const asOf = req.query.date || getToday();
+    const currentMonth = parseInt(asOf.slice(5, 7));
+    const currentYear = parseInt(asOf.slice(0, 4));
+    
+    // Contas (livro-razão até a data), investimentos, ativos e passivos na mesma data,
+    // pelo mesmo cálculo do histórico de patrimônio
+    const netWorthByCurrency = await computeNetWorth(req.userId, asOf);
+    
+    // Receitas e despesas do mês POR MOEDA. Câmbios e transferências ficam em exchange_operations
+    // e não entram aqui; só as tarifas e o IOF deles, que são despesas de verdade. Compras e
+    // vendas de investimentos (is_transfer) também ficam de fora.
+    const monthlyTransactions = await pool.query(
+      `SELECT a.currency, UPPER(t.type) as type, SUM(t.amount) as total 
+       FROM transactions t
+       JOIN accounts a ON t.account_id = a.id
+       WHERE t.user_id = $1 
+       AND NOT t.is_transfer
+       AND EXTRACT(MONTH FROM t.date) = $2 
+       AND EXTRACT(YEAR FROM t.date) = $3
+       GROUP BY a.currency, UPPER(t.type)`,
+      [req.userId, currentMonth, currentYear]
+    );
+    
+    // Organizar por moeda
+    const monthlyByCurrency = {};
+    monthlyTransactions.rows.forEach(row => {
+      if (!monthlyByCurrency[row.currency]) {
+        monthlyByCurrency[row.currency] = { income: 0, expenses: 0 };
+      }
+      if (row.type.toLowerCase() === 'income') {
+        monthlyByCurrency[row.currency].income += parseFloat(row.total);
+      } else if (row.type.toLowerCase() === 'expense') {
+        monthlyByCurrency[row.currency].expenses += parseFloat(row.total);
+      }
+    });
+    
     // Calcular totais por moeda
     const byCurrency = {};
     
-    accountsResult.rows.forEach(r => {
-      if (!byCurrency[r.currency]) byCurrency[r.currency] = { assets: 0, liabilities: 0 };
-      byCurrency[r.currency].assets += parseFloat(r.total);
+    Object.entries(netWorthByCurrency).forEach(([currency, values]) => {
+      byCurrency[currency] = {
+        assets: roundMoney(values.accounts + values.investments + values.assets),
+        liabilities: values.liabilities
+      };
+    });
+    
+    // Calcular métricas
+    const metrics = {};
+    
+    // Se não há dados, criar estrutura padrão na moeda base
+    if (Object.keys(byCurrency).length === 0) {
+      byCurrency[baseCurrency] = { assets: 0, liabilities: 0 };
+    }
+    
+    Object.keys(byCurrency).forEach(currency => {
+      const data = byCurrency[currency];
+      const monthly = monthlyByCurrency[currency] || { income: 0, expenses: 0 };
+      const balance = monthly.income - monthly.expenses;
+      const savingsRate = monthly.income > 0 ? ((balance) / monthly.income) * 100 : 0;
+      
+      metrics[currency] = {
+        totalAssets: data.assets,
+        totalLiabilities: data.liabilities,
+        netWorth: data.assets - data.liabilities,
+        debtRatio: data.assets > 0 ? (data.liabilities / data.assets) * 100 : 0,
+        monthly: {
+          income: monthly.income,
+          expenses: monthly.expenses,
+          balance: balance,
+          savingsRate: savingsRate.toFixed(2)
+        }
+      };
+    });
+    
+    // Reserva de emergência (apenas contas marcadas como is_emergency_fund)
+    const ledgerAccounts = await getLedgerBalances(pool, req.userId, asOf);
+    const emergencyFundByCurrency = {};
+    ledgerAccounts.filter(account => account.is_emergency_fund).forEach(account => {
+      emergencyFundByCurrency[account.currency] = (emergencyFundByCurrency[account.currency] || 0) + parseFloat(account.ledger_balance);
+    });
+    
+    // Calcular meses de reserva por moeda
+    Object.keys(metrics).forEach(currency => {
+      const fund = emergencyFundByCurrency[currency] || 0;
+      const expenses = metrics[currency].monthly.expenses || 0;
+      metrics[currency].emergencyFundMonths = expenses > 0 ? (fund / expenses).toFixed(1) : '0.0';
+      metrics[currency].emergencyFundValue = fund;
+    });
+    
+    // Visão consolidada na moeda base, com as cotações mais recentes até a data
+    const fx = await createFxConverter(req.userId, asOf);
+    const consolidate = (pick) => consolidateAmounts(
+      Object.fromEntries(Object.keys(metrics).map(currency => [currency, pick(metrics[currency])])),
+      baseCurrency,
+      fx
+    );
+    const totalAssets = consolidate(m => m.totalAssets);
+    const totalLiabilities = consolidate(m => m.totalLiabilities);
+    const income = consolidate(m => m.monthly.income);
+    const expenses = consolidate(m => m.monthly.expenses);
+    const emergencyFund = consolidate(m => m.emergencyFundValue);
+    const monthlyBalance = income.total - expenses.total;
+    
+    const consolidated = {
+      currency: baseCurrency,
+      totalAssets: totalAssets.total,
+      totalLiabilities: totalLiabilities.total,
+      netWorth: Math.round((totalAssets.total - totalLiabilities.total) * 100) / 100,
+      debtRatio: totalAssets.total > 0 ? (totalLiabilities.total / totalAssets.total) * 100 : 0,
+      monthly: {
+        income: income.total,
+        expenses: expenses.total,
+        balance: Math.round(monthlyBalance * 100) / 100,
+        savingsRate: (income.total > 0 ? (monthlyBalance / income.total) * 100 : 0).toFixed(2)
+      },
+      emergencyFundValue: emergencyFund.total,
+      emergencyFundMonths: expenses.total > 0 ? (emergencyFund.total / expenses.total).toFixed(1) : '0.0',
+      // Moedas sem cotação para a moeda base, que ficaram fora dos totais acima
+      missingRates: totalAssets.missingRates
+    };
+    
+    res.json({ ...metrics, consolidated });
+  } catch (error) {
+    console.error('Erro ao calcular métricas:', error);
+    res.status(500).json({ error: 'Erro ao calcular métricas' });
+  }
+});
+
+// Pontos da série de patrimônio: um por dia ou o último de cada mês
+const NET_WORTH_INTERVALS = ['day', 'month'];
+const NET_WORTH_MAX_BACKFILL_POINTS = 1000;
+
+/**
+ * Patrimônio por moeda em `date`: contas pelo livro-razão, investimentos a preço de mercado
+ * do dia, bens pelo valor calculado na data e passivos pelo saldo devedor na data. As contas entram em qualquer data: o saldo
+ * inicial é o saldo de antes de todo o histórico, inclusive o importado depois.
+ */
+const computeNetWorth = async (userId, date) => {
+  const byCurrency = {};
+  const add = (currency, field, value) => {
+    if (!byCurrency[currency]) byCurrency[currency] = { accounts: 0, investments: 0, assets: 0, liabilities: 0 };
+    byCurrency[currency][field] += value;
+  };
+
+  // Saldo negativo de cartão entra como passivo, como no dashboard
+  const accounts = await getLedgerBalances(pool, userId, date);
+  accounts.forEach(account => {
+    const balance = parseFloat(account.ledger_balance);
+    if (account.type === CREDIT_CARD_TYPE && balance < 0) {
+      add(account.currency, 'liabilities', -balance);
+    } else {
+      add(account.currency, 'accounts', balance);
+    }
+  });
+
+  // Hoje vale o current_value gravado, que inclui atualizações manuais
+  const investments = await getInvestmentValues(userId, date < getToday() ? date : undefined);
+  investments.forEach(investment => add(investment.currency, 'investments', investment.marketValue));
+
+  const assets = await getAssetValues(userId, date);
+  assets.forEach(asset => add(asset.currency, 'assets', asset.computedValue));
+
+  const liabilities = await getLiabilityBalances(userId, date);
+  liabilities.forEach(liability => add(liability.currency, 'liabilities', liability.balanceAsOf));
+
+  Object.values(byCurrency).forEach(values => {
+    Object.keys(values).forEach(field => {
+      values[field] = roundMoney(values[field]);
+    });
+    values.netWorth = roundMoney(values.accounts + values.investments + values.assets - values.liabilities);
+  });
+  return byCurrency;
+};
+
+// Regrava a fotografia do dia; rodar de novo no mesmo dia só substitui
+const saveNetWorthSnapshot = async (userId, date) => {
+  const byCurrency = await computeNetWorth(userId, date);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM net_worth_snapshots WHERE user_id = $1 AND date = $2', [userId, date]);
+    for (const [currency, values] of Object.entries(byCurrency)) {
+      await client.query(
+        'INSERT INTO net_worth_snapshots (user_id, date, currency, accounts, investments, assets, liabilities, net_worth) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+        [userId, date, currency, values.accounts, values.investments, values.assets, values.liabilities, values.netWorth]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return byCurrency;
+};
+
+// Datas de from até hoje: todo dia, ou o último dia de cada mês (o mês corrente termina hoje)
+const getSnapshotDates = (from, interval) => {
+  const today = getToday();
+  const dates = [];
+  if (interval === 'day') {
+    for (let date = from; date <= today; date = addDays(date, 1)) dates.push(date);
+    return dates;
+  }
+  for (let monthStart = `${from.slice(0, 7)}-01`; monthStart <= today; monthStart = addMonths(monthStart, 1)) {
+    dates.push(minDate(addDays(addMonths(monthStart, 1), -1), today));
+  }
+  return dates;
+};
+
+// Quantas datas getSnapshotDates devolveria, sem gerá-las
+const countSnapshotDates = (from, interval) => {
+  const today = getToday();
+  if (from > today) return 0;
+  if (interval === 'day') return daysBetween(from, today) + 1;
+  const months = (parseInt(today.slice(0, 4)) - parseInt(from.slice(0, 4))) * 12 + parseInt(today.slice(5, 7)) - parseInt(from.slice(5, 7));
+  return months + 1;
+};
+
+// Série para os gráficos: valores por moeda e o total consolidado na moeda base de cada data
+app.get('/api/metrics/net-worth-history', authMiddleware, async (req, res) => {
+  try {
+    const to = req.query.to || getToday();
+    const from = req.query.from || addMonths(to, -12);
+    const interval = req.query.interval || 'month';
+    if (!isValidDateString(from) || !isValidDateString(to)) {
+      return res.status(400).json({ error: 'Datas devem estar no formato YYYY-MM-DD' });
+    }
+    if (!NET_WORTH_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval deve ser um de: ${NET_WORTH_INTERVALS.join(', ')}` });
+    }
+    const baseCurrency = await resolveBaseCurrency(req.userId, req.query.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida' });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM net_worth_snapshots
+       WHERE user_id = $1 AND date BETWEEN $2 AND $3
+       AND ($4 = 'day' OR date IN (
+         SELECT MAX(date) FROM net_worth_snapshots
+         WHERE user_id = $1 AND date BETWEEN $2 AND $3
+         GROUP BY date_trunc('month', date)
+       ))
+       ORDER BY date, currency`,
+      [req.userId, from, to, interval]
+    );
+
+    const byDate = new Map();
+    result.rows.forEach(row => {
+      const date = toDateString(row.date);
+      if (!byDate.has(date)) byDate.set(date, {});
+      byDate.get(date)[row.currency] = {
+        accounts: parseFloat(row.accounts),
+        investments: parseFloat(row.investments),
+        assets: parseFloat(row.assets),
+        liabilities: parseFloat(row.liabilities),
+        netWorth: parseFloat(row.net_worth)
+      };
+    });
+
+    const points = [];
+    for (const [date, byCurrency] of byDate) {
+      const fx = await createFxConverter(req.userId, date);
+      const consolidate = (pick) => consolidateAmounts(
+        Object.fromEntries(Object.entries(byCurrency).map(([currency, values]) => [currency, pick(values)])),
+        baseCurrency,
+        fx
+      );
+      const totalAssets = consolidate(v => v.accounts + v.investments + v.assets);
+      const totalLiabilities = consolidate(v => v.liabilities);
+      const netWorth = consolidate(v => v.netWorth);
+      points.push({
+        date,
+        byCurrency,
+        consolidated: {
+          currency: baseCurrency,
+          totalAssets: totalAssets.total,
+          totalLiabilities: totalLiabilities.total,
+          netWorth: netWorth.total,
+          missingRates: netWorth.missingRates
+        }
+      });
+    }
+
+    res.json({ from, to, interval, baseCurrency, points });
+  } catch (error) {
+    console.error('Erro ao buscar histórico de patrimônio:', error);
+    res.status(500).json({ error: 'Erro ao buscar histórico de patrimônio' });
+  }
+});
+
+// Recalcula as fotografias a partir do histórico (padrão: desde a primeira transação)
+app.post('/api/metrics/net-worth-history/backfill', authMiddleware, async (req, res) => {
+  try {
+    const interval = req.body.interval || 'month';
+    if (!NET_WORTH_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval deve ser um de: ${NET_WORTH_INTERVALS.join(', ')}` });
+    }
+
+    let from = req.body.from;
+    if (!from) {
+      const first = await pool.query('SELECT MIN(date) AS date FROM account_ledger WHERE user_id = $1', [req.userId]);
+      from = toDateString(first.rows[0].date) || getToday();
+    }
+    if (!isValidDateString(from)) {
+      return res.status(400).json({ error: 'from deve estar no formato YYYY-MM-DD' });
+    }
+    if (from > getToday()) {
+      return res.status(400).json({ error: 'from não pode estar no futuro' });
+    }
+
+    if (countSnapshotDates(from, interval) > NET_WORTH_MAX_BACKFILL_POINTS) {
+      return res.status(400).json({ error: `Período longo demais: no máximo ${NET_WORTH_MAX_BACKFILL_POINTS} pontos por vez` });
+    }
+    const dates = getSnapshotDates(from, interval);
+    for (const date of dates) {
+      await saveNetWorthSnapshot(req.userId, date);
+    }
+    res.json({ from, interval, snapshots: dates.length });
+  } catch (error) {
+    console.error('Erro ao recalcular histórico de patrimônio:', error);
+    res.status(500).json({ error: 'Erro ao recalcular histórico de patrimônio' });
+  }
+});
+
+// ==================== REPORTS ====================
+// Cotações usadas para consolidar um mês: as do último dia dele, ou de hoje se o mês não acabou
+const getReportRateDate = (year, month) => {
+  const lastDay = addDays(addMonths(`${year}-${String(month).padStart(2, '0')}-01`, 1), -1);
+  return lastDay < getToday() ? lastDay : getToday();
+};
+
+// `total` continua sendo a soma bruta; byCurrency separa por moeda e consolidatedTotal
+// converte tudo para a moeda base (null se faltar cotação de alguma moeda)
+const withConsolidatedTotal = (item, baseCurrency, fx) => {
+  const rawTotal = Object.values(item.byCurrency).reduce((sum, value) => sum + value, 0);
+  const { total, missingRates } = consolidateAmounts(item.byCurrency, baseCurrency, fx);
+  return {
+    ...item,
+    total: rawTotal.toFixed(2),
+    baseCurrency,
+    consolidatedTotal: missingRates.length === 0 ? total : null,
+    missingRates
+  };
+};
+
+app.get('/api/reports/category-breakdown', authMiddleware, async (req, res) => {
+  try {
+    const { month, year, type } = req.query;
+    const currentMonth = month || new Date().getMonth() + 1;
+    const currentYear = year || new Date().getFullYear();
+    const txType = type || 'expense';
+    
+    const baseCurrency = await resolveBaseCurrency(req.userId, req.query.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida' });
+    }
+    
+    // transaction_lines conta cada divisão na sua própria categoria
+    const result = await pool.query(
+      "SELECT c.name, c.color, a.currency, SUM(t.amount) as total FROM transaction_lines t LEFT JOIN categories c ON t.category_id = c.id JOIN accounts a ON t.account_id = a.id WHERE t.user_id = $1 AND UPPER(t.type) = UPPER($2) AND NOT t.is_transfer AND EXTRACT(MONTH FROM t.date) = $3 AND EXTRACT(YEAR FROM t.date) = $4 GROUP BY c.name, c.color, a.currency",
+      [req.userId, txType, currentMonth, currentYear]
+    );
+    
+    const byCategory = new Map();
+    result.rows.forEach(row => {
+      const key = `${row.name}|${row.color}`;
+      if (!byCategory.has(key)) byCategory.set(key, { name: row.name, color: row.color, byCurrency: {} });
+      byCategory.get(key).byCurrency[row.currency] = parseFloat(row.total);
+    });
+    
+    const fx = await createFxConverter(req.userId, getReportRateDate(currentYear, currentMonth));
+    const breakdown = [...byCategory.values()]
+      .map(item => withConsolidatedTotal(item, baseCurrency, fx))
+      .sort((a, b) => (b.consolidatedTotal ?? parseFloat(b.total)) - (a.consolidatedTotal ?? parseFloat(a.total)));
+    
+    res.json(breakdown);
+  } catch (error) {
+    console.error('Erro ao gerar relatório:', error);
+    res.status(500).json({ error: 'Erro ao gerar relatório' });
+  }
+});
+
+app.get('/api/reports/monthly-trend', authMiddleware, async (req, res) => {
+  try {
+    const { months } = req.query;
+    const monthsCount = parseInt(months) || 6;
+    
+    const baseCurrency = await resolveBaseCurrency(req.userId, req.query.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida' });
+    }
+    
+    const result = await pool.query(
+      "SELECT EXTRACT(YEAR FROM t.date) as year, EXTRACT(MONTH FROM t.date) as month, UPPER(t.type) as type, a.currency, SUM(t.amount) as total FROM transactions t JOIN accounts a ON t.account_id = a.id WHERE t.user_id = $1 AND NOT t.is_transfer AND t.date >= CURRENT_DATE - make_interval(months => $2) GROUP BY year, month, UPPER(t.type), a.currency ORDER BY year, month",
+      [req.userId, monthsCount]
+    );
+    
+    const byMonth = new Map();
+    result.rows.forEach(row => {
+      const key = `${row.year}-${row.month}-${row.type}`;
+      if (!byMonth.has(key)) byMonth.set(key, { year: row.year, month: row.month, type: row.type, byCurrency: {} });
+      byMonth.get(key).byCurrency[row.currency] = parseFloat(row.total);
+    });
+    
+    // Cada mês é consolidado com as cotações do seu último dia
+    const converters = new Map();
+    const trend = [];
+    for (const item of byMonth.values()) {
+      const rateDate = getReportRateDate(item.year, item.month);
+      if (!converters.has(rateDate)) converters.set(rateDate, await createFxConverter(req.userId, rateDate));
+      trend.push(withConsolidatedTotal(item, baseCurrency, converters.get(rateDate)));
+    }
+    
+    res.json(trend);
+  } catch (error) {
+    console.error('Erro ao gerar tendência:', error);
+    res.status(500).json({ error: 'Erro ao gerar tendência' });
+  }
+});
+
+// ==================== FORECAST ====================
+const FORECAST_DEFAULT_DAYS = 90;
+const FORECAST_MAX_DAYS = 365;
+// Lançamento fixo sem recorrência que não aparece há mais tempo que isso é considerado encerrado
+const FIXED_ITEM_LOOKBACK_DAYS = 62;
+
+// Transações e câmbios já lançados com data futura, como movimentos com sinal do account_ledger
+const getFutureLedgerEvents = async (userId, from, to) => {
+  const result = await pool.query(
+    `SELECT l.account_id, l.date, l.amount, l.source, COALESCE(t.description, 'Câmbio/transferência') AS description
+     FROM account_ledger l
+     LEFT JOIN transactions t ON l.source = 'transaction' AND t.id = l.source_id
+     WHERE l.user_id = $1 AND l.date > $2 AND l.date <= $3`,
+    [userId, from, to]
+  );
+  return result.rows.map(row => ({
+    date: toDateString(row.date),
+    accountId: row.account_id,
+    amount: parseFloat(row.amount),
+    source: row.source,
+    description: row.description
+  }));
+};
+
+// Ocorrências ainda não geradas das recorrências ativas (as vencidas até hoje ficam com o job)
+const getRecurringForecastEvents = async (userId, from, to) => {
+  const templates = await pool.query("SELECT * FROM recurring_transactions WHERE user_id = $1 AND status = 'active'", [userId]);
+  if (templates.rows.length === 0) return [];
+  const exceptions = await pool.query('SELECT * FROM recurring_exceptions WHERE recurring_id = ANY($1)', [templates.rows.map(t => t.id)]);
+
+  return templates.rows.flatMap(template => {
+    const occurrences = listUpcomingOccurrences(
+      template,
+      exceptions.rows.filter(e => e.recurring_id === template.id),
+      daysBetween(toDateString(template.next_date), to) + 1,
+      to
+    );
+    return occurrences
+      .filter(occurrence => !occurrence.skipped && occurrence.date > from)
+      .map(occurrence => ({
+        date: occurrence.date,
+        accountId: occurrence.accountId,
+        amount: getBalanceChange(occurrence.type, occurrence.amount),
+        source: 'recurring',
+        description: occurrence.description
+      }));
+  });
+};
+
+// Lançamentos fixos sem recorrência (anteriores a ela) se repetem todo mês a partir do último
+const getFixedForecastEvents = async (userId, from, to) => {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (account_id, UPPER(type), description) account_id, type, amount, description, date
+     FROM transactions
+     WHERE user_id = $1 AND is_fixed AND recurring_id IS NULL AND date >= $2
+     ORDER BY account_id, UPPER(type), description, date DESC`,
+    [userId, addDays(from, -FIXED_ITEM_LOOKBACK_DAYS)]
+  );
+
+  return result.rows.flatMap(row => {
+    const last = toDateString(row.date);
+    const anchorDay = parseInt(last.slice(8, 10));
+    const events = [];
+    for (let date = addMonths(last, 1, anchorDay), n = 1; date <= to; date = addMonths(last, ++n, anchorDay)) {
+      if (date > from) {
+        events.push({ date, accountId: row.account_id, amount: getBalanceChange(row.type, row.amount), source: 'fixed', description: row.description });
+      }
+    }
+    return events;
+  });
+};
+
+/**
+ * Pagamento de cada fatura de cartão que vence no período: o que falta pagar mais as recorrências
+ * e fixos projetados no cartão, debitado da última conta usada para pagar aquele cartão. Sem pagamento
+ * anterior, a fatura vai para unassigned e não entra nos saldos.
+ */
+const getCardForecastEvents = async (userId, cards, projectedEvents, from, to) => {
+  const events = [];
+  const unassigned = [];
+
+  for (const card of cards.filter(c => c.statement_closing_day)) {
+    const lastPayment = await pool.query(
+      'SELECT from_account_id FROM exchange_operations WHERE to_account_id = $1 AND statement_date IS NOT NULL ORDER BY date DESC, created_at DESC LIMIT 1',
+      [card.id]
+    );
+    const payerId = lastPayment.rows[0]?.from_account_id || null;
+
+    let closingDate = addMonths(getStatementClosingDate(card, from), -1, card.statement_closing_day);
+    for (let period = getStatementPeriod(card, closingDate); period.dueDate <= to; period = getStatementPeriod(card, closingDate)) {
+      if (period.dueDate > from) {
+        const invoice = await buildInvoice(pool, card, closingDate);
+        const projected = projectedEvents
+          .filter(e => e.accountId === card.id && e.date >= period.openingDate && e.date < period.closingDate)
+          .reduce((sum, e) => sum - e.amount, 0);
+        const amount = roundMoney(invoice.remaining + projected);
+        const description = `Fatura ${card.name} (${closingDate.slice(0, 7)})`;
+
+        if (amount > 0 && payerId) {
+          events.push(
+            { date: period.dueDate, accountId: payerId, amount: -amount, source: 'credit_card', description },
+            { date: period.dueDate, accountId: card.id, amount, source: 'credit_card', description }
+          );
+        } else if (amount > 0) {
+          unassigned.push({ accountId: card.id, closingDate, dueDate: period.dueDate, amount });
+        }
+      }
+      closingDate = addMonths(closingDate, 1, card.statement_closing_day);
+    }
+  }
+
+  return { events, unassigned };
+};
+
+// Saldo dia a dia a partir do saldo inicial; devolve a série e o menor saldo do período
+const projectDailyBalances = (startingBalance, eventsByDate, dates) => {
+  let balance = startingBalance;
+  let min = { balance: startingBalance, date: dates[0] };
+  const daily = dates.map(date => {
+    balance += eventsByDate.get(date) || 0;
+    const rounded = roundMoney(balance);
+    if (rounded < min.balance) min = { balance: rounded, date };
+    return { date, balance: rounded };
+  });
+  return { daily, endingBalance: roundMoney(balance), minBalance: min.balance, minBalanceDate: min.date };
+};
+
+/**
+ * Projeção do saldo diário de cada conta e de cada moeda pelos próximos `days` dias, com os
+ * lançamentos futuros, câmbios, recorrências, fixos e vencimentos de fatura. alerts lista os dias
+ * em que alguma conta (fora os cartões, que já ficam negativos) terminaria com saldo negativo.
+ */
+app.get('/api/forecast', authMiddleware, async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : FORECAST_DEFAULT_DAYS;
+    if (!(days >= 1 && days <= FORECAST_MAX_DAYS)) {
+      return res.status(400).json({ error: `days deve estar entre 1 e ${FORECAST_MAX_DAYS}` });
+    }
+
+    const today = getToday();
+    const to = addDays(today, days);
+    const dates = Array.from({ length: days }, (_, i) => addDays(today, i + 1));
+
+    const accounts = await getLedgerBalances(pool, req.userId, today);
+    const ledger = await getFutureLedgerEvents(req.userId, today, to);
+    // Só o que ainda não está lançado; os lançamentos futuros do cartão já entram na fatura
+    const projected = [
+      ...await getRecurringForecastEvents(req.userId, today, to),
+      ...await getFixedForecastEvents(req.userId, today, to)
+    ];
+    const cards = await getCardForecastEvents(req.userId, accounts.filter(a => a.type === CREDIT_CARD_TYPE), projected, today, to);
+    const events = [...ledger, ...projected, ...cards.events]
+      .filter(event => accounts.some(a => a.id === event.accountId))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const accountForecasts = accounts.map(account => {
+      const eventsByDate = new Map();
+      events.filter(e => e.accountId === account.id).forEach(e => {
+        eventsByDate.set(e.date, (eventsByDate.get(e.date) || 0) + e.amount);
+      });
+      const startingBalance = parseFloat(account.ledger_balance);
+      const projection = projectDailyBalances(startingBalance, eventsByDate, dates);
+      const firstNegative = projection.daily.find(day => day.balance < 0);
+      return {
+        id: account.id,
+        name: account.name,
+        type: account.type,
+        currency: account.currency,
+        startingBalance,
+        ...projection,
+        firstNegativeDate: account.type !== CREDIT_CARD_TYPE && firstNegative ? firstNegative.date : null
+      };
+    });
+
+    const currencies = [...new Set(accountForecasts.map(a => a.currency))].map(currency => {
+      const inCurrency = accountForecasts.filter(a => a.currency === currency);
+      const daily = dates.map((date, i) => ({
+        date,
+        balance: roundMoney(inCurrency.reduce((sum, a) => sum + a.daily[i].balance, 0))
+      }));
+      const min = daily.reduce((lowest, day) => (day.balance < lowest.balance ? day : lowest), daily[0]);
+      return {
+        currency,
+        startingBalance: roundMoney(inCurrency.reduce((sum, a) => sum + a.startingBalance, 0)),
+        endingBalance: daily[daily.length - 1].balance,
+        minBalance: min.balance,
+        minBalanceDate: min.date,
+        daily
+      };
+    });
+
+    const alerts = dates
+      .map((date, i) => ({
+        date,
+        accounts: accountForecasts
+          .filter(a => a.type !== CREDIT_CARD_TYPE && a.daily[i].balance < 0)
+          .map(a => ({ accountId: a.id, name: a.name, currency: a.currency, balance: a.daily[i].balance }))
+      }))
+      .filter(alert => alert.accounts.length > 0);
+
+    res.json({
+      from: today,
+      to,
+      days,
+      accounts: accountForecasts,
+      currencies,
+      events: events.map(e => ({ ...e, amount: roundMoney(e.amount) })),
+      alerts,
+      // Faturas sem conta pagadora conhecida (nenhum pagamento anterior do cartão)
+      unassignedCardPayments: cards.unassigned
+    });
+  } catch (error) {
+    console.error('Erro ao gerar previsão de fluxo de caixa:', error);
+    res.status(500).json({ error: 'Erro ao gerar previsão de fluxo de caixa' });
+  }
+});
+
+// ==================== ACHIEVEMENTS ====================
+// Dados compartilhados entre as regras de uma mesma avaliação, calculados uma vez só
+const createAchievementContext = (userId) => {
+  let monthTotals = null;
+
+  // Receitas e despesas de cada mês já encerrado, consolidadas na moeda base, em ordem
+  const getClosedMonthTotals = async () => {
+    const baseCurrency = await resolveBaseCurrency(userId);
+    const result = await pool.query(
+      `SELECT TO_CHAR(t.date, 'YYYY-MM') AS month, UPPER(t.type) AS type, a.currency, SUM(t.amount) AS total
+       FROM transactions t
+       JOIN accounts a ON t.account_id = a.id
+       WHERE t.user_id = $1 AND NOT t.is_transfer AND t.date < $2
+       GROUP BY 1, 2, 3
+       ORDER BY 1`,
+      [userId, `${getToday().slice(0, 7)}-01`]
+    );
+
+    const byMonth = new Map();
+    result.rows.forEach(row => {
+      if (!byMonth.has(row.month)) byMonth.set(row.month, { INCOME: {}, EXPENSE: {} });
+      const amounts = byMonth.get(row.month)[row.type];
+      if (amounts) amounts[row.currency] = parseFloat(row.total);
+    });
+
+    const totals = [];
+    for (const [month, amounts] of byMonth) {
+      const [year, monthNumber] = month.split('-').map(Number);
+      const fx = await createFxConverter(userId, getReportRateDate(year, monthNumber));
+      totals.push({
+        month,
+        income: consolidateAmounts(amounts.INCOME, baseCurrency, fx).total,
+        expenses: consolidateAmounts(amounts.EXPENSE, baseCurrency, fx).total
+      });
+    }
+    return totals;
+  };
+
+  return {
+    userId,
+    getMonthTotals: () => {
+      monthTotals = monthTotals || getClosedMonthTotals();
+      return monthTotals;
+    }
+  };
+};
+
+/**
+ * Regras das conquistas. `evaluate` devolve o progresso atual na mesma unidade de `target`
+ * (meses, orçamentos, metas...); a conquista é desbloqueada quando ele alcança o alvo.
+ */
+const ACHIEVEMENT_RULES = [
+  {
+    code: 'first_budget_kept',
+    name: 'Orçamento cumprido',
+    description: 'Feche um mês dentro do orçamento de uma categoria',
+    target: 1,
+    evaluate: async ({ userId }) => {
+      const today = getToday();
+      const months = await pool.query(
+        `SELECT DISTINCT year, month FROM budgets
+         WHERE user_id = $1 AND category_id IS NOT NULL AND (year, month) < ($2, $3)
+         ORDER BY year, month`,
+        [userId, parseInt(today.slice(0, 4)), parseInt(today.slice(5, 7))]
+      );
+      for (const { year, month } of months.rows) {
+        const progress = await getBudgetProgress(userId, year, month);
+        if (progress.some(budget => budget.entityType === 'category' && budget.spent <= budget.available)) return 1;
+      }
+      return 0;
+    }
+  },
+  {
+    code: 'savings_streak_3',
+    name: 'Poupador constante',
+    description: 'Três meses seguidos com taxa de poupança positiva',
+    target: 3,
+    evaluate: async (context) => {
+      const totals = await context.getMonthTotals();
+      let best = 0;
+      let streak = 0;
+      let previousMonth = null;
+      totals.forEach(({ month, income, expenses }) => {
+        const positive = income > 0 && income - expenses > 0;
+        const consecutive = previousMonth && addMonths(`${previousMonth}-01`, 1).startsWith(month);
+        streak = positive ? (consecutive ? streak + 1 : 1) : 0;
+        best = Math.max(best, streak);
+        previousMonth = month;
+      });
+      return best;
+    }
+  },
+  {
+    code: 'emergency_fund_6m',
+    name: 'Reserva completa',
+    description: 'Reserva de emergência que cobre seis meses de despesas',
+    target: 6,
+    evaluate: async (context) => {
+      // Despesa média dos três últimos meses encerrados com movimento
+      const recent = (await context.getMonthTotals()).slice(-3);
+      const averageExpenses = recent.reduce((sum, m) => sum + m.expenses, 0) / (recent.length || 1);
+      if (averageExpenses <= 0) return 0;
+
+      const baseCurrency = await resolveBaseCurrency(context.userId);
+      const fundByCurrency = {};
+      (await getLedgerBalances(pool, context.userId, getToday()))
+        .filter(account => account.is_emergency_fund)
+        .forEach(account => {
+          fundByCurrency[account.currency] = (fundByCurrency[account.currency] || 0) + parseFloat(account.ledger_balance);
+        });
+      const fx = await createFxConverter(context.userId, getToday());
+      const fund = consolidateAmounts(fundByCurrency, baseCurrency, fx).total;
+      return Math.max(fund / averageExpenses, 0);
+    }
+  },
+  {
+    code: 'first_goal_completed',
+    name: 'Meta alcançada',
+    description: 'Conclua sua primeira meta financeira',
+    target: 1,
+    evaluate: async ({ userId }) => {
+      const result = await pool.query(
+        "SELECT COUNT(*) AS total FROM financial_goals WHERE user_id = $1 AND status = 'completed'",
+        [userId]
+      );
+      return parseInt(result.rows[0].total);
+    }
+  }
+];
+
+/**
+ * Avalia as regras ainda bloqueadas e grava as que chegaram ao alvo. O UNIQUE (user_id, code)
+ * torna o desbloqueio idempotente: avaliações simultâneas não duplicam a conquista.
+ */
+const evaluateAchievements = async (userId) => {
+  const unlockedResult = await pool.query(
+    'SELECT code, unlocked_at FROM achievements WHERE user_id = $1 AND code IS NOT NULL',
+    [userId]
+  );
+  const unlocked = new Map(unlockedResult.rows.map(row => [row.code, row.unlocked_at]));
+  const context = createAchievementContext(userId);
+
+  const results = [];
+  for (const rule of ACHIEVEMENT_RULES) {
+    let current = rule.target;
+    let newlyUnlocked = false;
+
+    if (!unlocked.has(rule.code)) {
+      current = await rule.evaluate(context);
+      if (current >= rule.target) {
+        const inserted = await pool.query(
+          `INSERT INTO achievements (user_id, code, name, description) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, code) DO NOTHING
+           RETURNING unlocked_at`,
+          [userId, rule.code, rule.name, rule.description]
+        );
+        newlyUnlocked = inserted.rows.length > 0;
+        const row = newlyUnlocked
+          ? inserted.rows[0]
+          : (await pool.query('SELECT unlocked_at FROM achievements WHERE user_id = $1 AND code = $2', [userId, rule.code])).rows[0];
+        unlocked.set(rule.code, row.unlocked_at);
+      }
+    }
+
+    const progress = Math.min(current, rule.target);
+    results.push({
+      code: rule.code,
+      name: rule.name,
+      description: rule.description,
+      unlocked: unlocked.has(rule.code),
+      unlockedAt: unlocked.get(rule.code) || null,
+      newlyUnlocked,
+      progress: {
+        current: Math.round(progress * 100) / 100,
+        target: rule.target,
+        percent: Math.round((progress / rule.target) * 10000) / 100
+      }
+    });
+  }
+  return results;
+};
+
+// Reavalia as conquistas depois de uma escrita relevante, sem atrasar a resposta
+const triggerAchievements = (userId) => {
+  evaluateAchievements(userId).catch(error => console.error('Erro ao avaliar conquistas:', error));
+};
+
+// Todas as conquistas, com progresso das bloqueadas e a data das desbloqueadas
+app.get('/api/achievements', authMiddleware, async (req, res) => {
+  try {
+    const achievements = await evaluateAchievements(req.userId);
+    res.json(achievements.map(({ newlyUnlocked, ...achievement }) => achievement));
+  } catch (error) {
+    console.error('Erro ao buscar conquistas:', error);
+    res.status(500).json({ error: 'Erro ao buscar conquistas' });
+  }
+});
+
+// ==================== BUDGETS ====================
+// Um orçamento limita uma categoria (despesas) ou acompanha uma fonte de renda (receitas) num mês
+const DEFAULT_ALERT_THRESHOLDS = [80, 100];
+
+const mapBudget = (row) => ({
+  id: row.id.toString(),
+  entityId: (row.category_id || row.income_source_id || '').toString(),
+  entityType: row.income_source_id ? 'source' : 'category',
+  month: row.month,
+  year: row.year,
+  amount: parseFloat(row.limit_amount),
+  currency: row.currency || 'BRL',
+  rollover: row.rollover,
+  alertThresholds: row.alert_thresholds
+});
+
+const mapBudgetAlert = (row) => ({
+  id: row.id,
+  budgetId: row.budget_id,
+  threshold: row.threshold,
+  percentUsed: parseFloat(row.percent_used),
+  spent: parseFloat(row.spent),
+  transactionId: row.transaction_id,
+  readAt: row.read_at,
+  createdAt: row.created_at
+});
+
+// Limites de alerta em % (ex.: [80, 100]); devolve a lista ordenada ou null se inválida
+const normalizeAlertThresholds = (thresholds) => {
+  if (!Array.isArray(thresholds)) return null;
+  const values = thresholds.map(Number);
+  if (values.some(value => !Number.isInteger(value) || value < 1 || value > 1000)) return null;
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+const getMonthRange = (year, month) => {
+  const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+  return { monthStart, nextMonthStart: addMonths(monthStart, 1) };
+};
+
+// Sobra (ou estouro) de cada orçamento com rollover do mês anterior, por entidade e moeda
+const getCarriedOver = async (userId, monthStart) => {
+  const [year, month] = addMonths(monthStart, -1).split('-').map(Number);
+  const rollover = await pool.query(
+    'SELECT 1 FROM budgets WHERE user_id = $1 AND year = $2 AND month = $3 AND rollover LIMIT 1',
+    [userId, year, month]
+  );
+  if (rollover.rows.length === 0) return new Map();
+
+  const previous = await getBudgetProgress(userId, year, month);
+  return new Map(previous
+    .filter(budget => budget.rollover)
+    .map(budget => [`${budget.entityType}:${budget.entityId}:${budget.currency}`, budget.remaining]));
+};
+
+/**
+ * Realizado x orçado dos orçamentos de um mês. Soma as linhas de transaction_lines
+ * (despesas da categoria ou receitas da fonte) convertidas para a moeda de cada orçamento;
+ * a projeção extrapola o ritmo atual até o fim do mês. O disponível inclui o que veio
+ * do mês anterior quando aquele orçamento tem rollover.
+ */
+const getBudgetProgress = async (userId, year, month) => {
+  const { monthStart, nextMonthStart } = getMonthRange(year, month);
+
+  const budgetsResult = await pool.query(
+    `SELECT b.*, COALESCE(c.name, s.name) AS entity_name
+     FROM budgets b
+     LEFT JOIN categories c ON b.category_id = c.id
+     LEFT JOIN income_sources s ON b.income_source_id = s.id
+     WHERE b.user_id = $1 AND b.year = $2 AND b.month = $3
+     ORDER BY entity_name`,
+    [userId, year, month]
+  );
+  if (budgetsResult.rows.length === 0) return [];
+
+  const actualsResult = await pool.query(
+    `SELECT t.category_id, t.income_source_id, UPPER(t.type) AS type, a.currency, SUM(t.amount) AS total
+     FROM transaction_lines t
+     JOIN accounts a ON t.account_id = a.id
+     WHERE t.user_id = $1 AND NOT t.is_transfer AND t.date >= $2 AND t.date < $3
+     GROUP BY t.category_id, t.income_source_id, UPPER(t.type), a.currency`,
+    [userId, monthStart, nextMonthStart]
+  );
+
+  // Fração do mês já decorrida: 1 para meses passados, 0 para futuros
+  const today = getToday();
+  const daysInMonth = parseInt(addDays(nextMonthStart, -1).slice(8, 10));
+  let elapsed = 1;
+  if (monthStart > today) {
+    elapsed = 0;
+  } else if (nextMonthStart > today) {
+    elapsed = parseInt(today.slice(8, 10)) / daysInMonth;
+  }
+
+  const fx = await createFxConverter(userId, getReportRateDate(year, month));
+  const carriedOver = await getCarriedOver(userId, monthStart);
+
+  return budgetsResult.rows.map(row => {
+    const budget = mapBudget(row);
+    const byCurrency = {};
+    actualsResult.rows
+      .filter(line => budget.entityType === 'source'
+        ? line.income_source_id === row.income_source_id && line.type === 'INCOME'
+        : line.category_id === row.category_id && line.type === 'EXPENSE')
+      .forEach(line => {
+        byCurrency[line.currency] = (byCurrency[line.currency] || 0) + parseFloat(line.total);
+      });
+
+    const { total: spent, missingRates } = consolidateAmounts(byCurrency, budget.currency, fx);
+    const carried = carriedOver.get(`${budget.entityType}:${budget.entityId}:${budget.currency}`) || 0;
+    const available = Math.round((budget.amount + carried) * 100) / 100;
+    const projected = elapsed > 0 ? Math.round((spent / elapsed) * 100) / 100 : spent;
+
+    return {
+      ...budget,
+      entityName: row.entity_name,
+      carriedOver: carried,
+      available,
+      spent,
+      remaining: Math.round((available - spent) * 100) / 100,
+      percentUsed: available > 0 ? Math.round((spent / available) * 10000) / 100 : null,
+      projected,
+      projectedPercent: available > 0 ? Math.round((projected / available) * 10000) / 100 : null,
+      // Moedas das transações sem cotação para a moeda do orçamento (ficaram fora do realizado)
+      missingRates
+    };
+  });
+};
+
+/**
+ * Resumo do modo envelope (base zero) num mês, na moeda base do usuário: a renda recebida,
+ * quanto dela já foi atribuído aos orçamentos de categoria e quanto falta atribuir.
+ * Recebe o client para enxergar um orçamento ainda não commitado.
+ */
+const getEnvelopeSummary = async (db, userId, year, month) => {
+  const { monthStart, nextMonthStart } = getMonthRange(year, month);
+  const baseCurrency = await resolveBaseCurrency(userId);
+
+  const incomeResult = await db.query(
+    `SELECT a.currency, SUM(t.amount) AS total
+     FROM transactions t
+     JOIN accounts a ON t.account_id = a.id
+     WHERE t.user_id = $1 AND UPPER(t.type) = 'INCOME' AND NOT t.is_transfer AND t.date >= $2 AND t.date < $3
+     GROUP BY a.currency`,
+    [userId, monthStart, nextMonthStart]
+  );
+  const assignedResult = await db.query(
+    `SELECT currency, SUM(limit_amount) AS total
+     FROM budgets
+     WHERE user_id = $1 AND year = $2 AND month = $3 AND category_id IS NOT NULL
+     GROUP BY currency`,
+    [userId, year, month]
+  );
+
+  const toAmounts = (rows) => Object.fromEntries(rows.map(row => [row.currency, parseFloat(row.total)]));
+  const fx = await createFxConverter(userId, getReportRateDate(year, month));
+  const income = consolidateAmounts(toAmounts(incomeResult.rows), baseCurrency, fx);
+  const assigned = consolidateAmounts(toAmounts(assignedResult.rows), baseCurrency, fx);
+
+  return {
+    month: monthStart.slice(0, 7),
+    currency: baseCurrency,
+    income: income.total,
+    assigned: assigned.total,
+    unassigned: Math.round((income.total - assigned.total) * 100) / 100,
+    missingRates: [...new Set([...income.missingRates, ...assigned.missingRates])]
+  };
+};
+
+const getBudgetMode = async (db, userId) => {
+  const result = await db.query('SELECT budget_mode FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.budget_mode || 'standard';
+};
+
+/**
+ * Cria alertas para os orçamentos de categoria que a transação fez passar de um limite.
+ * O UNIQUE (budget_id, threshold) garante um alerta por limite; roda depois do COMMIT,
+ * e uma falha aqui não desfaz a transação já gravada.
+ */
+const checkBudgetAlerts = async (userId, transaction) => {
+  try {
+    if (transaction.type.toUpperCase() !== 'EXPENSE') return [];
+
+    const categoryIds = transaction.splits.length > 0
+      ? transaction.splits.map(split => split.categoryId)
+      : [transaction.category_id];
+    const [year, month] = toDateString(transaction.date).split('-').map(Number);
+
+    const progress = await getBudgetProgress(userId, year, month);
+    const alerts = [];
+    for (const budget of progress) {
+      if (budget.entityType !== 'category' || !categoryIds.includes(budget.entityId) || budget.percentUsed === null) continue;
+
+      for (const threshold of budget.alertThresholds.filter(value => budget.percentUsed >= value)) {
+        const result = await pool.query(
+          `INSERT INTO budget_alerts (user_id, budget_id, threshold, percent_used, spent, transaction_id)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (budget_id, threshold) DO NOTHING
+           RETURNING *`,
+          [userId, budget.id, threshold, budget.percentUsed, budget.spent, transaction.id]
+        );
+        if (result.rows.length > 0) alerts.push(mapBudgetAlert(result.rows[0]));
+      }
+    }
+    return alerts;
+  } catch (error) {
+    console.error('Erro ao verificar alertas de orçamento:', error);
+    return [];
+  }
+};
+
+// Lê ?month=YYYY-MM (padrão: mês atual); devolve { year, month } ou null se inválido
+const parseBudgetMonth = (value) => {
+  const monthParam = value || getToday().slice(0, 7);
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(monthParam)) return null;
+  const [year, month] = monthParam.split('-').map(Number);
+  return { year, month };
+};
+
+app.get('/api/budgets', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, category_id, income_source_id, month, year, limit_amount, currency, rollover, alert_thresholds FROM budgets WHERE user_id = $1',
+      [req.userId]
+    );
+    // Mapear para o formato que o frontend espera
+    res.json(result.rows.map(mapBudget));
+  } catch (error) {
+    console.error('Erro ao buscar orçamentos:', error);
+    res.status(500).json({ error: 'Erro ao buscar orçamentos' });
+  }
+});
+
+app.get('/api/budgets/progress', authMiddleware, async (req, res) => {
+  try {
+    const period = parseBudgetMonth(req.query.month);
+    if (!period) {
+      return res.status(400).json({ error: 'month deve estar no formato YYYY-MM' });
+    }
+
+    res.json(await getBudgetProgress(req.userId, period.year, period.month));
+  } catch (error) {
+    console.error('Erro ao calcular progresso dos orçamentos:', error);
+    res.status(500).json({ error: 'Erro ao calcular progresso dos orçamentos' });
+  }
+});
+
+app.get('/api/budgets/envelope', authMiddleware, async (req, res) => {
+  try {
+    const period = parseBudgetMonth(req.query.month);
+    if (!period) {
+      return res.status(400).json({ error: 'month deve estar no formato YYYY-MM' });
+    }
+
+    const summary = await getEnvelopeSummary(pool, req.userId, period.year, period.month);
+    const progress = await getBudgetProgress(req.userId, period.year, period.month);
+    res.json({
+      ...summary,
+      mode: await getBudgetMode(pool, req.userId),
+      envelopes: progress.filter(budget => budget.entityType === 'category')
     });
+  } catch (error) {
+    console.error('Erro ao calcular envelopes:', error);
+    res.status(500).json({ error: 'Erro ao calcular envelopes' });
+  }
+});
+
+app.get('/api/budgets/alerts', authMiddleware, async (req, res) => {
+  try {
+    const unreadOnly = req.query.unread === 'true';
+    const result = await pool.query(
+      'SELECT * FROM budget_alerts WHERE user_id = $1 AND ($2 = false OR read_at IS NULL) ORDER BY created_at DESC',
+      [req.userId, unreadOnly]
+    );
+    res.json(result.rows.map(mapBudgetAlert));
+  } catch (error) {
+    console.error('Erro ao buscar alertas:', error);
+    res.status(500).json({ error: 'Erro ao buscar alertas' });
+  }
+});
+
+app.post('/api/budgets/alerts/:id/read', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'UPDATE budget_alerts SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = $1 AND user_id = $2 RETURNING *',
+      [id, req.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Alerta não encontrado' });
+    }
+    res.json(mapBudgetAlert(result.rows[0]));
+  } catch (error) {
+    console.error('Erro ao marcar alerta como lido:', error);
+    res.status(500).json({ error: 'Erro ao marcar alerta como lido' });
+  }
+});
+
+app.post('/api/budgets', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    let { categoryId, incomeSourceId, month, year, limitAmount, amount, currency, entityId, entityType, rollover, alertThresholds } = req.body;
     
-    investmentsResult.rows.forEach(r => {
-      if (!byCurrency[r.currency]) byCurrency[r.currency] = { assets: 0, liabilities: 0 };
-      byCurrency[r.currency].assets += parseFloat(r.total);
-    });
+    // Se veio no formato do frontend (entityId, entityType, amount)
+    if (entityId && entityType) {
+      if (entityType === 'category') {
+        categoryId = entityId;
+      } else if (entityType === 'source') {
+        incomeSourceId = entityId;
+      } else {
+        return res.status(400).json({ error: 'entityType deve ser category ou source' });
+      }
+    }
     
-    assetsResult.rows.forEach(r => {
-      if (!byCurrency[r.currency]) byCurrency[r.currency] = { assets: 0, liabilities: 0 };
-      byCurrency[r.currency].assets += parseFloat(r.total);
-    });
+    // IDs são UUIDs; strings vazias viram null
+    categoryId = categoryId || null;
+    incomeSourceId = incomeSourceId || null;
+    if (!categoryId === !incomeSourceId) {
+      return res.status(400).json({ error: 'Informe uma categoria ou uma fonte de renda' });
+    }
     
-    liabilitiesResult.rows.forEach(r => {
-      if (!byCurrency[r.currency]) byCurrency[r.currency] = { assets: 0, liabilities: 0 };
-      byCurrency[r.currency].liabilities += parseFloat(r.total);
-    });
+    const entity = categoryId
+      ? await client.query('SELECT id FROM categories WHERE id = $1 AND user_id = $2', [categoryId, req.userId])
+      : await client.query('SELECT id FROM income_sources WHERE id = $1 AND user_id = $2', [incomeSourceId, req.userId]);
+    if (entity.rows.length === 0) {
+      return res.status(404).json({ error: categoryId ? 'Categoria não encontrada' : 'Fonte de renda não encontrada' });
+    }
     
-    // Calcular métricas
-    const metrics = {};
+    // Se month vem como "2026-02", extrair month e year
+    if (typeof month === 'string' && month.includes('-')) {
+      const [yearStr, monthStr] = month.split('-');
+      year = parseInt(yearStr);
+      month = parseInt(monthStr);
+    }
     
-    // Se não há dados, criar estrutura padrão para BRL
-    if (Object.keys(byCurrency).length === 0) {
-      byCurrency['BRL'] = { assets: 0, liabilities: 0 };
+    // Se não tem month/year, usar mês/ano atual
+    if (!month || !year) {
+      const now = new Date();
+      month = month || now.getMonth() + 1;
+      year = year || now.getFullYear();
     }
     
-    Object.keys(byCurrency).forEach(currency => {
-      const data = byCurrency[currency];
-      const monthly = monthlyByCurrency[currency] || { income: 0, expenses: 0 };
-      const balance = monthly.income - monthly.expenses;
-      const savingsRate = monthly.income > 0 ? ((balance) / monthly.income) * 100 : 0;
-      
-      metrics[currency] = {
-        totalAssets: data.assets,
-        totalLiabilities: data.liabilities,
-        netWorth: data.assets - data.liabilities,
-        debtRatio: data.assets > 0 ? (data.liabilities / data.assets) * 100 : 0,
-        monthly: {
-          income: monthly.income,
-          expenses: monthly.expenses,
-          balance: balance,
-          savingsRate: savingsRate.toFixed(2)
-        }
-      };
-    });
+    // Se amount foi enviado ao invés de limitAmount
+    if (amount && !limitAmount) {
+      limitAmount = amount;
+    }
     
-    // Reserva de emergência (apenas contas marcadas como is_emergency_fund)
-    const emergencyFundResult = await pool.query(
-      'SELECT currency, SUM(balance) as total FROM accounts WHERE user_id = $1 AND is_emergency_fund = true GROUP BY currency',
-      [req.userId]
+    currency = normalizeCurrency(currency || 'BRL');
+    if (!currency) {
+      return res.status(400).json({ error: 'Moeda inválida' });
+    }
+    
+    const thresholds = alertThresholds !== undefined ? normalizeAlertThresholds(alertThresholds) : DEFAULT_ALERT_THRESHOLDS;
+    if (!thresholds) {
+      return res.status(400).json({ error: 'alertThresholds deve ser uma lista de percentuais inteiros' });
+    }
+    if (rollover && incomeSourceId) {
+      return res.status(400).json({ error: 'Rollover só vale para orçamentos de categoria' });
+    }
+    
+    await client.query('BEGIN');
+    const result = await client.query(
+      'INSERT INTO budgets (user_id, category_id, income_source_id, month, year, limit_amount, currency, rollover, alert_thresholds) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id, category_id, income_source_id, month, year, limit_amount, currency, rollover, alert_thresholds',
+      [req.userId, categoryId, incomeSourceId, month, year, limitAmount, currency, Boolean(rollover), thresholds]
     );
     
-    const emergencyFundByCurrency = {};
-    emergencyFundResult.rows.forEach(r => {
-      emergencyFundByCurrency[r.currency] = parseFloat(r.total);
-    });
+    // No modo envelope não se atribui mais do que a renda recebida no mês
+    if (categoryId && await getBudgetMode(client, req.userId) === 'envelope') {
+      const summary = await getEnvelopeSummary(client, req.userId, year, month);
+      if (summary.unassigned < 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Valor maior que a renda ainda não atribuída no mês', envelope: summary });
+      }
+    }
     
-    // Calcular meses de reserva por moeda
-    Object.keys(metrics).forEach(currency => {
-      const fund = emergencyFundByCurrency[currency] || 0;
-      const expenses = metrics[currency].monthly.expenses || 0;
-      metrics[currency].emergencyFundMonths = expenses > 0 ? (fund / expenses).toFixed(1) : '0.0';
-      metrics[currency].emergencyFundValue = fund;
-    });
+    await client.query('COMMIT');
+    triggerAchievements(req.userId);
+    // Retornar no formato que o frontend espera
+    res.status(201).json(mapBudget(result.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao criar orçamento:', error);
+    res.status(500).json({ error: 'Erro ao criar orçamento', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Atualiza só os campos enviados: limitAmount (ou amount), rollover e alertThresholds
+app.put('/api/budgets/:id', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { rollover, alertThresholds } = req.body;
+    const limitAmount = req.body.limitAmount !== undefined ? req.body.limitAmount : req.body.amount;
+    
+    const thresholds = alertThresholds !== undefined ? normalizeAlertThresholds(alertThresholds) : null;
+    if (alertThresholds !== undefined && !thresholds) {
+      return res.status(400).json({ error: 'alertThresholds deve ser uma lista de percentuais inteiros' });
+    }
+    
+    await client.query('BEGIN');
+    const result = await client.query(
+      'UPDATE budgets SET limit_amount = COALESCE($1, limit_amount), rollover = COALESCE($2, rollover), alert_thresholds = COALESCE($3, alert_thresholds) WHERE id = $4 AND user_id = $5 RETURNING id, category_id as "categoryId", income_source_id as "incomeSourceId", month, year, limit_amount as "limitAmount", currency, rollover, alert_thresholds as "alertThresholds"',
+      [limitAmount !== undefined ? limitAmount : null, rollover !== undefined ? Boolean(rollover) : null, thresholds, id, req.userId]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Orçamento não encontrado' });
+    }
+    
+    const budget = result.rows[0];
+    if (budget.rollover && budget.incomeSourceId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Rollover só vale para orçamentos de categoria' });
+    }
+    if (budget.categoryId && await getBudgetMode(client, req.userId) === 'envelope') {
+      const summary = await getEnvelopeSummary(client, req.userId, budget.year, budget.month);
+      if (summary.unassigned < 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Valor maior que a renda ainda não atribuída no mês', envelope: summary });
+      }
+    }
+    
+    await client.query('COMMIT');
+    triggerAchievements(req.userId);
+    res.json(budget);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao atualizar orçamento:', error);
+    res.status(500).json({ error: 'Erro ao atualizar orçamento' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/budgets/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await pool.query('DELETE FROM budgets WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Orçamento excluído com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir orçamento:', error);
+    res.status(500).json({ error: 'Erro ao excluir orçamento' });
+  }
+});
+
+// ==================== GOALS ====================
+const GOAL_TRACKING_MODES = ['contributions', 'account'];
+
+// Janela usada para medir o ritmo de aportes e projetar a conclusão
+const GOAL_HISTORY_MONTHS = 6;
+const AVERAGE_MONTH_DAYS = 30.4375;
+
+const mapGoal = (row) => ({
+  id: row.id,
+  name: row.name,
+  targetAmount: parseFloat(row.target_amount),
+  currentAmount: parseFloat(row.current_amount || 0),
+  currency: row.currency,
+  deadline: toDateString(row.deadline),
+  category: row.category,
+  status: row.status,
+  accountId: row.account_id,
+  trackingMode: row.tracking_mode
+});
+
+const mapGoalContribution = (row) => ({
+  id: row.id,
+  goalId: row.goal_id,
+  amount: parseFloat(row.amount),
+  date: toDateString(row.date),
+  note: row.note,
+  createdAt: row.created_at
+});
+
+/**
+ * Progresso da meta: valor atual (soma dos aportes ou saldo da conta vinculada), aporte
+ * mensal necessário até o prazo e data projetada pelo ritmo dos últimos meses.
+ * O status vira 'completed' ao atingir o alvo e 'at_risk' quando o ritmo não chega no prazo.
+ */
+const getGoalProgress = async (db, userId, goal) => {
+  const today = getToday();
+  const target = parseFloat(goal.target_amount);
+  const windowStart = addMonths(today, -GOAL_HISTORY_MONTHS);
+
+  let current;
+  let historyStart;
+  let gainedInWindow;
+  if (goal.tracking_mode === 'account' && goal.account_id) {
+    historyStart = maxDate(windowStart, toDateString(goal.created_at));
+    const balanceAt = async (date) => {
+      const accounts = await getLedgerBalances(db, userId, date);
+      const account = accounts.find(a => a.id === goal.account_id);
+      return account ? parseFloat(account.ledger_balance) : 0;
+    };
+    current = await balanceAt(today);
+    gainedInWindow = current - await balanceAt(historyStart);
+  } else {
+    const result = await db.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total,
+              COALESCE(SUM(amount) FILTER (WHERE date > $2), 0) AS recent,
+              MIN(date) AS first_date
+       FROM goal_contributions WHERE goal_id = $1`,
+      [goal.id, windowStart]
+    );
+    const row = result.rows[0];
+    current = parseFloat(row.total);
+    gainedInWindow = parseFloat(row.recent);
+    historyStart = maxDate(windowStart, minDate(toDateString(row.first_date), toDateString(goal.created_at)));
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const remaining = Math.max(target - current, 0);
+  const historyDays = daysBetween(historyStart, today);
+  const averageMonthly = gainedInWindow / Math.max(historyDays / AVERAGE_MONTH_DAYS, 1);
+
+  let projectedCompletionDate = null;
+  if (remaining === 0) {
+    projectedCompletionDate = today;
+  } else if (averageMonthly > 0) {
+    projectedCompletionDate = addDays(today, Math.ceil((remaining / averageMonthly) * AVERAGE_MONTH_DAYS));
+  }
+
+  const deadline = toDateString(goal.deadline);
+  let monthsToDeadline = null;
+  let monthlySavingNeeded = null;
+  if (deadline) {
+    monthsToDeadline = round(Math.max(daysBetween(today, deadline), 0) / AVERAGE_MONTH_DAYS);
+    monthlySavingNeeded = round(monthsToDeadline >= 1 ? remaining / monthsToDeadline : remaining);
+  }
+
+  // Sem ao menos um mês de histórico não há ritmo para julgar; só o prazo vencido conta
+  let status = 'active';
+  if (remaining === 0) {
+    status = 'completed';
+  } else if (deadline && (deadline < today
+    || (historyDays >= AVERAGE_MONTH_DAYS && (!projectedCompletionDate || projectedCompletionDate > deadline)))) {
+    status = 'at_risk';
+  }
+
+  if (round(current) !== parseFloat(goal.current_amount || 0) || status !== goal.status) {
+    await db.query(
+      'UPDATE financial_goals SET current_amount = $1, status = $2 WHERE id = $3',
+      [round(current), status, goal.id]
+    );
+  }
+
+  return {
+    goalId: goal.id,
+    trackingMode: goal.tracking_mode,
+    currency: goal.currency,
+    targetAmount: target,
+    currentAmount: round(current),
+    remaining: round(remaining),
+    percentComplete: target > 0 ? Math.min(round((current / target) * 100), 100) : null,
+    deadline,
+    monthsToDeadline,
+    monthlySavingNeeded,
+    averageMonthlyContribution: round(averageMonthly),
+    projectedCompletionDate,
+    status
+  };
+};
+
+// Valida e completa os campos de POST/PUT; devolve { status, error } ou { data }
+const validateGoalInput = async (db, userId, input) => {
+  const trackingMode = input.trackingMode || (input.accountId ? 'account' : 'contributions');
+  const currency = normalizeCurrency(input.currency || 'BRL');
+
+  if (!input.name || !(parseFloat(input.targetAmount) > 0)) {
+    return { status: 400, error: 'name e targetAmount (maior que zero) são obrigatórios' };
+  }
+  if (!currency) {
+    return { status: 400, error: 'Moeda inválida' };
+  }
+  if (!GOAL_TRACKING_MODES.includes(trackingMode)) {
+    return { status: 400, error: 'trackingMode deve ser contributions ou account' };
+  }
+  if (input.deadline && !isValidDateString(toDateString(input.deadline))) {
+    return { status: 400, error: 'deadline deve estar no formato YYYY-MM-DD' };
+  }
+
+  if (input.accountId) {
+    const account = await db.query('SELECT currency FROM accounts WHERE id = $1 AND user_id = $2', [input.accountId, userId]);
+    if (account.rows.length === 0) {
+      return { status: 404, error: 'Conta não encontrada' };
+    }
+    if (trackingMode === 'account' && account.rows[0].currency !== currency) {
+      return { status: 400, error: 'A conta vinculada precisa estar na moeda da meta' };
+    }
+  } else if (trackingMode === 'account') {
+    return { status: 400, error: 'Informe accountId para acompanhar a meta pelo saldo da conta' };
+  }
+
+  return {
+    data: {
+      name: input.name,
+      targetAmount: parseFloat(input.targetAmount),
+      currency,
+      deadline: toDateString(input.deadline) || null,
+      category: input.category || null,
+      accountId: input.accountId || null,
+      trackingMode
+    }
+  };
+};
+
+const findGoal = async (db, userId, goalId) => {
+  const result = await db.query('SELECT * FROM financial_goals WHERE id = $1 AND user_id = $2', [goalId, userId]);
+  return result.rows[0] || null;
+};
+
+// Recalcula valor atual e status de cada meta antes de listar
+app.get('/api/goals', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM financial_goals WHERE user_id = $1 ORDER BY created_at', [req.userId]);
+    const goals = [];
+    for (const goal of result.rows) {
+      const progress = await getGoalProgress(pool, req.userId, goal);
+      goals.push({ ...mapGoal(goal), currentAmount: progress.currentAmount, status: progress.status });
+    }
+    res.json(goals);
+  } catch (error) {
+    console.error('Erro ao buscar metas:', error);
+    res.status(500).json({ error: 'Erro ao buscar metas' });
+  }
+});
+
+app.post('/api/goals', authMiddleware, async (req, res) => {
+  try {
+    const validation = await validateGoalInput(pool, req.userId, req.body);
+    if (validation.error) {
+      return res.status(validation.status).json({ error: validation.error });
+    }
+    const { name, targetAmount, currency, deadline, category, accountId, trackingMode } = validation.data;
     
-    res.json(metrics);
+    const result = await pool.query(
+      'INSERT INTO financial_goals (user_id, name, target_amount, currency, deadline, category, account_id, tracking_mode) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+      [req.userId, name, targetAmount, currency, deadline, category, accountId, trackingMode]
+    );
+    const progress = await getGoalProgress(pool, req.userId, result.rows[0]);
+    res.status(201).json({ ...mapGoal(result.rows[0]), currentAmount: progress.currentAmount, status: progress.status });
+  } catch (error) {
+    console.error('Erro ao criar meta:', error);
+    res.status(500).json({ error: 'Erro ao criar meta', details: error.message });
+  }
+});
+
+// Campos omitidos mantêm o valor atual; o status é sempre recalculado
+app.put('/api/goals/:id', authMiddleware, async (req, res) => {
+  try {
+    const goal = await findGoal(pool, req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Meta não encontrada' });
+    }
+
+    const current = mapGoal(goal);
+    const input = {};
+    ['name', 'targetAmount', 'currency', 'deadline', 'category', 'accountId', 'trackingMode'].forEach(field => {
+      input[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+    });
+    const validation = await validateGoalInput(pool, req.userId, input);
+    if (validation.error) {
+      return res.status(validation.status).json({ error: validation.error });
+    }
+    const { name, targetAmount, currency, deadline, category, accountId, trackingMode } = validation.data;
+
+    const result = await pool.query(
+      'UPDATE financial_goals SET name = $1, target_amount = $2, currency = $3, deadline = $4, category = $5, account_id = $6, tracking_mode = $7 WHERE id = $8 AND user_id = $9 RETURNING *',
+      [name, targetAmount, currency, deadline, category, accountId, trackingMode, goal.id, req.userId]
+    );
+    const progress = await getGoalProgress(pool, req.userId, result.rows[0]);
+    triggerAchievements(req.userId);
+    res.json({ ...mapGoal(result.rows[0]), currentAmount: progress.currentAmount, status: progress.status });
+  } catch (error) {
+    console.error('Erro ao atualizar meta:', error);
+    res.status(500).json({ error: 'Erro ao atualizar meta' });
+  }
+});
+
+app.delete('/api/goals/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await pool.query('DELETE FROM financial_goals WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Meta excluída com sucesso' });
   } catch (error) {
-    console.error('Erro ao calcular métricas:', error);
-    res.status(500).json({ error: 'Erro ao calcular métricas' });
+    console.error('Erro ao excluir meta:', error);
+    res.status(500).json({ error: 'Erro ao excluir meta' });
   }
 });
 
-// ==================== REPORTS ====================
-app.get('/api/reports/category-breakdown', authMiddleware, async (req, res) => {
+app.get('/api/goals/:id/progress', authMiddleware, async (req, res) => {
   try {
-    const { month, year, type } = req.query;
-    const currentMonth = month || new Date().getMonth() + 1;
-    const currentYear = year || new Date().getFullYear();
-    const txType = type || 'expense';
-    
+    const goal = await findGoal(pool, req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Meta não encontrada' });
+    }
+    res.json(await getGoalProgress(pool, req.userId, goal));
+  } catch (error) {
+    console.error('Erro ao calcular progresso da meta:', error);
+    res.status(500).json({ error: 'Erro ao calcular progresso da meta' });
+  }
+});
+
+app.get('/api/goals/:id/contributions', authMiddleware, async (req, res) => {
+  try {
+    const goal = await findGoal(pool, req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Meta não encontrada' });
+    }
     const result = await pool.query(
-      "SELECT c.name, c.color, SUM(t.amount) as total FROM transactions t LEFT JOIN categories c ON t.category_id = c.id WHERE t.user_id = $1 AND t.type = $2 AND EXTRACT(MONTH FROM t.date) = $3 AND EXTRACT(YEAR FROM t.date) = $4 GROUP BY c.name, c.color ORDER BY total DESC",
-      [req.userId, txType, currentMonth, currentYear]
+      'SELECT * FROM goal_contributions WHERE goal_id = $1 ORDER BY date DESC, created_at DESC',
+      [goal.id]
     );
-    
-    res.json(result.rows);
+    res.json(result.rows.map(mapGoalContribution));
   } catch (error) {
-    console.error('Erro ao gerar relatório:', error);
-    res.status(500).json({ error: 'Erro ao gerar relatório' });
+    console.error('Erro ao buscar aportes:', error);
+    res.status(500).json({ error: 'Erro ao buscar aportes' });
   }
 });
 
-app.get('/api/reports/monthly-trend', authMiddleware, async (req, res) => {
+// Aporte manual (valor negativo registra uma retirada)
+app.post('/api/goals/:id/contributions', authMiddleware, async (req, res) => {
   try {
-    const { months } = req.query;
-    const monthsCount = months || 6;
-    
+    const goal = await findGoal(pool, req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Meta não encontrada' });
+    }
+    if (goal.tracking_mode === 'account') {
+      return res.status(400).json({ error: 'Esta meta acompanha o saldo da conta vinculada; não recebe aportes manuais' });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    const date = req.body.date || getToday();
+    if (!amount) {
+      return res.status(400).json({ error: 'amount é obrigatório e diferente de zero' });
+    }
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+
     const result = await pool.query(
-      "SELECT EXTRACT(YEAR FROM date) as year, EXTRACT(MONTH FROM date) as month, type, SUM(amount) as total FROM transactions WHERE user_id = $1 AND date >= CURRENT_DATE - INTERVAL '$2 months' GROUP BY year, month, type ORDER BY year, month",
-      [req.userId, monthsCount]
+      'INSERT INTO goal_contributions (goal_id, amount, date, note) VALUES ($1, $2, $3, $4) RETURNING *',
+      [goal.id, amount, date, req.body.note || null]
     );
-    
-    res.json(result.rows);
+    const progress = await getGoalProgress(pool, req.userId, goal);
+    triggerAchievements(req.userId);
+    res.status(201).json({ contribution: mapGoalContribution(result.rows[0]), progress });
   } catch (error) {
-    console.error('Erro ao gerar tendência:', error);
-    res.status(500).json({ error: 'Erro ao gerar tendência' });
+    console.error('Erro ao registrar aporte:', error);
+    res.status(500).json({ error: 'Erro ao registrar aporte' });
   }
 });
 
-// ==================== ACHIEVEMENTS ====================
-app.get('/api/achievements', authMiddleware, async (req, res) => {
+app.delete('/api/goals/:id/contributions/:contributionId', authMiddleware, async (req, res) => {
   try {
+    const goal = await findGoal(pool, req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Meta não encontrada' });
+    }
     const result = await pool.query(
-      'SELECT * FROM achievements WHERE user_id = $1 ORDER BY unlocked_at DESC',
-      [req.userId]
+      'DELETE FROM goal_contributions WHERE id = $1 AND goal_id = $2 RETURNING id',
+      [req.params.contributionId, goal.id]
     );
-    res.json(result.rows);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Aporte não encontrado' });
+    }
+    const progress = await getGoalProgress(pool, req.userId, goal);
+    res.json({ message: 'Aporte excluído com sucesso', progress });
   } catch (error) {
-    console.error('Erro ao buscar conquistas:', error);
-    res.status(500).json({ error: 'Erro ao buscar conquistas' });
+    console.error('Erro ao excluir aporte:', error);
+    res.status(500).json({ error: 'Erro ao excluir aporte' });
   }
 });
 
-// ==================== BUDGETS ====================
-app.get('/api/budgets', authMiddleware, async (req, res) => {
+// ==================== ASSETS ====================
+const ASSET_VALUATION_METHODS = ['manual', 'straight_line', 'declining_balance', 'appreciation'];
+const DAYS_PER_YEAR = 365.25;
+
+const mapAsset = (row, value) => ({
+  id: row.id,
+  name: row.name,
+  category: row.type,
+  currency: row.currency,
+  value,
+  purchaseDate: toDateString(row.purchase_date),
+  purchasePrice: row.purchase_price === null ? null : parseFloat(row.purchase_price),
+  valuationMethod: row.valuation_method,
+  usefulLifeYears: row.useful_life_years === null ? null : parseFloat(row.useful_life_years),
+  salvageValue: parseFloat(row.salvage_value),
+  annualRate: row.annual_rate === null ? null : parseFloat(row.annual_rate)
+});
+
+const mapAssetValuation = (row) => ({
+  id: row.id,
+  date: toDateString(row.date),
+  value: parseFloat(row.value),
+  note: row.note
+});
+
+// Data a partir da qual o bem conta no patrimônio
+const getAssetStartDate = (asset) => toDateString(asset.purchase_date) || toDateString(asset.created_at);
+
+/**
+ * Valor do bem em `asOf`. O ponto de partida é a última reavaliação manual até a data ou,
+ * sem ela, a compra (ou o valor cadastrado, em bens antigos sem dados de compra). A regra
+ * corre a partir desse ponto: a linear deprecia o que falta até o valor residual no restante
+ * da vida útil; a de saldo decrescente e a valorização aplicam a taxa anual composta.
+ */
+const computeAssetValue = (asset, valuations, asOf) => {
+  const startDate = getAssetStartDate(asset);
+  if (startDate && asOf < startDate) return 0;
+
+  const valuation = valuations.filter(v => toDateString(v.date) <= asOf).pop();
+  let anchorDate = startDate;
+  let anchorValue = parseFloat(asset.purchase_price ?? asset.value);
+  if (valuation) {
+    anchorDate = toDateString(valuation.date);
+    anchorValue = parseFloat(valuation.value);
+  }
+
+  const years = daysBetween(anchorDate, asOf) / DAYS_PER_YEAR;
+  const salvage = parseFloat(asset.salvage_value);
+  const rate = parseFloat(asset.annual_rate) / 100;
+  let value = anchorValue;
+
+  switch (asset.valuation_method) {
+    case 'straight_line': {
+      const elapsedBeforeAnchor = daysBetween(startDate, anchorDate) / DAYS_PER_YEAR;
+      const remainingLife = parseFloat(asset.useful_life_years) - elapsedBeforeAnchor;
+      value = remainingLife <= years
+        ? Math.min(salvage, anchorValue)
+        : anchorValue - (anchorValue - salvage) * (years / remainingLife);
+      break;
+    }
+    case 'declining_balance':
+      value = Math.max(anchorValue * Math.pow(1 - rate, years), Math.min(salvage, anchorValue));
+      break;
+    case 'appreciation':
+      value = anchorValue * Math.pow(1 + rate, years);
+      break;
+  }
+  return roundMoney(Math.max(value, 0));
+};
+
+const getAssetValuations = async (db, assetIds) => {
+  const result = await db.query(
+    'SELECT * FROM asset_valuations WHERE asset_id = ANY($1) ORDER BY date',
+    [assetIds]
+  );
+  const byAsset = new Map(assetIds.map(id => [id, []]));
+  result.rows.forEach(row => byAsset.get(row.asset_id).push(row));
+  return byAsset;
+};
+
+// Bens do usuário com o valor calculado em `asOf` (padrão: hoje)
+const getAssetValues = async (userId, asOf = getToday()) => {
+  const assets = await pool.query('SELECT * FROM assets WHERE user_id = $1 ORDER BY name', [userId]);
+  const valuations = await getAssetValuations(pool, assets.rows.map(a => a.id));
+  return assets.rows.map(asset => ({ ...asset, computedValue: computeAssetValue(asset, valuations.get(asset.id), asOf) }));
+};
+
+const findAsset = async (db, userId, assetId) => {
+  const result = await db.query('SELECT * FROM assets WHERE id = $1 AND user_id = $2', [assetId, userId]);
+  return result.rows[0] || null;
+};
+
+const validateAssetInput = (input) => {
+  const currency = normalizeCurrency(input.currency);
+  const valuationMethod = input.valuationMethod || 'manual';
+  const purchaseDate = toDateString(input.purchaseDate) || null;
+  const purchasePrice = input.purchasePrice === null || input.purchasePrice === undefined || input.purchasePrice === '' ? null : parseFloat(input.purchasePrice);
+  const value = input.value === null || input.value === undefined || input.value === '' ? purchasePrice : parseFloat(input.value);
+  const usefulLifeYears = input.usefulLifeYears ? parseFloat(input.usefulLifeYears) : null;
+  const salvageValue = input.salvageValue ? parseFloat(input.salvageValue) : 0;
+  const annualRate = input.annualRate === null || input.annualRate === undefined || input.annualRate === '' ? null : parseFloat(input.annualRate);
+
+  if (!input.name) {
+    return { error: 'name é obrigatório' };
+  }
+  if (!currency) {
+    return { error: 'Moeda inválida' };
+  }
+  if (!ASSET_VALUATION_METHODS.includes(valuationMethod)) {
+    return { error: `valuationMethod deve ser um de: ${ASSET_VALUATION_METHODS.join(', ')}` };
+  }
+  if (purchaseDate && !isValidDateString(purchaseDate)) {
+    return { error: 'purchaseDate deve estar no formato YYYY-MM-DD' };
+  }
+  if (purchasePrice !== null && !(purchasePrice >= 0)) {
+    return { error: 'purchasePrice não pode ser negativo' };
+  }
+  if (!(value >= 0)) {
+    return { error: 'Informe value ou purchasePrice' };
+  }
+  if (!(salvageValue >= 0)) {
+    return { error: 'salvageValue não pode ser negativo' };
+  }
+
+  // As regras automáticas partem da compra
+  if (valuationMethod !== 'manual' && (!purchaseDate || purchasePrice === null)) {
+    return { error: 'purchaseDate e purchasePrice são obrigatórios para depreciação ou valorização' };
+  }
+  if (valuationMethod === 'straight_line' && !(usefulLifeYears > 0)) {
+    return { error: 'usefulLifeYears (maior que zero) é obrigatório na depreciação linear' };
+  }
+  if (valuationMethod === 'declining_balance' && !(annualRate > 0 && annualRate < 100)) {
+    return { error: 'annualRate entre 0 e 100 é obrigatório na depreciação por saldo decrescente' };
+  }
+  if (valuationMethod === 'appreciation' && !(annualRate > -100)) {
+    return { error: 'annualRate é obrigatório na valorização' };
+  }
+
+  return {
+    data: { name: input.name, category: input.category || null, currency, value, purchaseDate, purchasePrice, valuationMethod, usefulLifeYears, salvageValue, annualRate }
+  };
+};
+
+app.get('/api/assets', authMiddleware, async (req, res) => {
+  try {
+    const assets = await getAssetValues(req.userId);
+    res.json(assets.map(asset => mapAsset(asset, asset.computedValue)));
+  } catch (error) {
+    console.error('Erro ao buscar ativos:', error);
+    res.status(500).json({ error: 'Erro ao buscar ativos' });
+  }
+});
+
+app.post('/api/assets', authMiddleware, async (req, res) => {
   try {
+    const validation = validateAssetInput(req.body);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const { name, category, currency, value, purchaseDate, purchasePrice, valuationMethod, usefulLifeYears, salvageValue, annualRate } = validation.data;
+
     const result = await pool.query(
-      'SELECT id, category_id, month, year, limit_amount, currency FROM budgets WHERE user_id = $1',
-      [req.userId]
+      'INSERT INTO assets (user_id, name, type, value, currency, purchase_date, purchase_price, valuation_method, useful_life_years, salvage_value, annual_rate) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+      [req.userId, name, category, value, currency, purchaseDate, purchasePrice, valuationMethod, usefulLifeYears, salvageValue, annualRate]
     );
-    // Mapear para o formato que o frontend espera
-    const budgets = result.rows.map(row => ({
-      id: row.id.toString(),
-      entityId: row.category_id ? row.category_id.toString() : '',
-      entityType: 'category',
-      amount: parseFloat(row.limit_amount),
-      currency: row.currency || 'BRL'
-    }));
-    res.json(budgets);
+    const asset = result.rows[0];
+
+    // Valor atual diferente do preço de compra vira a primeira reavaliação
+    const valuations = [];
+    if (purchasePrice !== null && value !== purchasePrice && valuationMethod === 'manual') {
+      const valuation = await pool.query(
+        'INSERT INTO asset_valuations (asset_id, date, value, note) VALUES ($1, $2, $3, $4) RETURNING *',
+        [asset.id, maxDate(getToday(), purchaseDate), value, 'Valor informado no cadastro']
+      );
+      valuations.push(valuation.rows[0]);
+    }
+    res.status(201).json(mapAsset(asset, computeAssetValue(asset, valuations, getToday())));
   } catch (error) {
-    console.error('Erro ao buscar orçamentos:', error);
-    res.status(500).json({ error: 'Erro ao buscar orçamentos' });
+    console.error('Erro ao criar ativo:', error);
+    res.status(500).json({ error: 'Erro ao criar ativo' });
   }
 });
 
-app.post('/api/budgets', authMiddleware, async (req, res) => {
+// Atualização parcial. Mudar value de um bem manual registra uma reavaliação com a data de hoje.
+app.put('/api/assets/:id', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
   try {
-    let { categoryId, month, year, limitAmount, amount, currency, entityId, entityType } = req.body;
-    
-    // Se veio no formato do frontend (entityId, entityType, amount)
-    if (entityId && entityType) {
-      if (entityType === 'category') {
-        categoryId = entityId;
-      }
-      // entityType 'source' não é suportado na tabela budgets atual
+    await client.query('BEGIN');
+
+    const asset = await findAsset(client, req.userId, req.params.id);
+    if (!asset) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Ativo não encontrado' });
     }
-    
-    // Converter para número e tratar strings vazias
-    categoryId = categoryId ? parseInt(categoryId) : null;
-    
-    // Se month vem como "2026-02", extrair month e year
-    if (typeof month === 'string' && month.includes('-')) {
-      const [yearStr, monthStr] = month.split('-');
-      year = parseInt(yearStr);
-      month = parseInt(monthStr);
+
+    const current = mapAsset(asset, parseFloat(asset.value));
+    const input = {};
+    ['name', 'category', 'currency', 'value', 'purchaseDate', 'purchasePrice', 'valuationMethod', 'usefulLifeYears', 'salvageValue', 'annualRate'].forEach(field => {
+      input[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+    });
+    const validation = validateAssetInput(input);
+    if (validation.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: validation.error });
     }
-    
-    // Se não tem month/year, usar mês/ano atual
-    if (!month || !year) {
-      const now = new Date();
-      month = month || now.getMonth() + 1;
-      year = year || now.getFullYear();
+    const { name, category, currency, value, purchaseDate, purchasePrice, valuationMethod, usefulLifeYears, salvageValue, annualRate } = validation.data;
+
+    const result = await client.query(
+      'UPDATE assets SET name = $1, type = $2, value = $3, currency = $4, purchase_date = $5, purchase_price = $6, valuation_method = $7, useful_life_years = $8, salvage_value = $9, annual_rate = $10 WHERE id = $11 AND user_id = $12 RETURNING *',
+      [name, category, value, currency, purchaseDate, purchasePrice, valuationMethod, usefulLifeYears, salvageValue, annualRate, asset.id, req.userId]
+    );
+
+    if (req.body.value !== undefined && valuationMethod === 'manual' && value !== parseFloat(asset.value)) {
+      await client.query(
+        `INSERT INTO asset_valuations (asset_id, date, value, note) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (asset_id, date) DO UPDATE SET value = EXCLUDED.value`,
+        [asset.id, getToday(), value, 'Atualização do cadastro']
+      );
     }
-    
-    // Se amount foi enviado ao invés de limitAmount
-    if (amount && !limitAmount) {
-      limitAmount = amount;
+
+    const valuations = await getAssetValuations(client, [asset.id]);
+    await client.query('COMMIT');
+    res.json(mapAsset(result.rows[0], computeAssetValue(result.rows[0], valuations.get(asset.id), getToday())));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao atualizar ativo:', error);
+    res.status(500).json({ error: 'Erro ao atualizar ativo' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/assets/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await pool.query('DELETE FROM assets WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Ativo excluído com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir ativo:', error);
+    res.status(500).json({ error: 'Erro ao excluir ativo' });
+  }
+});
+
+// Reavaliações registradas e a série de valores calculada (?interval=month|year, ?to=)
+app.get('/api/assets/:id/history', authMiddleware, async (req, res) => {
+  try {
+    const asset = await findAsset(pool, req.userId, req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Ativo não encontrado' });
+    }
+    const interval = req.query.interval || 'month';
+    const to = req.query.to || getToday();
+    if (!['month', 'year'].includes(interval)) {
+      return res.status(400).json({ error: 'interval deve ser month ou year' });
+    }
+    if (!isValidDateString(to)) {
+      return res.status(400).json({ error: 'to deve estar no formato YYYY-MM-DD' });
+    }
+
+    const valuations = (await getAssetValuations(pool, [asset.id])).get(asset.id);
+    const step = interval === 'year' ? 12 : 1;
+    const series = [];
+    const startDate = getAssetStartDate(asset);
+    for (let date = startDate; date < to; date = addMonths(date, step)) {
+      series.push({ date, value: computeAssetValue(asset, valuations, date) });
+    }
+    series.push({ date: to, value: computeAssetValue(asset, valuations, to) });
+
+    res.json({
+      assetId: asset.id,
+      currency: asset.currency,
+      valuationMethod: asset.valuation_method,
+      valuations: valuations.map(mapAssetValuation),
+      series
+    });
+  } catch (error) {
+    console.error('Erro ao buscar histórico do ativo:', error);
+    res.status(500).json({ error: 'Erro ao buscar histórico do ativo' });
+  }
+});
+
+// Reavaliação manual (ex.: laudo de um imóvel); vira o novo ponto de partida da regra
+app.post('/api/assets/:id/valuations', authMiddleware, async (req, res) => {
+  try {
+    const asset = await findAsset(pool, req.userId, req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Ativo não encontrado' });
+    }
+    const value = parseFloat(req.body.value);
+    const date = req.body.date || getToday();
+    if (!(value >= 0)) {
+      return res.status(400).json({ error: 'value é obrigatório e não pode ser negativo' });
+    }
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+    if (date < getAssetStartDate(asset)) {
+      return res.status(400).json({ error: 'A reavaliação não pode ser anterior à compra' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO asset_valuations (asset_id, date, value, note) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (asset_id, date) DO UPDATE SET value = EXCLUDED.value, note = EXCLUDED.note
+       RETURNING *`,
+      [asset.id, date, value, req.body.note || null]
+    );
+    res.status(201).json(mapAssetValuation(result.rows[0]));
+  } catch (error) {
+    console.error('Erro ao registrar reavaliação:', error);
+    res.status(500).json({ error: 'Erro ao registrar reavaliação' });
+  }
+});
+
+app.delete('/api/assets/:id/valuations/:valuationId', authMiddleware, async (req, res) => {
+  try {
+    const asset = await findAsset(pool, req.userId, req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Ativo não encontrado' });
+    }
+    const result = await pool.query(
+      'DELETE FROM asset_valuations WHERE id = $1 AND asset_id = $2 RETURNING id',
+      [req.params.valuationId, asset.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reavaliação não encontrada' });
+    }
+    res.json({ message: 'Reavaliação excluída com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir reavaliação:', error);
+    res.status(500).json({ error: 'Erro ao excluir reavaliação' });
+  }
+});
+
+// ==================== LIABILITIES ====================
+const AMORTIZATION_SYSTEMS = ['price', 'sac'];
+// O cronograma é montado parcela a parcela; 50 anos cobrem qualquer financiamento real
+const LIABILITY_MAX_TERM_MONTHS = 600;
+
+const getMonthlyRate = (liability) => Math.pow(1 + parseFloat(liability.annual_interest_rate) / 100, 1 / 12) - 1;
+
+// Meses entre duas datas, com fração pelo dia: de 15/01 a 15/02 é exatamente 1
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+  const [toYear, toMonth, toDay] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth) + (toDay - fromDay) / 30;
+};
+
+const isAmortizedLoan = (liability) => Boolean(liability.term_months && liability.start_date && liability.amortization_system);
+
+const mapLiability = (row) => ({
+  id: row.id,
+  name: row.name,
+  category: row.type,
+  amount: parseFloat(row.amount),
+  currency: row.currency,
+  principal: row.principal === null ? null : parseFloat(row.principal),
+  annualInterestRate: parseFloat(row.annual_interest_rate),
+  termMonths: row.term_months,
+  startDate: toDateString(row.start_date),
+  amortizationSystem: row.amortization_system
+});
+
+/**
+ * Parcelas de `balance` em `installments` meses. Price: parcela fixa e amortização crescente;
+ * SAC: amortização fixa e parcela decrescente. Os juros do mês incidem sobre o saldo devedor.
+ */
+const buildAmortizationSchedule = ({ balance, monthlyRate, installments, system, firstDueDate, anchorDay, firstNumber = 1 }) => {
+  const pricePayment = monthlyRate > 0
+    ? balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -installments))
+    : balance / installments;
+  const schedule = [];
+  let remaining = balance;
+  for (let i = 0; i < installments; i++) {
+    const interest = remaining * monthlyRate;
+    // A última parcela zera o saldo, absorvendo as sobras de arredondamento
+    const amortization = i === installments - 1
+      ? remaining
+      : (system === 'sac' ? balance / installments : pricePayment - interest);
+    remaining -= amortization;
+    schedule.push({
+      number: firstNumber + i,
+      dueDate: addMonths(firstDueDate, i, anchorDay),
+      payment: roundMoney(amortization + interest),
+      interest: roundMoney(interest),
+      amortization: roundMoney(amortization),
+      balance: roundMoney(Math.max(remaining, 0))
+    });
+  }
+  return schedule;
+};
+
+/**
+ * Aplica os pagamentos em ordem de data. Cada um quita primeiro os juros acumulados desde o
+ * anterior (ou desde a contratação) e o resto amortiza o saldo; juros que o pagamento não
+ * cobre são incorporados ao saldo. Passivos sem data de início não têm juros.
+ */
+const replayLiabilityPayments = (liability, payments) => {
+  const monthlyRate = getMonthlyRate(liability);
+  let balance = parseFloat(liability.principal ?? liability.amount);
+  let reference = toDateString(liability.start_date);
+  let interestPaid = 0;
+  let principalPaid = 0;
+
+  const applied = payments.map(payment => {
+    const date = toDateString(payment.date);
+    const amount = parseFloat(payment.amount);
+    const periods = reference ? Math.max(monthsBetween(reference, date), 0) : 0;
+    const accrued = balance * (Math.pow(1 + monthlyRate, periods) - 1);
+    const interest = Math.min(accrued, amount);
+    const principal = Math.min(amount - accrued, balance);
+    balance -= principal;
+    interestPaid += interest;
+    principalPaid += Math.max(principal, 0);
+    if (reference && date > reference) reference = date;
+    return {
+      transactionId: payment.id,
+      date,
+      amount,
+      interest: roundMoney(interest),
+      principal: roundMoney(principal),
+      balance: roundMoney(balance)
+    };
+  });
+
+  return { balance: roundMoney(balance), interestPaid: roundMoney(interestPaid), principalPaid: roundMoney(principalPaid), payments: applied };
+};
+
+const findLiability = async (db, userId, liabilityId) => {
+  const result = await db.query('SELECT * FROM liabilities WHERE id = $1 AND user_id = $2', [liabilityId, userId]);
+  return result.rows[0] || null;
+};
+
+const getLiabilityPayments = async (db, liabilityIds) => {
+  const result = await db.query(
+    'SELECT id, liability_id, date, amount FROM transactions WHERE liability_id = ANY($1) ORDER BY date, created_at',
+    [liabilityIds]
+  );
+  const byLiability = new Map(liabilityIds.map(id => [id, []]));
+  result.rows.forEach(row => byLiability.get(row.liability_id).push(row));
+  return byLiability;
+};
+
+// Recalcula o saldo devedor (amount) a partir do valor contratado e dos pagamentos
+const syncLiabilityBalance = async (db, userId, liabilityId) => {
+  if (!liabilityId) return;
+  const liability = await findLiability(db, userId, liabilityId);
+  if (!liability) return;
+  const payments = (await getLiabilityPayments(db, [liability.id])).get(liability.id);
+  const { balance } = replayLiabilityPayments(liability, payments);
+  await db.query('UPDATE liabilities SET amount = $1 WHERE id = $2', [balance, liability.id]);
+};
+
+// Pagamento vinculado a um passivo: despesa, numa conta da mesma moeda
+const validateLiabilityPayment = async (db, userId, { liabilityId, accountId, type }) => {
+  const liability = await findLiability(db, userId, liabilityId);
+  if (!liability) {
+    return { status: 404, error: 'Passivo não encontrado' };
+  }
+  if (String(type).toUpperCase() !== 'EXPENSE') {
+    return { status: 400, error: 'Pagamento de passivo deve ser uma despesa' };
+  }
+  const account = await db.query('SELECT currency FROM accounts WHERE id = $1 AND user_id = $2', [accountId, userId]);
+  if (account.rows.length > 0 && account.rows[0].currency !== liability.currency) {
+    return { status: 400, error: `A conta precisa estar na moeda do passivo (${liability.currency})` };
+  }
+  return { liability };
+};
+
+// Saldo devedor de cada passivo em `asOf`, com os pagamentos feitos até a data
+const getLiabilityBalances = async (userId, asOf) => {
+  const liabilities = await pool.query('SELECT * FROM liabilities WHERE user_id = $1', [userId]);
+  const payments = await getLiabilityPayments(pool, liabilities.rows.map(l => l.id));
+  return liabilities.rows
+    .filter(liability => (toDateString(liability.start_date) || toDateString(liability.created_at)) <= asOf)
+    .map(liability => ({
+      ...liability,
+      balanceAsOf: replayLiabilityPayments(liability, payments.get(liability.id).filter(p => toDateString(p.date) <= asOf)).balance
+    }));
+};
+
+// Um pagamento feito até esses dias antes do vencimento quita a parcela daquele mês
+const INSTALLMENT_EARLY_PAYMENT_DAYS = 15;
+
+// Parcelas vencidas até o último pagamento (com a folga acima), limitadas ao número de pagamentos
+const countPaidInstallments = (liability, payments) => {
+  if (payments.length === 0) return 0;
+  const startDate = toDateString(liability.start_date);
+  const anchorDay = parseInt(startDate.slice(8, 10));
+  const limit = addDays(toDateString(payments[payments.length - 1].date), INSTALLMENT_EARLY_PAYMENT_DAYS);
+  let due = 0;
+  while (due < liability.term_months && addMonths(startDate, due + 1, anchorDay) <= limit) due++;
+  return Math.min(due, payments.length);
+};
+
+/**
+ * Situação do passivo: juros e principal pagos, saldo devedor e, para financiamentos, o
+ * cronograma restante recalculado sobre o saldo atual. Pagamentos fora do vencimento são
+ * amortizações extras: reduzem o valor das parcelas seguintes, não o prazo.
+ */
+const buildLiabilitySummary = (liability, payments) => {
+  const replay = replayLiabilityPayments(liability, payments);
+  const summary = {
+    ...mapLiability(liability),
+    outstandingBalance: replay.balance,
+    interestPaid: replay.interestPaid,
+    principalPaid: replay.principalPaid,
+    payments: replay.payments,
+    installmentsPaid: payments.length,
+    installmentsRemaining: null,
+    remainingInterest: null,
+    nextPayment: null,
+    payoffDate: replay.balance === 0 && payments.length > 0 ? replay.payments[replay.payments.length - 1].date : null,
+    remainingSchedule: []
+  };
+  if (!isAmortizedLoan(liability) || replay.balance === 0) return summary;
+
+  const startDate = toDateString(liability.start_date);
+  const anchorDay = parseInt(startDate.slice(8, 10));
+  const paidInstallments = countPaidInstallments(liability, payments);
+  const installments = Math.max(liability.term_months - paidInstallments, 1);
+  const remainingSchedule = buildAmortizationSchedule({
+    balance: replay.balance,
+    monthlyRate: getMonthlyRate(liability),
+    installments,
+    system: liability.amortization_system,
+    firstDueDate: addMonths(startDate, paidInstallments + 1, anchorDay),
+    anchorDay,
+    firstNumber: paidInstallments + 1
+  });
+
+  return {
+    ...summary,
+    installmentsPaid: paidInstallments,
+    installmentsRemaining: installments,
+    remainingInterest: roundMoney(remainingSchedule.reduce((sum, item) => sum + item.interest, 0)),
+    nextPayment: remainingSchedule[0],
+    payoffDate: remainingSchedule[remainingSchedule.length - 1].dueDate,
+    remainingSchedule
+  };
+};
+
+const validateLiabilityInput = (input) => {
+  const currency = normalizeCurrency(input.currency);
+  const principal = parseFloat(input.principal ?? input.amount);
+  const annualInterestRate = input.annualInterestRate ? parseFloat(input.annualInterestRate) : 0;
+  const termMonths = input.termMonths ? parseInt(input.termMonths) : null;
+  const startDate = toDateString(input.startDate) || null;
+  const amortizationSystem = input.amortizationSystem || null;
+
+  if (!input.name) {
+    return { error: 'name é obrigatório' };
+  }
+  if (!currency) {
+    return { error: 'Moeda inválida' };
+  }
+  if (!(principal >= 0)) {
+    return { error: 'Informe amount ou principal (não negativo)' };
+  }
+  if (!(annualInterestRate >= 0)) {
+    return { error: 'annualInterestRate não pode ser negativo' };
+  }
+  if (termMonths !== null && !(termMonths > 0)) {
+    return { error: 'termMonths deve ser maior que zero' };
+  }
+  if (termMonths > LIABILITY_MAX_TERM_MONTHS) {
+    return { error: `termMonths não pode passar de ${LIABILITY_MAX_TERM_MONTHS}` };
+  }
+  if (startDate && !isValidDateString(startDate)) {
+    return { error: 'startDate deve estar no formato YYYY-MM-DD' };
+  }
+  if (amortizationSystem && !AMORTIZATION_SYSTEMS.includes(amortizationSystem)) {
+    return { error: `amortizationSystem deve ser um de: ${AMORTIZATION_SYSTEMS.join(', ')}` };
+  }
+  if (amortizationSystem && (!termMonths || !startDate)) {
+    return { error: 'termMonths e startDate são obrigatórios com amortizationSystem' };
+  }
+
+  return {
+    data: { name: input.name, category: input.category || null, currency, principal, annualInterestRate, termMonths, startDate, amortizationSystem }
+  };
+};
+
+app.get('/api/liabilities', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM liabilities WHERE user_id = $1 ORDER BY created_at', [req.userId]);
+    res.json(result.rows.map(mapLiability));
+  } catch (error) {
+    console.error('Erro ao buscar passivos:', error);
+    res.status(500).json({ error: 'Erro ao buscar passivos' });
+  }
+});
+
+app.post('/api/liabilities', authMiddleware, async (req, res) => {
+  try {
+    const validation = validateLiabilityInput(req.body);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
     }
-    
+    const { name, category, currency, principal, annualInterestRate, termMonths, startDate, amortizationSystem } = validation.data;
+
     const result = await pool.query(
-      'INSERT INTO budgets (user_id, category_id, month, year, limit_amount, currency) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, category_id, limit_amount, currency',
-      [req.userId, categoryId, month, year, limitAmount, currency || 'BRL']
+      'INSERT INTO liabilities (user_id, name, type, amount, currency, principal, annual_interest_rate, term_months, start_date, amortization_system) VALUES ($1, $2, $3, $4, $5, $4, $6, $7, $8, $9) RETURNING *',
+      [req.userId, name, category, principal, currency, annualInterestRate, termMonths, startDate, amortizationSystem]
     );
-    // Retornar no formato que o frontend espera
-    const budget = {
-      id: result.rows[0].id.toString(),
-      entityId: result.rows[0].category_id ? result.rows[0].category_id.toString() : '',
-      entityType: 'category',
-      amount: parseFloat(result.rows[0].limit_amount),
-      currency: result.rows[0].currency || 'BRL'
-    };
-    res.status(201).json(budget);
+    res.status(201).json(mapLiability(result.rows[0]));
   } catch (error) {
-    console.error('Erro ao criar orçamento:', error);
-    res.status(500).json({ error: 'Erro ao criar orçamento', details: error.message });
+    console.error('Erro ao criar passivo:', error);
+    res.status(500).json({ error: 'Erro ao criar passivo' });
   }
 });
 
-app.put('/api/budgets/:id', authMiddleware, async (req, res) => {
+// Atualização parcial; o saldo devedor é recalculado com os pagamentos já feitos
+app.put('/api/liabilities/:id', authMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { limitAmount } = req.body;
-    const result = await pool.query(
-      'UPDATE budgets SET limit_amount = $1 WHERE id = $2 AND user_id = $3 RETURNING id, category_id as "categoryId", month, year, limit_amount as "limitAmount", currency',
-      [limitAmount, id, req.userId]
-    );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Orçamento não encontrado' });
+    const liability = await findLiability(pool, req.userId, req.params.id);
+    if (!liability) {
+      return res.status(404).json({ error: 'Passivo não encontrado' });
     }
-    res.json(result.rows[0]);
+
+    const current = mapLiability(liability);
+    const input = {};
+    ['name', 'category', 'currency', 'principal', 'annualInterestRate', 'termMonths', 'startDate', 'amortizationSystem'].forEach(field => {
+      input[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+    });
+    if (req.body.principal === undefined && req.body.amount !== undefined) {
+      input.principal = req.body.amount;
+    }
+    const validation = validateLiabilityInput(input);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const { name, category, currency, principal, annualInterestRate, termMonths, startDate, amortizationSystem } = validation.data;
+
+    await pool.query(
+      'UPDATE liabilities SET name = $1, type = $2, currency = $3, principal = $4, annual_interest_rate = $5, term_months = $6, start_date = $7, amortization_system = $8 WHERE id = $9 AND user_id = $10',
+      [name, category, currency, principal, annualInterestRate, termMonths, startDate, amortizationSystem, liability.id, req.userId]
+    );
+    await syncLiabilityBalance(pool, req.userId, liability.id);
+    res.json(mapLiability(await findLiability(pool, req.userId, liability.id)));
   } catch (error) {
-    console.error('Erro ao atualizar orçamento:', error);
-    res.status(500).json({ error: 'Erro ao atualizar orçamento' });
+    console.error('Erro ao atualizar passivo:', error);
+    res.status(500).json({ error: 'Erro ao atualizar passivo' });
   }
 });
 
-app.delete('/api/budgets/:id', authMiddleware, async (req, res) => {
+app.delete('/api/liabilities/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    await pool.query('DELETE FROM budgets WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Orçamento excluído com sucesso' });
+    await pool.query('DELETE FROM liabilities WHERE id = $1 AND user_id = $2', [id, req.userId]);
+    res.json({ message: 'Passivo excluído com sucesso' });
   } catch (error) {
-    console.error('Erro ao excluir orçamento:', error);
-    res.status(500).json({ error: 'Erro ao excluir orçamento' });
+    console.error('Erro ao excluir passivo:', error);
+    res.status(500).json({ error: 'Erro ao excluir passivo' });
   }
 });
 
-// ==================== GOALS ====================
-app.get('/api/goals', authMiddleware, async (req, res) => {
+// Cronograma contratado (sobre o principal) e o restante, recalculado sobre o saldo atual
+app.get('/api/liabilities/:id/schedule', authMiddleware, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, target_amount as "targetAmount", current_amount as "currentAmount", currency, deadline, category, status, account_id as "accountId" FROM financial_goals WHERE user_id = $1',
-      [req.userId]
-    );
-    res.json(result.rows);
+    const liability = await findLiability(pool, req.userId, req.params.id);
+    if (!liability) {
+      return res.status(404).json({ error: 'Passivo não encontrado' });
+    }
+    if (!isAmortizedLoan(liability)) {
+      return res.status(400).json({ error: 'Passivo sem prazo, data de início e sistema de amortização' });
+    }
+
+    const startDate = toDateString(liability.start_date);
+    const anchorDay = parseInt(startDate.slice(8, 10));
+    const original = buildAmortizationSchedule({
+      balance: parseFloat(liability.principal),
+      monthlyRate: getMonthlyRate(liability),
+      installments: liability.term_months,
+      system: liability.amortization_system,
+      firstDueDate: addMonths(startDate, 1, anchorDay),
+      anchorDay
+    });
+    const payments = (await getLiabilityPayments(pool, [liability.id])).get(liability.id);
+    const summary = buildLiabilitySummary(liability, payments);
+
+    res.json({
+      liabilityId: liability.id,
+      amortizationSystem: liability.amortization_system,
+      monthlyRate: roundQuantity(getMonthlyRate(liability) * 100),
+      original,
+      remaining: summary.remainingSchedule
+    });
   } catch (error) {
-    console.error('Erro ao buscar metas:', error);
-    res.status(500).json({ error: 'Erro ao buscar metas' });
+    console.error('Erro ao gerar cronograma do passivo:', error);
+    res.status(500).json({ error: 'Erro ao gerar cronograma do passivo' });
   }
 });
 
-app.post('/api/goals', authMiddleware, async (req, res) => {
+// Juros pagos até hoje, saldo devedor, próxima parcela e data de quitação
+app.get('/api/liabilities/:id/summary', authMiddleware, async (req, res) => {
   try {
-    let { name, targetAmount, currency, deadline, category, accountId } = req.body;
-    
-    // Converter strings vazias em null
-    accountId = accountId || null;
-    category = category || null;
-    deadline = deadline || null;
-    
-    // Tenta inserir com account_id, se falhar, tenta sem
-    try {
-      const result = await pool.query(
-        'INSERT INTO financial_goals (user_id, name, target_amount, currency, deadline, category, account_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, name, target_amount as "targetAmount", current_amount as "currentAmount", currency, deadline, category, status, account_id as "accountId"',
-        [req.userId, name, targetAmount, currency || 'BRL', deadline || null, category, accountId || null]
-      );
-      res.status(201).json(result.rows[0]);
-    } catch (colError) {
-      // Se falhar (coluna account_id não existe), tenta sem ela
-      const result = await pool.query(
-        'INSERT INTO financial_goals (user_id, name, target_amount, currency, deadline, category) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, target_amount as "targetAmount", current_amount as "currentAmount", currency, deadline, category, status',
-        [req.userId, name, targetAmount, currency || 'BRL', deadline || null, category]
-      );
-      res.status(201).json(result.rows[0]);
+    const liability = await findLiability(pool, req.userId, req.params.id);
+    if (!liability) {
+      return res.status(404).json({ error: 'Passivo não encontrado' });
     }
+    const payments = (await getLiabilityPayments(pool, [liability.id])).get(liability.id);
+    const { remainingSchedule, ...summary } = buildLiabilitySummary(liability, payments);
+    res.json(summary);
   } catch (error) {
-    console.error('Erro ao criar meta:', error);
-    res.status(500).json({ error: 'Erro ao criar meta', details: error.message });
+    console.error('Erro ao buscar resumo do passivo:', error);
+    res.status(500).json({ error: 'Erro ao buscar resumo do passivo' });
   }
 });
 
-app.delete('/api/goals/:id', authMiddleware, async (req, res) => {
+// Registra o pagamento como transação na conta; sem amount, paga a próxima parcela
+app.post('/api/liabilities/:id/payments', authMiddleware, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    await pool.query('DELETE FROM financial_goals WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Meta excluída com sucesso' });
+    await client.query('BEGIN');
+
+    const { accountId, categoryId } = req.body;
+    const date = req.body.date || getToday();
+    if (!accountId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'accountId é obrigatório' });
+    }
+    if (!isValidDateString(date)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'date deve estar no formato YYYY-MM-DD' });
+    }
+    const account = await client.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2', [accountId, req.userId]);
+    if (account.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    const validation = await validateLiabilityPayment(client, req.userId, { liabilityId: req.params.id, accountId, type: 'expense' });
+    if (validation.error) {
+      await client.query('ROLLBACK');
+      return res.status(validation.status).json({ error: validation.error });
+    }
+    const { liability } = validation;
+
+    const payments = (await getLiabilityPayments(client, [liability.id])).get(liability.id);
+    const before = buildLiabilitySummary(liability, payments);
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : before.nextPayment?.payment;
+    if (!(amount > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'amount deve ser maior que zero' });
+    }
+
+    const transaction = await createTransaction(client, req.userId, {
+      accountId,
+      categoryId: categoryId || null,
+      incomeSourceId: null,
+      type: 'expense',
+      amount,
+      description: req.body.description || `Pagamento de ${liability.name}`,
+      date,
+      liabilityId: liability.id
+    });
+    await syncLiabilityBalance(client, req.userId, liability.id);
+
+    const updated = await findLiability(client, req.userId, liability.id);
+    const updatedPayments = (await getLiabilityPayments(client, [liability.id])).get(liability.id);
+    const { remainingSchedule, ...summary } = buildLiabilitySummary(updated, updatedPayments);
+    await client.query('COMMIT');
+    triggerAchievements(req.userId);
+    res.status(201).json({ transaction, summary });
   } catch (error) {
-    console.error('Erro ao excluir meta:', error);
-    res.status(500).json({ error: 'Erro ao excluir meta' });
+    await client.query('ROLLBACK');
+    console.error('Erro ao registrar pagamento do passivo:', error);
+    res.status(500).json({ error: 'Erro ao registrar pagamento do passivo' });
+  } finally {
+    client.release();
   }
 });
 
-// ==================== ASSETS ====================
-app.get('/api/assets', authMiddleware, async (req, res) => {
+const PAYOFF_STRATEGIES = ['snowball', 'avalanche', 'custom'];
+const PAYOFF_MAX_MONTHS = LIABILITY_MAX_TERM_MONTHS;
+
+// Snowball: menor saldo primeiro; avalanche: maior taxa primeiro; custom: a ordem informada
+const sortDebtsByStrategy = (debts, strategy, order = []) => {
+  const byRate = (a, b) => b.monthlyRate - a.monthlyRate || a.balance - b.balance;
+  if (strategy === 'snowball') {
+    return [...debts].sort((a, b) => a.balance - b.balance || b.monthlyRate - a.monthlyRate);
+  }
+  if (strategy === 'custom') {
+    // Os que ficaram fora da ordem vão para o fim, em ordem de taxa
+    const position = (debt) => (order.includes(debt.id) ? order.indexOf(debt.id) : order.length);
+    return [...debts].sort((a, b) => position(a) - position(b) || byRate(a, b));
+  }
+  return [...debts].sort(byRate);
+};
+
+/**
+ * Simula a quitação mês a mês: os juros do mês incidem sobre o saldo, cada dívida recebe
+ * o pagamento mínimo e a sobra do orçamento vai para a primeira dívida em aberto da ordem.
+ * O mínimo de uma dívida quitada também passa a reforçar as seguintes.
+ */
+const simulatePayoff = (debts, monthlyBudget, strategy, order, startDate) => {
+  const ordered = sortDebtsByStrategy(debts, strategy, order);
+  const state = ordered.map(debt => ({ ...debt, remaining: debt.balance, interest: 0, paidOffDate: null }));
+  const schedule = [];
+  let totalInterest = 0;
+  let totalPaid = 0;
+
+  for (let month = 0; month < PAYOFF_MAX_MONTHS && state.some(debt => debt.remaining > 0); month++) {
+    const date = addMonths(startDate, month + 1, parseInt(startDate.slice(8, 10)));
+    const open = state.filter(debt => debt.remaining > 0);
+    const balanceBefore = open.reduce((sum, debt) => sum + debt.remaining, 0);
+    const payments = new Map();
+    let available = monthlyBudget;
+
+    open.forEach(debt => {
+      const interest = debt.remaining * debt.monthlyRate;
+      debt.remaining += interest;
+      debt.interest += interest;
+      totalInterest += interest;
+      // Encerrado o cronograma de um financiamento, o saldo que sobrar vence de uma vez
+      const scheduled = debt.minimumPayments.length > 0 ? debt.remaining : debt.minimumPayment;
+      const minimum = Math.min(debt.minimumPayments[month] ?? scheduled, debt.remaining);
+      const payment = Math.min(minimum, available);
+      debt.remaining -= payment;
+      available -= payment;
+      payments.set(debt.id, { interest, payment });
+    });
+
+    for (const debt of open) {
+      if (available <= 0) break;
+      const extra = Math.min(available, debt.remaining);
+      debt.remaining -= extra;
+      available -= extra;
+      payments.get(debt.id).payment += extra;
+    }
+
+    const paidOff = [];
+    open.forEach(debt => {
+      if (debt.remaining < 0.005) {
+        debt.remaining = 0;
+        debt.paidOffDate = date;
+        paidOff.push(debt.id);
+      }
+    });
+    const monthPaid = monthlyBudget - available;
+    totalPaid += monthPaid;
+    schedule.push({
+      month: month + 1,
+      date,
+      payments: open.map(debt => ({
+        liabilityId: debt.id,
+        name: debt.name,
+        payment: roundMoney(payments.get(debt.id).payment),
+        interest: roundMoney(payments.get(debt.id).interest),
+        balance: roundMoney(debt.remaining)
+      })),
+      totalPaid: roundMoney(monthPaid),
+      paidOff
+    });
+
+    // Orçamento todo usado e a dívida total ainda cresceu: os juros superam o que se paga
+    if (available <= 0 && state.reduce((sum, debt) => sum + debt.remaining, 0) > balanceBefore) break;
+  }
+
+  const finished = state.every(debt => debt.remaining === 0);
+  return {
+    strategy,
+    debtFree: finished,
+    debtFreeDate: finished && schedule.length > 0 ? schedule[schedule.length - 1].date : null,
+    months: finished ? schedule.length : null,
+    totalInterest: roundMoney(totalInterest),
+    totalPaid: roundMoney(totalPaid),
+    payoffOrder: state.map(debt => ({
+      liabilityId: debt.id,
+      name: debt.name,
+      balance: roundMoney(debt.balance),
+      paidOffDate: debt.paidOffDate,
+      interest: roundMoney(debt.interest)
+    })),
+    schedule
+  };
+};
+
+// Dívidas em aberto na moeda base, com o pagamento mínimo de cada mês à frente
+const getPayoffDebts = async (userId, baseCurrency, minimumOverrides) => {
+  const today = getToday();
+  const fx = await createFxConverter(userId, today);
+  const liabilities = await pool.query('SELECT * FROM liabilities WHERE user_id = $1 AND amount > 0 ORDER BY created_at', [userId]);
+  const payments = await getLiabilityPayments(pool, liabilities.rows.map(l => l.id));
+  const missingRates = new Set();
+  const debts = [];
+
+  liabilities.rows.forEach(liability => {
+    const rate = fx.getRate(liability.currency, baseCurrency);
+    if (rate === null) {
+      missingRates.add(liability.currency);
+      return;
+    }
+    const summary = buildLiabilitySummary(liability, payments.get(liability.id));
+    // Financiamentos pagam as parcelas do cronograma; os demais, só o que for informado
+    const override = minimumOverrides[liability.id];
+    debts.push({
+      id: liability.id,
+      name: liability.name,
+      currency: liability.currency,
+      balance: summary.outstandingBalance * rate,
+      monthlyRate: getMonthlyRate(liability),
+      minimumPayment: override !== undefined ? parseFloat(override) * rate : 0,
+      minimumPayments: override !== undefined ? [] : summary.remainingSchedule.map(item => item.payment * rate)
+    });
+  });
+
+  return { debts, missingRates: [...missingRates] };
+};
+
+// Plano de quitação com o valor mensal disponível para dívidas, comparando as estratégias
+app.post('/api/liabilities/payoff-plan', authMiddleware, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, type as category, value, currency FROM assets WHERE user_id = $1',
-      [req.userId]
-    );
-    res.json(result.rows);
+    const monthlyBudget = parseFloat(req.body.monthlyBudget);
+    const strategy = req.body.strategy || 'avalanche';
+    const order = req.body.order || [];
+    const minimumPayments = req.body.minimumPayments || {};
+
+    if (!(monthlyBudget > 0)) {
+      return res.status(400).json({ error: 'monthlyBudget deve ser maior que zero' });
+    }
+    if (!PAYOFF_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `strategy deve ser uma de: ${PAYOFF_STRATEGIES.join(', ')}` });
+    }
+    if (!Array.isArray(order) || (strategy === 'custom' && order.length === 0)) {
+      return res.status(400).json({ error: 'order deve ser uma lista de ids de passivos (obrigatória com strategy custom)' });
+    }
+    if (typeof minimumPayments !== 'object' || Object.values(minimumPayments).some(value => !(parseFloat(value) >= 0))) {
+      return res.status(400).json({ error: 'minimumPayments deve mapear id do passivo para um valor não negativo' });
+    }
+    const baseCurrency = await resolveBaseCurrency(req.userId, req.body.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ error: 'Moeda base inválida' });
+    }
+
+    const { debts, missingRates } = await getPayoffDebts(req.userId, baseCurrency, minimumPayments);
+    const unknown = order.filter(id => !debts.some(debt => debt.id === id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Passivos não encontrados ou já quitados em order: ${unknown.join(', ')}` });
+    }
+    const firstMinimums = debts.reduce((sum, debt) => sum + (debt.minimumPayments[0] ?? debt.minimumPayment), 0);
+    if (monthlyBudget < firstMinimums) {
+      return res.status(400).json({ error: `monthlyBudget não cobre os pagamentos mínimos (${roundMoney(firstMinimums)} ${baseCurrency})` });
+    }
+
+    const today = getToday();
+    const strategies = strategy === 'custom' ? PAYOFF_STRATEGIES : PAYOFF_STRATEGIES.filter(s => s !== 'custom');
+    const plans = strategies.map(s => simulatePayoff(debts, monthlyBudget, s, order, today));
+    const plan = plans.find(p => p.strategy === strategy);
+    const finished = plans.filter(p => p.debtFree);
+    const cheapest = finished.length > 0
+      ? finished.reduce((best, p) => (p.totalInterest < best.totalInterest || (p.totalInterest === best.totalInterest && p.months < best.months) ? p : best))
+      : null;
+
+    res.json({
+      monthlyBudget,
+      currency: baseCurrency,
+      minimumPayments: roundMoney(firstMinimums),
+      ...plan,
+      comparison: plans.map(p => ({
+        strategy: p.strategy,
+        debtFree: p.debtFree,
+        debtFreeDate: p.debtFreeDate,
+        months: p.months,
+        totalInterest: p.totalInterest,
+        totalPaid: p.totalPaid,
+        interestDifference: roundMoney(p.totalInterest - plan.totalInterest)
+      })),
+      recommendedStrategy: cheapest ? cheapest.strategy : null,
+      // Passivos em moedas sem cotação para a moeda base, que ficaram fora do plano
+      missingRates
+    });
   } catch (error) {
-    console.error('Erro ao buscar ativos:', error);
-    res.status(500).json({ error: 'Erro ao buscar ativos' });
+    console.error('Erro ao gerar plano de quitação:', error);
+    res.status(500).json({ error: 'Erro ao gerar plano de quitação' });
   }
 });
 
-app.post('/api/assets', authMiddleware, async (req, res) => {
+// ==================== EXPORT / RESTORE ====================
+const ARCHIVE_VERSION = 1;
+const PG_DATE_OID = 1082;
+
+/**
+ * Tabelas do arquivo de exportação, em ordem de dependência. `references` lista as colunas
+ * de chave estrangeira e a tabela apontada, para remapear os UUIDs no restore. Tabelas sem
+ * user_id são filtradas pelo `parent`.
+ */
+const EXPORT_TABLES = [
+  { name: 'accounts', references: {} },
+  { name: 'categories', references: {} },
+  { name: 'income_sources', references: {} },
+  { name: 'recurring_transactions', references: { account_id: 'accounts', category_id: 'categories', income_source_id: 'income_sources' } },
+  { name: 'recurring_exceptions', parent: { column: 'recurring_id', table: 'recurring_transactions' }, references: { recurring_id: 'recurring_transactions', account_id: 'accounts', category_id: 'categories', income_source_id: 'income_sources' } },
+  { name: 'exchange_operations', references: { from_account_id: 'accounts', to_account_id: 'accounts' } },
+  { name: 'liabilities', references: {} },
+  { name: 'transactions', references: { account_id: 'accounts', category_id: 'categories', income_source_id: 'income_sources', recurring_id: 'recurring_transactions', exchange_id: 'exchange_operations', liability_id: 'liabilities' } },
+  { name: 'transaction_splits', parent: { column: 'transaction_id', table: 'transactions' }, references: { transaction_id: 'transactions', category_id: 'categories', income_source_id: 'income_sources' } },
+  { name: 'budgets', references: { category_id: 'categories', income_source_id: 'income_sources' } },
+  { name: 'budget_alerts', references: { budget_id: 'budgets', transaction_id: 'transactions' } },
+  { name: 'financial_goals', references: { account_id: 'accounts' } },
+  { name: 'goal_contributions', parent: { column: 'goal_id', table: 'financial_goals' }, references: { goal_id: 'financial_goals' } },
+  { name: 'investments', references: {} },
+  { name: 'investment_events', parent: { column: 'investment_id', table: 'investments' }, references: { investment_id: 'investments', cash_account_id: 'accounts', transaction_id: 'transactions' } },
+  { name: 'allocation_targets', references: { investment_id: 'investments' } },
+  { name: 'assets', references: {} },
+  { name: 'asset_valuations', parent: { column: 'asset_id', table: 'assets' }, references: { asset_id: 'assets' } },
+  { name: 'achievements', references: {} },
+  { name: 'net_worth_snapshots', references: {} },
+  { name: 'fx_rates', references: {} }
+];
+
+// Tabelas que o cadastro já preenche com valores padrão; não contam para "usuário vazio"
+const REGISTRATION_DEFAULT_TABLES = ['categories', 'income_sources'];
+
+const exportTableRows = async (table, userId) => {
+  const query = table.parent
+    ? `SELECT c.* FROM ${table.name} c JOIN ${table.parent.table} p ON c.${table.parent.column} = p.id WHERE p.user_id = $1`
+    : `SELECT * FROM ${table.name} WHERE user_id = $1`;
+  const result = await pool.query(query, [userId]);
+
+  // DATE sai como 'YYYY-MM-DD' para não depender do fuso do servidor
+  const dateColumns = result.fields.filter(f => f.dataTypeID === PG_DATE_OID).map(f => f.name);
+  return result.rows.map(row => {
+    const { user_id, ...data } = row;
+    dateColumns.forEach(column => {
+      data[column] = toDateString(data[column]);
+    });
+    return data;
+  });
+};
+
+const exportUserData = async (userId) => {
+  const tables = {};
+  for (const table of EXPORT_TABLES) {
+    tables[table.name] = await exportTableRows(table, userId);
+  }
+  return { version: ARCHIVE_VERSION, exportedAt: new Date().toISOString(), tables };
+};
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(','), ...rows.map(row => columns.map(c => toCsvValue(row[c])).join(','))];
+  return lines.join('\n') + '\n';
+};
+
+// Lê o zip de CSVs gerado pelo export (manifest.json + um CSV por tabela)
+const readCsvArchive = (buffer) => {
+  const zip = new AdmZip(buffer);
+  const manifestEntry = zip.getEntry('manifest.json');
+  if (!manifestEntry) {
+    throw new Error('manifest.json não encontrado no arquivo');
+  }
+
+  const manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+  const tables = {};
+  EXPORT_TABLES.forEach(({ name }) => {
+    const entry = zip.getEntry(`${name}.csv`);
+    if (!entry) return;
+    const [header, ...records] = parseCsv(entry.getData().toString('utf8'), ',');
+    tables[name] = header ? records.map(record => Object.fromEntries(header.map((column, i) => [column, record[i]]))) : [];
+  });
+  return { version: manifest.version, exportedAt: manifest.exportedAt, tables, fromCsv: true };
+};
+
+app.get('/api/export', authMiddleware, async (req, res) => {
   try {
-    let { name, value, currency, category } = req.body;
-    
-    // Converter strings vazias em null
-    category = category || null;
-    const result = await pool.query(
-      'INSERT INTO assets (user_id, name, type, value, currency) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, type as category, value, currency',
-      [req.userId, name, category, value, currency]
-    );
-    res.status(201).json(result.rows[0]);
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'Formato inválido. Use json ou zip' });
+    }
+
+    const archive = await exportUserData(req.userId);
+    const filename = `financeflow-export-${getToday()}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(archive);
+    }
+
+    const zip = new AdmZip();
+    const counts = {};
+    Object.entries(archive.tables).forEach(([name, rows]) => {
+      zip.addFile(`${name}.csv`, Buffer.from(toCsv(rows), 'utf8'));
+      counts[name] = rows.length;
+    });
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify({ version: archive.version, exportedAt: archive.exportedAt, tables: counts }, null, 2), 'utf8'));
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+    res.send(zip.toBuffer());
   } catch (error) {
-    console.error('Erro ao criar ativo:', error);
-    res.status(500).json({ error: 'Erro ao criar ativo' });
+    console.error('Erro ao exportar dados:', error);
+    res.status(500).json({ error: 'Erro ao exportar dados' });
   }
 });
 
-app.delete('/api/assets/:id', authMiddleware, async (req, res) => {
+const restoreUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+
+/**
+ * Recria os dados de um arquivo exportado (JSON no corpo, ou upload de .json/.zip no campo
+ * "file") sob o usuário autenticado, que precisa estar vazio. Todos os UUIDs são gerados de
+ * novo e as chaves estrangeiras remapeadas, então o mesmo arquivo pode ser restaurado em
+ * outra instância ou em outro usuário.
+ */
+app.post('/api/import/restore', authMiddleware, (req, res, next) => {
+  restoreUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: `Erro no upload: ${error.message}` });
+    }
+    next();
+  });
+}, async (req, res) => {
+  let archive;
   try {
-    const { id } = req.params;
-    await pool.query('DELETE FROM assets WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Ativo excluído com sucesso' });
+    if (req.file) {
+      const isZip = req.file.buffer.slice(0, 2).toString() === 'PK';
+      archive = isZip ? readCsvArchive(req.file.buffer) : JSON.parse(req.file.buffer.toString('utf8'));
+    } else {
+      archive = req.body;
+    }
   } catch (error) {
-    console.error('Erro ao excluir ativo:', error);
-    res.status(500).json({ error: 'Erro ao excluir ativo' });
+    return res.status(400).json({ error: `Arquivo inválido: ${error.message}` });
   }
-});
 
-// ==================== LIABILITIES ====================
-app.get('/api/liabilities', authMiddleware, async (req, res) => {
+  if (!archive || !archive.tables || typeof archive.tables !== 'object') {
+    return res.status(400).json({ error: 'Arquivo de exportação inválido' });
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    return res.status(400).json({ error: `Versão do arquivo (${archive.version}) não suportada` });
+  }
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      'SELECT id, name, type as category, amount, currency FROM liabilities WHERE user_id = $1',
-      [req.userId]
-    );
-    res.json(result.rows);
+    await client.query('BEGIN');
+
+    for (const table of EXPORT_TABLES) {
+      if (table.parent || REGISTRATION_DEFAULT_TABLES.includes(table.name)) continue;
+      const existing = await client.query(`SELECT 1 FROM ${table.name} WHERE user_id = $1 LIMIT 1`, [req.userId]);
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'O restore só pode ser feito em um usuário sem dados' });
+      }
+    }
+
+    // As categorias e fontes padrão do cadastro dão lugar às do arquivo
+    for (const name of REGISTRATION_DEFAULT_TABLES) {
+      if (Array.isArray(archive.tables[name])) {
+        await client.query(`DELETE FROM ${name} WHERE user_id = $1`, [req.userId]);
+      }
+    }
+
+    const idMaps = {};
+    const restored = {};
+
+    for (const table of EXPORT_TABLES) {
+      const rows = Array.isArray(archive.tables[table.name]) ? archive.tables[table.name] : [];
+      idMaps[table.name] = new Map();
+      restored[table.name] = 0;
+      if (rows.length === 0) continue;
+
+      // Só colunas que existem na tabela entram no INSERT
+      const columnsResult = await client.query(
+        'SELECT column_name, is_nullable FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+        [table.name]
+      );
+      const columnInfo = new Map(columnsResult.rows.map(c => [c.column_name, c]));
+      const hasUserId = columnInfo.has('user_id');
+
+      rows.forEach(row => {
+        if (row.id) idMaps[table.name].set(row.id, crypto.randomUUID());
+      });
+
+      for (const row of rows) {
+        const data = {};
+        Object.entries(row).forEach(([column, value]) => {
+          if (!columnInfo.has(column) || column === 'user_id') return;
+          // No CSV não há null: vazio vira null onde a coluna permite
+          if (archive.fromCsv && value === '' && columnInfo.get(column).is_nullable === 'YES') value = null;
+          data[column] = value;
+        });
+
+        data.id = idMaps[table.name].get(row.id) || crypto.randomUUID();
+        Object.entries(table.references).forEach(([column, target]) => {
+          if (data[column]) {
+            data[column] = idMaps[target] && idMaps[target].get(data[column]) || null;
+          }
+        });
+        if (hasUserId) data.user_id = req.userId;
+        // Backups antigos podem trazer o tipo em minúsculas
+        if (table.name === 'transactions' && data.type) data.type = normalizeTransactionType(data.type) || data.type;
+
+        const columns = Object.keys(data);
+        await client.query(
+          `INSERT INTO ${table.name} (${columns.map(c => `"${c}"`).join(', ')}) VALUES (${columns.map((c, i) => `$${i + 1}`).join(', ')})`,
+          columns.map(c => data[c])
+        );
+        restored[table.name]++;
+      }
+    }
+
+    // Arquivos de antes do saldo inicial: ele sai do saldo salvo menos o histórico restaurado
+    const archivedAccounts = Array.isArray(archive.tables.accounts) ? archive.tables.accounts : [];
+    if (archivedAccounts.length > 0 && !('opening_balance' in archivedAccounts[0])) {
+      await client.query(
+        'UPDATE accounts a SET opening_balance = a.balance - COALESCE((SELECT SUM(l.amount) FROM account_ledger l WHERE l.account_id = a.id), 0) WHERE a.user_id = $1',
+        [req.userId]
+      );
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Dados restaurados com sucesso', restored });
   } catch (error) {
-    console.error('Erro ao buscar passivos:', error);
-    res.status(500).json({ error: 'Erro ao buscar passivos' });
+    await client.query('ROLLBACK');
+    console.error('Erro ao restaurar dados:', error);
+    res.status(500).json({ error: 'Erro ao restaurar dados', details: error.message });
+  } finally {
+    client.release();
   }
 });
 
-app.post('/api/liabilities', authMiddleware, async (req, res) => {
-  try {
-    let { name, amount, currency, category } = req.body;
-    
-    // Converter strings vazias em null
-    category = category || null;
-    const result = await pool.query(
-      'INSERT INTO liabilities (user_id, name, type, amount, currency) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, type as category, amount, currency',
-      [req.userId, name, category, amount, currency]
+// ==================== JOBS ====================
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const ONE_DAY_MS = 24 * ONE_HOUR_MS;
+
+// Executa `fn` na subida e a cada `intervalMs`; os jobs são idempotentes
+const scheduleJob = (name, intervalMs, fn) => {
+  const run = async () => {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`Erro no job ${name}:`, error);
+    }
+  };
+  run();
+  setInterval(run, intervalMs);
+};
+
+const startJobs = () => {
+  scheduleJob('recurring-transactions', ONE_HOUR_MS, async () => {
+    const created = await generateRecurringTransactions();
+    if (created > 0) console.log(`🔁 ${created} transação(ões) recorrente(s) gerada(s)`);
+  });
+
+  // Regras que dependem do calendário (meses encerrados) mudam mesmo sem escritas
+  scheduleJob('achievements', ONE_DAY_MS, async () => {
+    const users = await pool.query('SELECT id FROM users');
+    let unlocked = 0;
+    for (const user of users.rows) {
+      const results = await evaluateAchievements(user.id);
+      unlocked += results.filter(result => result.newlyUnlocked).length;
+    }
+    if (unlocked > 0) console.log(`🏆 ${unlocked} conquista(s) desbloqueada(s)`);
+  });
+
+  // Tokens vencidos não servem nem para detectar reuso; sessões encerradas somem após o prazo do refresh
+  scheduleJob('sessions-cleanup', ONE_DAY_MS, async () => {
+    await pool.query('DELETE FROM refresh_tokens WHERE expires_at < NOW()');
+    await pool.query('DELETE FROM two_factor_challenges WHERE expires_at < NOW()');
+    await pool.query(
+      'DELETE FROM sessions WHERE expires_at < NOW() OR revoked_at < NOW() - make_interval(days => $1)',
+      [REFRESH_TOKEN_TTL_DAYS]
     );
-    res.status(201).json(result.rows[0]);
-  } catch (error) {
-    console.error('Erro ao criar passivo:', error);
-    res.status(500).json({ error: 'Erro ao criar passivo' });
+  });
+
+  scheduleJob('net-worth-snapshots', ONE_DAY_MS, async () => {
+    const users = await pool.query('SELECT id FROM users');
+    for (const user of users.rows) {
+      await saveNetWorthSnapshot(user.id, getToday());
+    }
+  });
+
+  // Sem FX_PROVIDER as cotações vêm só do cadastro manual
+  if (process.env.FX_PROVIDER) {
+    scheduleJob('fx-rates', ONE_DAY_MS, async () => {
+      const saved = await syncFxRates(process.env.FX_PROVIDER);
+      console.log(`💱 ${saved} cotação(ões) sincronizada(s) via ${process.env.FX_PROVIDER}`);
+    });
   }
-});
 
-app.delete('/api/liabilities/:id', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params;
-    await pool.query('DELETE FROM liabilities WHERE id = $1 AND user_id = $2', [id, req.userId]);
-    res.json({ message: 'Passivo excluído com sucesso' });
-  } catch (error) {
-    console.error('Erro ao excluir passivo:', error);
-    res.status(500).json({ error: 'Erro ao excluir passivo' });
+  if (process.env.QUOTE_PROVIDER) {
+    scheduleJob('quotes', ONE_DAY_MS, async () => {
+      const { saved, revalued } = await syncQuotes(process.env.QUOTE_PROVIDER);
+      console.log(`📈 ${saved} preço(s) sincronizado(s) via ${process.env.QUOTE_PROVIDER}, ${revalued} investimento(s) reavaliado(s)`);
+    });
   }
-});
+};
+
+// Iniciar servidor (somente com o banco em dia com as migrations)
+const startServer = async () => {
+  const mailConfigError = validateMailConfig();
+  if (mailConfigError) {
+    console.error(`❌ ${mailConfigError}`);
+    process.exit(1);
+  }
+
+  const pending = await getPendingMigrations(pool);
+  if (pending.length > 0) {
+    console.error(`❌ ${pending.length} migration(s) pendente(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    console.error('Execute "npm run migrate up" antes de iniciar a API.');
+    process.exit(1);
+  }
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 API rodando em http://0.0.0.0:${PORT}`);
+    startJobs();
+  });
+};
 
-// Iniciar servidor
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 API rodando em http://0.0.0.0:${PORT}`);
+startServer().catch((error) => {
+  console.error('Erro ao iniciar servidor:', error);
+  process.exit(1);
 });